@@ -0,0 +1,447 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { CONFIG } from './config.js';
+import { dbUnavailable, dbWindowCounts, dbWithAlertLock, dbAlertStates, dbSaveAlertStates } from './db.js';
+import { getStorage, useDb } from './storage.js';
+import { spoolStatus } from './spool.js';
+import { readEventsInRange } from './stats.js';
+import { parseWindow } from './funnel.js';
+import { log } from './logger.js';
+
+// Threshold alerts over metrics the server already computes. Rules come from ALERT_RULES_FILE and
+// are evaluated every ALERT_INTERVAL_MS. A rule is ok, pending (breaching for less than `for`) or
+// firing; webhooks are told when it starts firing and when it resolves, and again every `repeat`
+// while it keeps firing. What was last delivered is stored with the state (telemetry_alert_state,
+// or LOG_DIR/alert-state.json for the file backend), so restarts and replicas do not notify twice
+// and a failed delivery is retried on the next evaluation, to the receivers that did not accept it
+// only. A firing rule that is removed from the rules file is resolved. Only the replica holding the
+// telemetry_alerts lock evaluates; while PostgreSQL is unreachable every replica evaluates from
+// its own memory, so the database alert may arrive once per replica.
+
+export const ALERT_METRICS = [
+  'runtime_error_rate',   // runtime java.run.error / java.run.started
+  'compile_error_rate',   // compile java.run.error / java.run.started
+  'success_rate',         // exit 0 / java.run.completed
+  'ctrl_c_rate',          // exit 130 / java.run.completed
+  'events',               // events in the window (of `evt` if set)
+  'events_change',        // events in the last whole hours of the window / the same hours a week earlier
+  'db_healthy',           // 1 when the storage health check passes, else 0
+  'spool_bytes'           // bytes waiting in the disk spool
+] as const;
+export type AlertMetric = typeof ALERT_METRICS[number];
+
+const OPS = ['>', '>=', '<', '<='] as const;
+type AlertOp = typeof OPS[number];
+
+export interface AlertRule {
+  id: string;
+  name: string;
+  metric: AlertMetric;
+  op: AlertOp;
+  threshold: number;
+  window: string;          // 30m, 1h, 1d; starts on a whole UTC hour, so 1h covers one to two hours
+  windowMs: number;
+  for: string;             // how long the condition must hold before firing
+  forMs: number;
+  repeat: string;          // re-notify interval while firing; 0 notifies once
+  repeatMs: number;
+  evt?: string;            // events and events_change only
+  minSamples: number;      // fewer trials (runs, or last week's events) means no data
+  severity: string;
+  webhooks: string[];
+}
+
+export interface AlertState {
+  ruleId: string;
+  state: 'ok' | 'pending' | 'firing';
+  since: string | null;                     // when the current state began
+  value: number | null;                     // latest value; null when there was no data
+  evaluatedAt: string | null;
+  notified: 'firing' | 'resolved' | null;   // last status delivered to the webhooks
+  notifiedAt: string | null;
+  // A status some webhooks have accepted (`to`, by urlKey) and the rest still need
+  delivering: { status: 'firing' | 'resolved'; to: string[] } | null;
+  // The rule as it was while notified firing, to resolve it with if it is removed from the rules file
+  rule: StoredRule | null;
+}
+
+// A rule as kept with its state: webhooks by urlKey, since the URL holds the webhook's secret
+type StoredRule = Omit<AlertRule, 'webhooks'> & { webhookKeys: string[] };
+
+const MAX_WINDOW_MS = 30 * 86400000;
+const HOUR = 3600000;
+
+const RATES: Partial<Record<AlertMetric, { trials: (c: WindowCounts) => number; hits: (c: WindowCounts) => number }>> = {
+  runtime_error_rate: { trials: c => c.started, hits: c => c.runtimeErrors },
+  compile_error_rate: { trials: c => c.started, hits: c => c.compileErrors },
+  success_rate: { trials: c => c.completed, hits: c => c.exits['0'] || 0 },
+  ctrl_c_rate: { trials: c => c.completed, hits: c => c.exits['130'] || 0 }
+};
+
+interface WindowCounts {
+  events: number;
+  byEvt: Record<string, number>;
+  started: number;
+  completed: number;
+  exits: Record<string, number>;
+  compileErrors: number;
+  runtimeErrors: number;
+}
+
+function rulesFile() { return CONFIG.ALERT_RULES_FILE || path.join(CONFIG.LOG_DIR, 'alert-rules.json'); }
+function stateFile() { return path.join(CONFIG.LOG_DIR, 'alert-state.json'); }
+const iso = (ms: number) => new Date(ms).toISOString();
+const floorHour = (ms: number) => Math.floor(ms / HOUR) * HOUR;
+
+function httpUrl(u: any): boolean {
+  if (typeof u !== 'string') return false;
+  try {
+    const url = new URL(u);
+    return (url.protocol === 'http:' || url.protocol === 'https:') && !!url.host;
+  } catch {
+    return false;
+  }
+}
+
+// One rule from the rules file, or the reason it is invalid
+function parseRule(r: any, ids: Set<string>): AlertRule | string {
+  if (!r || typeof r !== 'object') return 'not an object';
+  if (typeof r.id !== 'string' || !/^[A-Za-z0-9_.-]{1,64}$/.test(r.id)) return 'id must be 1-64 letters, digits, _ . or -';
+  if (ids.has(r.id)) return `duplicate id ${r.id}`;
+  if (!ALERT_METRICS.includes(r.metric)) return `metric must be one of ${ALERT_METRICS.join(', ')}`;
+  if (!OPS.includes(r.op)) return `op must be one of ${OPS.join(' ')}`;
+  if (typeof r.threshold !== 'number' || !isFinite(r.threshold)) return 'threshold must be a number';
+  const durations: Record<string, number> = {};
+  for (const [k, def] of [['window', '1h'], ['for', '0'], ['repeat', '0']] as const) {
+    const v = r[k] === undefined ? def : String(r[k]);
+    durations[k] = parseWindow(v);
+    if (!isFinite(durations[k])) return `${k} must look like 30m, 1h or 1d`;
+  }
+  if (durations.window < 60000 || durations.window > MAX_WINDOW_MS) return 'window must be between 1m and 30d';
+  if (r.evt !== undefined && (typeof r.evt !== 'string' || !['events', 'events_change'].includes(r.metric))) return 'evt applies to events and events_change only';
+  if (r.minSamples !== undefined && !(Number.isInteger(r.minSamples) && r.minSamples >= 0)) return 'minSamples must be a whole number';
+  const webhooks = r.webhooks === undefined ? CONFIG.ALERT_WEBHOOK_URLS : r.webhooks;
+  if (!Array.isArray(webhooks) || webhooks.some(u => !httpUrl(u))) return 'webhooks must be http(s) URLs';
+  return {
+    id: r.id,
+    name: typeof r.name === 'string' && r.name ? r.name : r.id,
+    metric: r.metric,
+    op: r.op,
+    threshold: r.threshold,
+    window: String(r.window ?? '1h'), windowMs: durations.window,
+    for: String(r.for ?? '0'), forMs: durations.for,
+    repeat: String(r.repeat ?? '0'), repeatMs: durations.repeat,
+    ...(r.evt !== undefined ? { evt: r.evt } : {}),
+    minSamples: r.minSamples ?? 0,
+    severity: typeof r.severity === 'string' && r.severity ? r.severity : 'warning',
+    webhooks
+  };
+}
+
+let lastRulesError = '';
+
+// The rules file: a JSON array of rules. Invalid rules are skipped and reported in `errors`.
+export function loadAlertRules(): { rules: AlertRule[]; errors: string[] } {
+  let raw: any;
+  try {
+    raw = JSON.parse(fs.readFileSync(rulesFile(), 'utf8'));
+  } catch (e: any) {
+    if (e?.code === 'ENOENT') return { rules: [], errors: [] };
+    const msg = `${rulesFile()}: ${e?.message || e}`;
+    if (msg !== lastRulesError) log.error('[alerts] rules file unreadable', { error: msg });
+    lastRulesError = msg;
+    return { rules: [], errors: [msg] };
+  }
+  if (!Array.isArray(raw)) return { rules: [], errors: [`${rulesFile()}: expected an array of rules`] };
+  const rules: AlertRule[] = [], errors: string[] = [], ids = new Set<string>();
+  raw.forEach((r, i) => {
+    const rule = parseRule(r, ids);
+    if (typeof rule === 'string') errors.push(`rule ${i}${typeof r?.id === 'string' ? ` (${r.id})` : ''}: ${rule}`);
+    else { rules.push(rule); ids.add(rule.id); }
+  });
+  const msg = errors.join('; ');
+  if (msg && msg !== lastRulesError) log.warn('[alerts] invalid rules skipped', { errors });
+  lastRulesError = msg;
+  return { rules, errors };
+}
+
+function tally(rows: Array<{ evt: string; exit_code: string; error_phase: string; hits: any }>): WindowCounts {
+  const c: WindowCounts = { events: 0, byEvt: {}, started: 0, completed: 0, exits: {}, compileErrors: 0, runtimeErrors: 0 };
+  for (const r of rows) {
+    const n = Number(r.hits);
+    c.events += n;
+    c.byEvt[r.evt] = (c.byEvt[r.evt] || 0) + n;
+    if (r.evt === 'java.run.started') c.started += n;
+    else if (r.evt === 'java.run.completed') { c.completed += n; c.exits[r.exit_code] = (c.exits[r.exit_code] || 0) + n; }
+    else if (r.evt === 'java.run.error') { if (r.error_phase === 'compile') c.compileErrors += n; else if (r.error_phase) c.runtimeErrors += n; }
+  }
+  return c;
+}
+
+async function windowCounts(from: number, to: number): Promise<WindowCounts> {
+  if (useDb()) return tally(await dbWindowCounts(new Date(from), new Date(to)));
+  return tally(readEventsInRange(from, to).map(e => {
+    const m = e.m || {};
+    return {
+      evt: e.evt, hits: 1,
+      exit_code: e.evt === 'java.run.completed' ? String(m.exit ?? 0) : '',
+      error_phase: e.evt === 'java.run.error' ? String(m.phase || '') : ''
+    };
+  }));
+}
+
+// A rule's current value, or null when there is not enough data to judge it.
+// `counts` caches window counts across the rules of one evaluation.
+async function metricValue(rule: AlertRule, now: number, counts: (from: number, to: number) => Promise<WindowCounts>): Promise<number | null> {
+  if (rule.metric === 'db_healthy') return (await getStorage().health())?.ok ? 1 : 0;
+  if (rule.metric === 'spool_bytes') return spoolStatus().bytes;
+  const round = (v: number) => +v.toFixed(4);
+  const count = (c: WindowCounts) => (rule.evt ? c.byEvt[rule.evt] || 0 : c.events);
+  if (rule.metric === 'events_change') {
+    // Whole hours only, so both sides cover the same span of rolled-up data
+    const to = floorHour(now), from = to - Math.ceil(rule.windowMs / HOUR) * HOUR;
+    const week = 7 * 86400000;
+    const prev = count(await counts(from - week, to - week));
+    if (prev < Math.max(1, rule.minSamples)) return null;
+    return round(count(await counts(from, to)) / prev);
+  }
+  const c = await counts(floorHour(now - rule.windowMs), now);
+  if (rule.metric === 'events') return count(c);
+  const rate = RATES[rule.metric]!;
+  const n = rate.trials(c);
+  return n && n >= rule.minSamples ? round(rate.hits(c) / n) : null;
+}
+
+function breaches(rule: AlertRule, v: number): boolean {
+  switch (rule.op) {
+    case '>': return v > rule.threshold;
+    case '>=': return v >= rule.threshold;
+    case '<': return v < rule.threshold;
+    case '<=': return v <= rule.threshold;
+  }
+}
+
+// Next state for a new value; no data leaves the state as it was
+function advance(rule: AlertRule, prev: AlertState, value: number | null, now: number): AlertState {
+  const s: AlertState = { ...prev, value, evaluatedAt: iso(now) };
+  if (value === null) return s;
+  if (!breaches(rule, value)) {
+    if (s.state !== 'ok') { s.state = 'ok'; s.since = iso(now); }
+  } else if (s.state === 'ok') {
+    s.state = rule.forMs ? 'pending' : 'firing';
+    s.since = iso(now);
+  } else if (s.state === 'pending' && now - Date.parse(s.since!) >= rule.forMs) {
+    s.state = 'firing';
+    s.since = iso(now);
+  }
+  return s;
+}
+
+// What the webhooks should be told now, if anything
+function due(rule: AlertRule, s: AlertState, now: number): 'firing' | 'resolved' | null {
+  if (s.state === 'firing') {
+    if (s.notified !== 'firing') return 'firing';
+    return rule.repeatMs && now - Date.parse(s.notifiedAt!) >= rule.repeatMs ? 'firing' : null;
+  }
+  return s.notified === 'firing' || s.delivering?.status === 'firing' ? 'resolved' : null;
+}
+
+// `text` is what Slack and Teams incoming webhooks display; the rest is for generic receivers
+function payload(rule: AlertRule, s: AlertState, status: 'firing' | 'resolved' | 'test', removed = false) {
+  const value = s.value === null ? 'no data' : String(s.value);
+  const scope = rule.metric === 'db_healthy' || rule.metric === 'spool_bytes' ? '' : ` over ${rule.window}`;
+  const text = removed
+    ? `[${status.toUpperCase()}] ${rule.name}: rule removed`
+    : `[${status.toUpperCase()}] ${rule.name}: ${rule.metric}${rule.evt ? `(${rule.evt})` : ''} = ${value} (alert when ${rule.op} ${rule.threshold}${scope})`;
+  return {
+    text,
+    status,
+    ...(removed ? { removed: true } : {}),
+    alert: {
+      id: rule.id, name: rule.name, severity: rule.severity, metric: rule.metric, evt: rule.evt ?? null,
+      op: rule.op, threshold: rule.threshold, window: rule.window,
+      value: s.value, state: s.state, since: s.since, at: new Date().toISOString()
+    }
+  };
+}
+
+// POST to one webhook; true when it accepted the notification
+async function post(url: string, body: any): Promise<boolean> {
+  // Webhook URLs carry their secret in the path; log the host only
+  const host = new URL(url).host;
+  try {
+    const res = await fetch(url, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(10000)
+    });
+    if (!res.ok) log.warn('[alerts] webhook rejected', { host, status: res.status });
+    return res.ok;
+  } catch (e: any) {
+    log.error('[alerts] webhook failed', { host, error: String(e?.message || e) });
+    return false;
+  }
+}
+
+// POST to every webhook; true only when all of them accepted it
+async function deliver(urls: string[], body: any): Promise<boolean> {
+  let ok = true;
+  for (const url of urls) if (!(await post(url, body))) ok = false;
+  return ok;
+}
+
+// Stored in place of the URL, which holds the webhook's secret
+const urlKey = (url: string) => crypto.createHash('sha256').update(url).digest('hex').slice(0, 16);
+
+function storedRule({ webhooks, ...rule }: AlertRule): StoredRule {
+  return { ...rule, webhookKeys: webhooks.map(urlKey) };
+}
+
+// Send `status` to the rule's webhooks that have not accepted it yet. Once every one has, it counts
+// as notified; until then the next evaluation retries the rest.
+async function notify(rule: AlertRule, s: AlertState, status: 'firing' | 'resolved' | null, now: number, removed = false) {
+  if (!status) {
+    s.delivering = null;
+    return;
+  }
+  if (s.delivering?.status !== status) s.delivering = { status, to: [] };
+  const sent = s.delivering;
+  const body = payload(rule, s, status, removed);
+  for (const url of rule.webhooks) {
+    if (!sent.to.includes(urlKey(url)) && await post(url, body)) sent.to.push(urlKey(url));
+  }
+  if (rule.webhooks.every(u => sent.to.includes(urlKey(u)))) {
+    s.notified = status;
+    s.notifiedAt = iso(now);
+    s.delivering = null;
+  }
+}
+
+// Last known state per rule. The stored copy wins unless this process evaluated more recently
+// (as it does while the database is unreachable).
+let memory = new Map<string, AlertState>();
+
+function initial(ruleId: string): AlertState {
+  return { ruleId, state: 'ok', since: null, value: null, evaluatedAt: null, notified: null, notifiedAt: null, delivering: null, rule: null };
+}
+
+function merge(stored: AlertState[]) {
+  for (const s of stored) {
+    const m = memory.get(s.ruleId);
+    if (!m || (s.evaluatedAt || '') >= (m.evaluatedAt || '')) memory.set(s.ruleId, s);
+  }
+}
+
+function readStateFile(): AlertState[] {
+  try { return JSON.parse(fs.readFileSync(stateFile(), 'utf8')); } catch { return []; }
+}
+
+function writeStateFile(states: AlertState[]) {
+  fs.mkdirSync(path.dirname(stateFile()), { recursive: true });
+  const tmp = stateFile() + '.tmp';
+  fs.writeFileSync(tmp, JSON.stringify(states, null, 2));
+  fs.renameSync(tmp, stateFile());
+}
+
+async function evaluateRules(rules: AlertRule[], now: number): Promise<AlertState[]> {
+  const cache = new Map<string, Promise<WindowCounts>>();
+  const counts = (from: number, to: number) => {
+    const k = `${from} ${to}`;
+    if (!cache.has(k)) cache.set(k, windowCounts(from, to));
+    return cache.get(k)!;
+  };
+  const out: AlertState[] = [];
+  for (const rule of rules) {
+    let value: number | null = null;
+    try { value = await metricValue(rule, now, counts); }
+    catch (e: any) { log.error('[alerts] metric failed', { rule: rule.id, metric: rule.metric, error: String(e?.message || e) }); }
+    const prev = memory.get(rule.id) || initial(rule.id);
+    const s = advance(rule, prev, value, now);
+    if (s.state !== prev.state) log.info('[alerts] state', { rule: rule.id, from: prev.state, to: s.state, value });
+    await notify(rule, s, due(rule, s, now), now);
+    s.rule = s.notified === 'firing' || s.delivering ? storedRule(rule) : null;
+    out.push(s);
+  }
+  // A rule removed while its webhooks think it is firing is resolved; its state is kept until all of them
+  // have that. Only webhooks still configured somewhere can be found again from their urlKey.
+  const ids = new Set(rules.map(r => r.id));
+  const known = new Map([...CONFIG.ALERT_WEBHOOK_URLS, ...rules.flatMap(r => r.webhooks)].map(u => [urlKey(u), u]));
+  for (const prev of memory.values()) {
+    if (ids.has(prev.ruleId) || !prev.rule || (prev.notified !== 'firing' && !prev.delivering)) continue;
+    const { webhookKeys, ...rest } = prev.rule;
+    const webhooks = webhookKeys.flatMap(k => (known.has(k) ? [known.get(k)!] : []));
+    if (webhooks.length < webhookKeys.length) log.info('[alerts] removed rule: some webhooks are no longer configured, not resolving there', { rule: prev.ruleId, missing: webhookKeys.length - webhooks.length });
+    const s: AlertState = { ...prev, state: 'ok', since: prev.state === 'ok' ? prev.since : iso(now), evaluatedAt: iso(now) };
+    await notify({ ...rest, webhooks }, s, 'resolved', now, true);
+    if (s.delivering) out.push(s);
+    else log.info('[alerts] removed rule resolved', { rule: prev.ruleId });
+  }
+  memory = new Map(out.map(s => [s.ruleId, s]));
+  return out;
+}
+
+let running = false;
+let loaded = false;
+
+// One evaluation of every rule. False when skipped (one already running, or another replica has it).
+export async function evaluateAlerts(now = Date.now()): Promise<boolean> {
+  if (running) return false;
+  running = true;
+  try {
+    const { rules } = loadAlertRules();
+    // Stored states are read at least once, so rules removed before a restart are still resolved
+    if (!rules.length && !memory.size && loaded) return true;
+    loaded = true;
+    if (!useDb()) {
+      merge(readStateFile());
+      writeStateFile(await evaluateRules(rules, now));
+      return true;
+    }
+    try {
+      const done = await dbWithAlertLock(async () => {
+        merge(await dbAlertStates());
+        await dbSaveAlertStates(await evaluateRules(rules, now));
+        return true;
+      });
+      return done ?? false;
+    } catch (e) {
+      if (!dbUnavailable(e)) throw e;
+      log.warn('[alerts] database unreachable; evaluating from memory', { error: String((e as any)?.message || e) });
+      await evaluateRules(rules, now);
+      return true;
+    }
+  } finally {
+    running = false;
+  }
+}
+
+export function startAlerts() {
+  const tick = () => evaluateAlerts().catch(e => log.error('[alerts] evaluation error', { error: String(e?.message || e) }));
+  tick();
+  setInterval(tick, Math.max(5000, CONFIG.ALERT_INTERVAL_MS)).unref();
+}
+
+// Rules with their current state, for GET /alerts. Webhooks are reduced to their hosts.
+export async function alertStatus() {
+  const { rules, errors } = loadAlertRules();
+  try { merge(useDb() ? await dbAlertStates() : readStateFile()); }
+  catch (e: any) { if (!dbUnavailable(e)) throw e; }
+  return {
+    intervalMs: Math.max(5000, CONFIG.ALERT_INTERVAL_MS),
+    errors,
+    alerts: rules.map(({ windowMs, forMs, repeatMs, webhooks, ...r }) => {
+      const { ruleId, rule, delivering, ...state } = memory.get(r.id) || initial(r.id);
+      return { ...r, webhooks: webhooks.map(u => new URL(u).host), ...state };
+    })
+  };
+}
+
+// Send a test notification for one rule; null for an unknown rule
+export async function testAlert(id: string): Promise<{ webhooks: number; delivered: boolean } | null> {
+  const rule = loadAlertRules().rules.find(r => r.id === id);
+  if (!rule) return null;
+  const s = memory.get(id) || initial(id);
+  return { webhooks: rule.webhooks.length, delivered: rule.webhooks.length ? await deliver(rule.webhooks, payload(rule, s, 'test')) : false };
+}
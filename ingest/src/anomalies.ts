@@ -0,0 +1,142 @@
+import { CONFIG } from './config.js';
+import { dbHourlyCounts } from './db.js';
+import { useDb } from './storage.js';
+import { readEventsInRange, eventTime } from './stats.js';
+
+// Unusual hours. Each event type's hourly volume is compared with the same UTC hour-of-week in the
+// previous ANOMALY_BASELINE_WEEKS weeks: expected is their median, the spread their MAD, but never
+// below the Poisson √expected so quiet series do not flag on noise. Outcome rates are compared with
+// the same hours' pooled rate by a two-proportion z-test. Weeks before the first data in range do
+// not count towards the baseline, and an hour needs MIN_BASELINE_WEEKS of them to be judged.
+
+export type AnomalyKind = 'volume' | 'rate';
+export type AnomalyDirection = 'spike' | 'drop';
+
+export interface Anomaly {
+  at: string;                  // start of the UTC hour
+  kind: AnomalyKind;
+  series: string;              // event name, or rate metric
+  direction: AnomalyDirection;
+  observed: number;            // events, or the hour's rate
+  expected: number;            // baseline median, or pooled baseline rate
+  z: number;
+  trials?: number;             // runs behind an observed rate
+  baselineWeeks: number;
+}
+
+export interface AnomalyQuery {
+  from: Date;
+  to: Date;                    // exclusive; the current, unfinished hour is never judged
+  z: number;
+  evt?: string;                // only this event's volume
+  kind?: AnomalyKind;
+  direction?: AnomalyDirection;
+}
+
+export const MIN_BASELINE_WEEKS = 3;
+const MIN_COUNT = 5;           // hours where observed and expected are both below this are skipped
+const MIN_TRIALS = 20;         // runs in the hour (and in the baseline) for a rate to be judged
+const HOUR = 3600000, WEEK = 7 * 86400000;
+
+type Outcome = 'started' | 'completed' | 'ok' | 'ctrlc' | 'compile' | 'runtime';
+
+// Same names as the alert metrics
+const RATE_SERIES: Record<string, { trials: Outcome; hits: Outcome }> = {
+  success_rate: { trials: 'completed', hits: 'ok' },
+  ctrl_c_rate: { trials: 'completed', hits: 'ctrlc' },
+  compile_error_rate: { trials: 'started', hits: 'compile' },
+  runtime_error_rate: { trials: 'started', hits: 'runtime' }
+};
+
+const round = (v: number, d = 4) => +v.toFixed(d);
+
+function median(xs: number[]): number {
+  const s = [...xs].sort((a, b) => a - b), mid = s.length >> 1;
+  return s.length % 2 ? s[mid] : (s[mid - 1] + s[mid]) / 2;
+}
+
+interface HourlyData {
+  volume: Map<number, Map<string, number>>;                  // hour → evt → events
+  outcomes: Map<number, Partial<Record<Outcome, number>>>;   // hour → run outcome counts
+  first: number;                                             // first hour with any event
+}
+
+function collect(rows: Iterable<{ hour: number; evt: string; outcome: string; hits: number }>): HourlyData {
+  const d: HourlyData = { volume: new Map(), outcomes: new Map(), first: Infinity };
+  for (const r of rows) {
+    if (!d.volume.has(r.hour)) d.volume.set(r.hour, new Map());
+    const v = d.volume.get(r.hour)!;
+    v.set(r.evt, (v.get(r.evt) || 0) + r.hits);
+    d.first = Math.min(d.first, r.hour);
+    const tags: Outcome[] = [];
+    if (r.evt === 'java.run.started') tags.push('started');
+    if (r.evt === 'java.run.completed') tags.push('completed');
+    if (r.outcome) tags.push(r.outcome as Outcome);
+    if (!tags.length) continue;
+    if (!d.outcomes.has(r.hour)) d.outcomes.set(r.hour, {});
+    const o = d.outcomes.get(r.hour)!;
+    for (const t of tags) o[t] = (o[t] || 0) + r.hits;
+  }
+  return d;
+}
+
+async function hourlyData(from: number, to: number): Promise<HourlyData> {
+  if (useDb()) {
+    const rows = await dbHourlyCounts(new Date(from), new Date(to));
+    return collect(rows.map(r => ({ hour: new Date(r.bucket).getTime(), evt: r.evt, outcome: r.outcome, hits: Number(r.hits) })));
+  }
+  return collect(readEventsInRange(from, to).map(e => {
+    const m = e.m || {};
+    const exit = String(m.exit ?? 0);
+    const outcome = e.evt === 'java.run.completed' ? (exit === '0' ? 'ok' : exit === '130' ? 'ctrlc' : '')
+      : e.evt === 'java.run.error' ? (m.phase === 'compile' ? 'compile' : m.phase ? 'runtime' : '')
+      : '';
+    return { hour: Math.floor(eventTime(e) / HOUR) * HOUR, evt: String(e.evt || 'unknown'), outcome, hits: 1 };
+  }));
+}
+
+export async function detectAnomalies(q: AnomalyQuery): Promise<{ baselineWeeks: number; z: number; anomalies: Anomaly[] }> {
+  const weeks = Math.max(MIN_BASELINE_WEEKS, CONFIG.ANOMALY_BASELINE_WEEKS);
+  const end = Math.min(q.to.getTime(), Math.floor(Date.now() / HOUR) * HOUR);
+  const start = Math.ceil(q.from.getTime() / HOUR) * HOUR;
+  const out: Anomaly[] = [];
+  if (start >= end) return { baselineWeeks: weeks, z: q.z, anomalies: out };
+  const d = await hourlyData(start - weeks * WEEK, end);
+  const evts = q.evt ? [q.evt] : [...new Set([...d.volume.values()].flatMap(m => [...m.keys()]))];
+  for (let h = start; h < end; h += HOUR) {
+    const base: number[] = [];
+    for (let k = 1; k <= weeks && h - k * WEEK >= d.first; k++) base.push(h - k * WEEK);
+    if (base.length < MIN_BASELINE_WEEKS) continue;
+    const at = new Date(h).toISOString();
+    const flag = (a: Omit<Anomaly, 'at' | 'direction' | 'baselineWeeks'>) => {
+      if (Math.abs(a.z) >= q.z) out.push({ at, ...a, direction: a.z > 0 ? 'spike' : 'drop', baselineWeeks: base.length });
+    };
+    if (q.kind !== 'rate') {
+      for (const evt of evts) {
+        const x = d.volume.get(h)?.get(evt) || 0;
+        const past = base.map(b => d.volume.get(b)?.get(evt) || 0);
+        const expected = median(past);
+        if (x < MIN_COUNT && expected < MIN_COUNT) continue;
+        const sd = Math.max(1.4826 * median(past.map(p => Math.abs(p - expected))), Math.sqrt(Math.max(expected, 1)));
+        flag({ kind: 'volume', series: evt, observed: x, expected: round(expected, 1), z: round((x - expected) / sd, 2) });
+      }
+    }
+    if (q.kind !== 'volume' && !q.evt) {
+      for (const [series, r] of Object.entries(RATE_SERIES)) {
+        const o = d.outcomes.get(h) || {};
+        const n = o[r.trials] || 0;
+        let N = 0, H = 0;
+        for (const b of base) { N += d.outcomes.get(b)?.[r.trials] || 0; H += d.outcomes.get(b)?.[r.hits] || 0; }
+        if (n < MIN_TRIALS || N < MIN_TRIALS) continue;
+        // Half a hit of smoothing keeps a baseline of 0% or 100% from having no variance
+        const p0 = (H + 0.5) / (N + 1), p = (o[r.hits] || 0) / n;
+        const se = Math.sqrt(p0 * (1 - p0) * (1 / n + 1 / N));
+        flag({ kind: 'rate', series, observed: round(p), expected: round(p0), z: round((p - p0) / se, 2), trials: n });
+      }
+    }
+  }
+  const anomalies = out
+    .filter(a => !q.direction || a.direction === q.direction)
+    .sort((a, b) => b.at.localeCompare(a.at) || Math.abs(b.z) - Math.abs(a.z));
+  return { baselineWeeks: weeks, z: q.z, anomalies };
+}
@@ -0,0 +1,148 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import type { FastifyInstance, FastifyRequest } from 'fastify';
+import { CONFIG } from './config.js';
+import { dbApiKeyInsert, dbApiKeyGet, dbApiKeyList, dbApiKeyRevoke, dbApiKeyTouch } from './db.js';
+import { useDb } from './storage.js';
+import { log } from './logger.js';
+
+// Scoped API keys. A key looks like `jwc_<id>_<secret>`; only its SHA-256 is stored, in api_keys (pg)
+// or API_KEYS_FILE (file backend). Routes declare the scope they need in their config and one
+// onRequest hook enforces it. `admin` satisfies every scope.
+
+export type Scope = 'ingest' | 'read-stats' | 'read-raw' | 'admin';
+export const SCOPES: Scope[] = ['ingest', 'read-stats', 'read-raw', 'admin'];
+
+declare module 'fastify' {
+  interface FastifyContextConfig {
+    // 'public' routes skip the hook; everything else must name a scope
+    scope?: Scope | 'public';
+  }
+}
+
+export interface ApiKey {
+  id: string;
+  name: string;
+  scopes: Scope[];
+  createdAt: string;
+  expiresAt: string | null;
+  revokedAt: string | null;
+  lastUsedAt: string | null;
+}
+
+export interface StoredApiKey extends ApiKey { hash: string; }
+
+// Keys that exist are cached this long, so a revocation takes up to a minute to apply. Unknown IDs
+// are not cached: anyone can send them, so the cache would grow with every guess.
+const CACHE_MS = 60_000;
+const cache = new Map<string, { key: StoredApiKey; at: number }>();
+
+function keysFile() { return CONFIG.API_KEYS_FILE || path.join(CONFIG.LOG_DIR, 'api-keys.json'); }
+
+function readFileKeys(): StoredApiKey[] {
+  try { return JSON.parse(fs.readFileSync(keysFile(), 'utf8')); } catch { return []; }
+}
+
+function writeFileKeys(keys: StoredApiKey[]) {
+  fs.mkdirSync(path.dirname(keysFile()), { recursive: true });
+  const tmp = keysFile() + '.tmp';
+  fs.writeFileSync(tmp, JSON.stringify(keys, null, 2), { mode: 0o600 });
+  fs.renameSync(tmp, keysFile());
+}
+
+function hashKey(key: string): string {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// Returns the plaintext key; it is not stored and cannot be shown again
+export async function createApiKey(name: string, scopes: Scope[], expiresAt: Date | null): Promise<{ key: string; apiKey: ApiKey }> {
+  const bad = scopes.filter(s => !SCOPES.includes(s));
+  if (!scopes.length || bad.length) throw new Error(`scopes must be some of ${SCOPES.join(', ')}${bad.length ? ` (got ${bad.join(', ')})` : ''}`);
+  const id = crypto.randomBytes(6).toString('hex');
+  const key = `jwc_${id}_${crypto.randomBytes(24).toString('base64url')}`;
+  const stored: StoredApiKey = {
+    id, name, scopes, hash: hashKey(key),
+    createdAt: new Date().toISOString(),
+    expiresAt: expiresAt ? expiresAt.toISOString() : null,
+    revokedAt: null,
+    lastUsedAt: null
+  };
+  if (useDb()) await dbApiKeyInsert(stored);
+  else writeFileKeys([...readFileKeys(), stored]);
+  const { hash, ...apiKey } = stored;
+  return { key, apiKey };
+}
+
+export async function listApiKeys(): Promise<ApiKey[]> {
+  const keys = useDb() ? await dbApiKeyList() : readFileKeys();
+  return keys.map(({ hash, ...k }) => k);
+}
+
+export async function revokeApiKey(id: string): Promise<boolean> {
+  cache.delete(id);
+  if (useDb()) return dbApiKeyRevoke(id);
+  const keys = readFileKeys();
+  const k = keys.find(x => x.id === id && !x.revokedAt);
+  if (!k) return false;
+  k.revokedAt = new Date().toISOString();
+  writeFileKeys(keys);
+  return true;
+}
+
+async function findKey(id: string): Promise<StoredApiKey | null> {
+  const now = Date.now();
+  const hit = cache.get(id);
+  if (hit && now - hit.at < CACHE_MS) return hit.key;
+  // Expired entries go on every miss, so keys that were deleted or stopped being used do not linger
+  for (const [k, e] of cache) if (now - e.at >= CACHE_MS) cache.delete(k);
+  const key = useDb() ? await dbApiKeyGet(id) : readFileKeys().find(k => k.id === id) || null;
+  if (!key) return null;
+  cache.set(id, { key, at: now });
+  // Refresh last_used_at at most once per cache period
+  if (useDb()) dbApiKeyTouch(id).catch(() => {});
+  return key;
+}
+
+// The key from `Authorization: Bearer <key>` or `X-API-Key`, if valid, unexpired and unrevoked
+export async function authenticate(req: FastifyRequest): Promise<ApiKey | null> {
+  const authz = String(req.headers['authorization'] || '');
+  const raw = /^Bearer\s+(\S+)$/i.exec(authz)?.[1] || String(req.headers['x-api-key'] || '');
+  const m = /^jwc_([0-9a-f]{12})_[A-Za-z0-9_-]+$/.exec(raw);
+  if (!m) return null;
+  const key = await findKey(m[1]);
+  if (!key) return null;
+  const a = Buffer.from(hashKey(raw), 'hex'), b = Buffer.from(key.hash, 'hex');
+  if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) return null;
+  if (key.revokedAt) return null;
+  if (key.expiresAt && Date.parse(key.expiresAt) <= Date.now()) return null;
+  const { hash, ...apiKey } = key;
+  return apiKey;
+}
+
+export function hasScope(key: ApiKey, scope: Scope): boolean {
+  return key.scopes.includes('admin') || key.scopes.includes(scope);
+}
+
+// The key a request was authorized with (set by the hook), e.g. for audit records
+export function requestKey(req: FastifyRequest): ApiKey | null {
+  return (req as any).apiKey || null;
+}
+
+export function registerAuth(app: FastifyInstance) {
+  if (process.env.STATS_SECRET) log.warn('auth: STATS_SECRET is no longer used; mint an admin key with `npm run keys -- create`');
+  app.addHook('onRequest', async (req, reply) => {
+    // Unmatched URLs fall through to the 404 handler
+    if (!req.routeOptions.url) return;
+    const scope = req.routeOptions.config?.scope;
+    if (scope === 'public') return;
+    if (scope === 'ingest' && !CONFIG.INGEST_REQUIRE_KEY) return;
+    if (scope === 'read-stats' && CONFIG.STATS_PUBLIC) return;
+    const key = await authenticate(req);
+    if (!key) return reply.code(401).send({ error: 'unauthorized' });
+    // Routes without a declared scope are admin-only
+    const need: Scope = scope || 'admin';
+    if (!hasScope(key, need)) return reply.code(403).send({ error: 'forbidden', scope: need });
+    (req as any).apiKey = key;
+  });
+}
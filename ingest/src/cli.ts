@@ -0,0 +1,7 @@
+// Helpers shared by the command-line entry points (keys, privacy, export).
+
+// The value after `name` in argv, e.g. flag(args, '--from')
+export function flag(args: string[], name: string): string | undefined {
+  const i = args.indexOf(name);
+  return i >= 0 ? args[i + 1] : undefined;
+}
@@ -0,0 +1,196 @@
+import { dbVersionCounts, dbVersionDurations } from './db.js';
+import { useDb } from './storage.js';
+import { readEventsInRange, percentile } from './stats.js';
+
+// Side-by-side report for two extension versions over the same window. Rates are compared with a
+// two-proportion z-test, run durations with a Mann-Whitney U test (normal approximation, no tie
+// correction), each exception's per-run rate with the same z-test. A difference is flagged only when
+// p < alpha and both sides have at least MIN_TRIALS trials.
+
+export const MIN_TRIALS = 30;
+
+export interface VersionCounts {
+  students: number;
+  started: number;
+  completed: number;
+  exits: Record<string, number>;
+  compileErrors: number;
+  runtimeErrors: number;
+  exceptions: Record<string, number>;
+}
+
+export interface DurationSummary { n: number; p50: number | null; p90: number | null; p99: number | null; rankSum: number; }
+
+export interface Test {
+  metric: string;
+  a: number | null;
+  b: number | null;
+  diff: number | null;        // b - a
+  z: number | null;
+  p: number | null;
+  significant: boolean;
+  direction: 'better' | 'worse' | null;   // b relative to a, when significant and the metric has a good side
+}
+
+const RATE_METRICS: Array<{ metric: string; higherIsBetter: boolean; trials: (c: VersionCounts) => number; hits: (c: VersionCounts) => number }> = [
+  { metric: 'successRate', higherIsBetter: true, trials: c => c.completed, hits: c => c.exits['0'] || 0 },
+  { metric: 'ctrlCRate', higherIsBetter: false, trials: c => c.completed, hits: c => c.exits['130'] || 0 },
+  { metric: 'compileErrorRate', higherIsBetter: false, trials: c => c.started, hits: c => c.compileErrors },
+  { metric: 'runtimeErrorRate', higherIsBetter: false, trials: c => c.started, hits: c => c.runtimeErrors }
+];
+
+// Standard normal CDF (Abramowitz & Stegun 7.1.26, |error| < 1.5e-7)
+function phi(z: number): number {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+const twoSided = (z: number) => 2 * (1 - phi(Math.abs(z)));
+const round = (v: number, d = 4) => +v.toFixed(d);
+
+function verdict(metric: string, a: number | null, b: number | null, z: number | null, alpha: number, enough: boolean, higherIsBetter: boolean | null): Test {
+  const p = z === null ? null : twoSided(z);
+  const significant = enough && p !== null && p < alpha;
+  return {
+    metric,
+    a: a === null ? null : round(a),
+    b: b === null ? null : round(b),
+    diff: a === null || b === null ? null : round(b - a),
+    z: z === null ? null : round(z, 3),
+    p: p === null ? null : round(p),
+    significant,
+    direction: significant && higherIsBetter !== null ? ((z! > 0) === higherIsBetter ? 'better' : 'worse') : null
+  };
+}
+
+// z for b's proportion minus a's, pooled variance
+function proportionTest(metric: string, hitsA: number, nA: number, hitsB: number, nB: number, alpha: number, higherIsBetter: boolean): Test {
+  const pa = nA ? hitsA / nA : null, pb = nB ? hitsB / nB : null;
+  let z: number | null = null;
+  if (nA && nB) {
+    const pool = (hitsA + hitsB) / (nA + nB);
+    const se = Math.sqrt(pool * (1 - pool) * (1 / nA + 1 / nB));
+    z = se ? (pb! - pa!) / se : 0;
+  }
+  return verdict(metric, pa, pb, z, alpha, nA >= MIN_TRIALS && nB >= MIN_TRIALS, higherIsBetter);
+}
+
+// z > 0 when b's durations tend to be longer than a's
+function durationTest(a: DurationSummary, b: DurationSummary, alpha: number): Test {
+  let z: number | null = null;
+  if (a.n && b.n) {
+    const uB = b.rankSum - b.n * (b.n + 1) / 2;
+    const sd = Math.sqrt(a.n * b.n * (a.n + b.n + 1) / 12);
+    z = (uB - a.n * b.n / 2) / sd;
+  }
+  // Longer runs are neither better nor worse in themselves (students may just be practising longer)
+  return verdict('durationMs', a.p50, b.p50, z, alpha, a.n >= MIN_TRIALS && b.n >= MIN_TRIALS, null);
+}
+
+export interface VersionReport {
+  version: string;
+  students: number;
+  runs: { started: number; completed: number; compileErrors: number; runtimeErrors: number };
+  rates: { successRate: number | null; ctrlCRate: number | null; compileErrorRate: number | null; runtimeErrorRate: number | null };
+  durations: { count: number; p50: number | null; p90: number | null; p99: number | null };
+  topExceptions: Array<{ hash: string; count: number; perRun: number }>;
+}
+
+function report(version: string, c: VersionCounts, d: DurationSummary): VersionReport {
+  const rate = (m: string) => { const r = RATE_METRICS.find(x => x.metric === m)!; const n = r.trials(c); return n ? round(r.hits(c) / n) : null; };
+  return {
+    version,
+    students: c.students,
+    runs: { started: c.started, completed: c.completed, compileErrors: c.compileErrors, runtimeErrors: c.runtimeErrors },
+    rates: { successRate: rate('successRate'), ctrlCRate: rate('ctrlCRate'), compileErrorRate: rate('compileErrorRate'), runtimeErrorRate: rate('runtimeErrorRate') },
+    durations: { count: d.n, p50: d.p50, p90: d.p90, p99: d.p99 },
+    topExceptions: Object.entries(c.exceptions).sort((x, y) => y[1] - x[1]).slice(0, 10)
+      .map(([hash, count]) => ({ hash, count, perRun: c.started ? round(count / c.started) : 0 }))
+  };
+}
+
+export async function compareVersions(a: string, b: string, from: Date, to: Date, alpha = 0.05) {
+  let counts: Record<string, VersionCounts>, durations: Record<string, DurationSummary>;
+  if (useDb()) {
+    const { rows, students } = await dbVersionCounts([a, b], from, to);
+    counts = tallyVersionRows([a, b], rows, students);
+    durations = await dbVersionDurations([a, b], from, to);
+  } else {
+    ({ counts, durations } = fileVersionData([a, b], from, to));
+  }
+  const ca = counts[a], cb = counts[b], da = durations[a], db = durations[b];
+  const ra = report(a, ca, da), rb = report(b, cb, db);
+  const tests = RATE_METRICS.map(r => proportionTest(r.metric, r.hits(ca), r.trials(ca), r.hits(cb), r.trials(cb), alpha, r.higherIsBetter));
+  tests.push(durationTest(da, db, alpha));
+  // Exceptions in either version's top 10, as a share of started runs
+  const hashes = [...new Set([...ra.topExceptions, ...rb.topExceptions].map(e => e.hash))];
+  const exceptions = hashes.map(h => ({ hash: h, ...proportionTest('perRun', ca.exceptions[h] || 0, ca.started, cb.exceptions[h] || 0, cb.started, alpha, false) }))
+    .map(({ metric, ...e }) => e)
+    .sort((x, y) => Math.abs(y.diff || 0) - Math.abs(x.diff || 0));
+  return { alpha, minTrials: MIN_TRIALS, a: ra, b: rb, tests, exceptions };
+}
+
+function emptyCounts(): VersionCounts {
+  return { students: 0, started: 0, completed: 0, exits: {}, compileErrors: 0, runtimeErrors: 0, exceptions: {} };
+}
+
+// Tally rows shaped like dbVersionCounts' (ext, evt, exit_code, error_phase, exception_hash, hits)
+function tallyVersionRows(versions: string[], rows: any[], students: Record<string, number>): Record<string, VersionCounts> {
+  const out: Record<string, VersionCounts> = {};
+  for (const v of versions) out[v] = { ...emptyCounts(), students: students[v] || 0 };
+  for (const r of rows) {
+    const c = out[r.ext];
+    if (!c) continue;
+    const n = Number(r.hits);
+    if (r.evt === 'java.run.started') c.started += n;
+    else if (r.evt === 'java.run.completed') { c.completed += n; c.exits[r.exit_code] = (c.exits[r.exit_code] || 0) + n; }
+    else if (r.evt === 'java.run.error') {
+      if (r.error_phase === 'compile') c.compileErrors += n; else if (r.error_phase) c.runtimeErrors += n;
+      if (r.exception_hash) c.exceptions[r.exception_hash] = (c.exceptions[r.exception_hash] || 0) + n;
+    }
+  }
+  return out;
+}
+
+function fileVersionData(versions: string[], from: Date, to: Date) {
+  const rows: any[] = [];
+  const anons: Record<string, Set<string>> = {};
+  const durs: Record<string, number[]> = {};
+  for (const v of versions) { anons[v] = new Set(); durs[v] = []; }
+  for (const e of readEventsInRange(from.getTime(), to.getTime())) {
+    const v = e.ext;
+    if (!anons[v]) continue;
+    anons[v].add(e.anon);
+    const m = e.m || {};
+    const done = e.evt === 'java.run.completed', err = e.evt === 'java.run.error';
+    rows.push({
+      ext: v, evt: e.evt, hits: 1,
+      exit_code: done ? String(m.exit ?? 0) : '',
+      error_phase: err ? String(m.phase || '') : '',
+      exception_hash: err ? String(m.exceptionHash || '') : ''
+    });
+    const d = Number(m.durationMs);
+    if (done && m.durationMs !== undefined && m.durationMs !== null && isFinite(d)) durs[v].push(d);
+  }
+  const students: Record<string, number> = {};
+  for (const v of versions) students[v] = anons[v].size;
+  // Mid-ranks over both versions together
+  const all = versions.flatMap(v => durs[v].map(d => ({ v, d }))).sort((x, y) => x.d - y.d);
+  const rankSum: Record<string, number> = {};
+  for (const v of versions) rankSum[v] = 0;
+  for (let i = 0; i < all.length;) {
+    let j = i;
+    while (j < all.length && all[j].d === all[i].d) j++;
+    const mid = (i + 1 + j) / 2;
+    for (let k = i; k < j; k++) rankSum[all[k].v] += mid;
+    i = j;
+  }
+  const durations: Record<string, DurationSummary> = {};
+  for (const v of versions) {
+    const s = durs[v].sort((x, y) => x - y);
+    durations[v] = { n: s.length, p50: percentile(s, 0.5), p90: percentile(s, 0.9), p99: percentile(s, 0.99), rankSum: rankSum[v] };
+  }
+  return { counts: tallyVersionRows(versions, rows, students), durations };
+}
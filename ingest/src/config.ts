@@ -1,16 +1,76 @@
+import { fileURLToPath } from 'url';
+
 export const CONFIG = {
   // HTTP server port: always prefer platform-injected PORT; never default to DB port
   PORT: Number.isFinite(parseInt(process.env.PORT || '', 10)) ? parseInt(process.env.PORT as string, 10) : 3000,
   LOG_DIR: process.env.LOG_DIR || '/opt/jwc-telemetry/logs/events-transformed',
   MAX_BODY: 64 * 1024,
-  YEARLY_SALT: process.env.YEARLY_SALT || 'jwc-2025-salt',
+  // Pseudonymization of anon IDs: one secret and/or `YYYY:secret` entries; see pseudonym.ts.
+  // Required while PSEUDONYMIZE is on
+  YEARLY_SALT: process.env.YEARLY_SALT || '',
+  PSEUDONYMIZE: !['0','false','no'].includes(String(process.env.PSEUDONYMIZE||'').toLowerCase()),
+  // Use one salt for every year so an install keeps the same stored ID across years
+  PSEUDONYM_CROSS_YEAR: ['1','true','yes'].includes(String(process.env.PSEUDONYM_CROSS_YEAR||'').toLowerCase()),
   GEO_DB: process.env.GEO_DB || '/opt/jwc-telemetry/geo/GeoLite2-City.mmdb',
   RATE_LIMIT_MAX: parseInt(process.env.RATE_LIMIT_MAX || '2000', 10),
   RATE_LIMIT_TIME_WINDOW: process.env.RATE_LIMIT_TIME_WINDOW || '1 hour',
-  STATS_SECRET: process.env.STATS_SECRET || '',
+  // API keys (see auth.ts); the file is used when STORAGE_BACKEND=file (defaults to LOG_DIR/api-keys.json)
+  API_KEYS_FILE: process.env.API_KEYS_FILE || '',
+  // Require an `ingest` key on POST /t (off: extension clients send no key)
+  INGEST_REQUIRE_KEY: ['1','true','yes'].includes(String(process.env.INGEST_REQUIRE_KEY||'').toLowerCase()),
+  // Serve /stats without a `read-stats` key
+  STATS_PUBLIC: ['1','true','yes'].includes(String(process.env.STATS_PUBLIC||'').toLowerCase()),
   STATS_WINDOW_DAYS: parseInt(process.env.STATS_WINDOW_DAYS || '7', 10),
+  // Days of raw events behind the /stats session lists (recent and ranked sessions), counted back from
+  // the end of the range or now
+  STATS_SESSION_DAYS: parseInt(process.env.STATS_SESSION_DAYS || '7', 10),
+  // /stats response cache (see statscache.ts): lifetime of an entry (0 disables), and how long one
+  // is still served after new events arrive
+  STATS_CACHE_TTL_MS: parseInt(process.env.STATS_CACHE_TTL_MS || '60000', 10),
+  STATS_CACHE_MIN_AGE_MS: parseInt(process.env.STATS_CACHE_MIN_AGE_MS || '5000', 10),
+  // Concurrent GET /stream connections per process
+  STREAM_MAX_CLIENTS: parseInt(process.env.STREAM_MAX_CLIENTS || '200', 10),
+  // Concurrent GET /export downloads per process; each holds a database connection while it streams
+  EXPORT_MAX_CONCURRENT: parseInt(process.env.EXPORT_MAX_CONCURRENT || '2', 10),
   PG_URL: process.env.PG_URL || '',
   PG_SSL: (process.env.PG_SSL || 'false').toLowerCase() === 'true',
+  // Event store: 'pg' (PostgreSQL) or 'file' (JSONL under LOG_DIR/json, no database needed)
+  STORAGE_BACKEND: ((process.env.STORAGE_BACKEND || 'pg').toLowerCase() === 'file' ? 'file' : 'pg') as 'pg' | 'file',
+  // Batch ingest: 'atomic' rolls back the whole batch on any insert error, 'best-effort' keeps the rows that succeed
+  INGEST_BATCH_MODE: ((process.env.INGEST_BATCH_MODE || 'best-effort').toLowerCase() === 'atomic' ? 'atomic' : 'best-effort') as 'atomic' | 'best-effort',
+  // Disk spool for events that could not reach PostgreSQL (defaults to LOG_DIR/spool); opt-in
+  SPOOL_ENABLED: ['1','true','yes'].includes(String(process.env.SPOOL_ENABLED||'').toLowerCase()),
+  SPOOL_DIR: process.env.SPOOL_DIR || '',
+  SPOOL_MAX_MB: parseInt(process.env.SPOOL_MAX_MB || '256', 10),
+  SPOOL_REPLAY_INTERVAL_MS: parseInt(process.env.SPOOL_REPLAY_INTERVAL_MS || '10000', 10),
+  // Hourly rollups behind /stats, advanced by a background job
+  ROLLUPS_ENABLED: !['0','false','no'].includes(String(process.env.ROLLUPS_ENABLED||'').toLowerCase()),
+  ROLLUP_INTERVAL_MS: parseInt(process.env.ROLLUP_INTERVAL_MS || '60000', 10),
+  // An exception seen again after this many days without occurrences counts as regressed
+  EXCEPTION_REGRESSION_DAYS: parseInt(process.env.EXCEPTION_REGRESSION_DAYS || '14', 10),
+  // Alert rules (JSON, see alerts.ts; defaults to LOG_DIR/alert-rules.json), re-read on every evaluation
+  ALERT_RULES_FILE: process.env.ALERT_RULES_FILE || '',
+  ALERT_INTERVAL_MS: parseInt(process.env.ALERT_INTERVAL_MS || '60000', 10),
+  // Comma-separated webhook URLs for rules that list none of their own
+  ALERT_WEBHOOK_URLS: (process.env.ALERT_WEBHOOK_URLS || '').split(',').map(s => s.trim()).filter(Boolean),
+  // Anomaly detection: weeks of the same hour-of-week that form the baseline, and the |z| that flags an hour
+  ANOMALY_BASELINE_WEEKS: parseInt(process.env.ANOMALY_BASELINE_WEEKS || '8', 10),
+  ANOMALY_Z: parseFloat(process.env.ANOMALY_Z || '4'),
+  // Drop events from installs whose latest consent event is telemetry.optout
+  CONSENT_ENABLED: !['0','false','no'].includes(String(process.env.CONSENT_ENABLED||'').toLowerCase()),
+  // Also erase an install's stored history when it opts out
+  CONSENT_PURGE_ON_OPTOUT: ['1','true','yes'].includes(String(process.env.CONSENT_PURGE_ON_OPTOUT||'').toLowerCase()),
+  // Range partitioning of telemetry_events on t: 'month', 'week', 'day' or 'none'
+  PARTITION_INTERVAL: (['week','day','none'].includes((process.env.PARTITION_INTERVAL || '').toLowerCase()) ? (process.env.PARTITION_INTERVAL as string).toLowerCase() : 'month') as 'month' | 'week' | 'day' | 'none',
+  PARTITION_PREMAKE: parseInt(process.env.PARTITION_PREMAKE || '3', 10),
+  // Rewrite an existing unpartitioned telemetry_events table into partitions at boot (copies every row)
+  PARTITION_CONVERT: ['1','true','yes'].includes(String(process.env.PARTITION_CONVERT||'').toLowerCase()),
+  // Raw events older than this are archived (JSONL) and dropped; 0 keeps them forever
+  RETENTION_DAYS: parseInt(process.env.RETENTION_DAYS || '0', 10),
+  RETENTION_ARCHIVE: !['0','false','no'].includes(String(process.env.RETENTION_ARCHIVE||'').toLowerCase()),
+  RETENTION_ARCHIVE_DIR: process.env.RETENTION_ARCHIVE_DIR || '',
+  // Event schema registry (JSON); reloaded on SIGHUP
+  EVENT_REGISTRY: process.env.EVENT_REGISTRY || fileURLToPath(new URL('../events.registry.json', import.meta.url)),
   // Debug/trace flags
   DEBUG_DB: ['1','true','yes'].includes(String(process.env.DEBUG_DB||'').toLowerCase()),
   DEBUG_STATS_TRACE: ['1','true','yes'].includes(String(process.env.DEBUG_STATS_TRACE||'').toLowerCase())
@@ -0,0 +1,140 @@
+import fs from 'fs';
+import path from 'path';
+import { CONFIG } from './config.js';
+import { dbConsentGet, dbConsentSet, dbConsentCounts } from './db.js';
+import { useDb } from './storage.js';
+import { consentId } from './pseudonym.js';
+import { log } from './logger.js';
+
+// Server-side consent: the latest telemetry.optout / telemetry.optin (by event time) per install.
+// While an install is opted out every other event it sends is dropped; the consent events themselves
+// are stored as the record of the choice. State lives in telemetry_consent (pg) or LOG_DIR/consent.jsonl
+// (file backend), keyed by consentId. Changes that could not be written are kept in memory, applied
+// to lookups and retried on the next batch. When the state cannot be read because PostgreSQL is down,
+// the batch is let through unresolved: the spool keeps each event's consentId with it and replay
+// checks again (optedOutSubjects) before inserting.
+
+type ConsentState = 'optout' | 'optin';
+interface Consent { state: ConsentState; at: number; }
+interface Change { subject: string; state: ConsentState; at: number; }
+
+const CONSENT_EVENTS: Record<string, ConsentState> = { 'telemetry.optout': 'optout', 'telemetry.optin': 'optin' };
+
+let fileState: Map<string, Consent> | null = null;
+let pending: Change[] = [];
+
+function consentFile() { return path.join(CONFIG.LOG_DIR, 'consent.jsonl'); }
+
+function newer(a: Consent | undefined, b: Consent): boolean {
+  return !a || b.at >= a.at;
+}
+
+function loadFile(): Map<string, Consent> {
+  if (fileState) return fileState;
+  fileState = new Map();
+  let lines: string[] = [];
+  try { lines = fs.readFileSync(consentFile(), 'utf8').split('\n').filter(Boolean); } catch {}
+  for (const line of lines) {
+    try {
+      const c = JSON.parse(line) as Change;
+      if (newer(fileState.get(c.subject), c)) fileState.set(c.subject, { state: c.state, at: c.at });
+    } catch {}
+  }
+  return fileState;
+}
+
+// `resolved` is false when the stored state could not be read; a strict lookup throws instead
+async function lookup(subjects: string[], strict = false): Promise<{ states: Map<string, Consent>; resolved: boolean }> {
+  const out = new Map<string, Consent>();
+  let resolved = true;
+  if (useDb()) {
+    try {
+      for (const r of await dbConsentGet(subjects)) out.set(r.subject, { state: r.state as ConsentState, at: new Date(r.changed_at).getTime() });
+    } catch (e: any) {
+      if (strict) throw e;
+      resolved = false;
+      log.warn('consent: lookup failed, using unsaved changes only', { error: String(e?.message || e) });
+    }
+  } else {
+    const st = loadFile();
+    for (const s of subjects) { const c = st.get(s); if (c) out.set(s, c); }
+  }
+  for (const c of pending) if (newer(out.get(c.subject), c)) out.set(c.subject, { state: c.state, at: c.at });
+  return { states: out, resolved };
+}
+
+async function save(changes: Change[]) {
+  const latest = new Map<string, Change>();
+  for (const c of [...pending, ...changes]) if (newer(latest.get(c.subject), c)) latest.set(c.subject, c);
+  const all = [...latest.values()];
+  if (!all.length) return;
+  if (!useDb()) {
+    const st = loadFile();
+    for (const c of all) {
+      fs.mkdirSync(path.dirname(consentFile()), { recursive: true });
+      fs.appendFileSync(consentFile(), JSON.stringify(c) + '\n');
+      if (newer(st.get(c.subject), c)) st.set(c.subject, { state: c.state, at: c.at });
+    }
+    pending = [];
+    return;
+  }
+  try {
+    await dbConsentSet(all);
+    pending = [];
+  } catch (e: any) {
+    pending = all;
+    log.error('consent: save failed, will retry', { pending: all.length, error: String(e?.message || e) });
+  }
+}
+
+// Decide which of a batch's (validated, not yet pseudonymized) events to keep, recording consent
+// changes. `optedOut` lists the client IDs that switched to opted out in this batch. When the stored
+// state could not be read, `unresolved` holds each event's consentId (null for consent events), to be
+// spooled with it.
+export async function applyConsent(evs: Array<{ anon: string; evt: string; t: number }>): Promise<{ keep: boolean[]; optedOut: string[]; unresolved: Array<string | null> | null }> {
+  if (!CONFIG.CONSENT_ENABLED) return { keep: evs.map(() => true), optedOut: [], unresolved: null };
+  const subjects = evs.map(e => consentId(e.anon));
+  const { states: current, resolved } = await lookup([...new Set(subjects)]);
+  const changes: Change[] = [];
+  const optedOut = new Set<string>();
+  const keep = evs.map((e, i) => {
+    const subject = subjects[i];
+    const state = CONSENT_EVENTS[e.evt];
+    if (state) {
+      const c = { state, at: e.t };
+      if (newer(current.get(subject), c)) {
+        if (state === 'optout' && current.get(subject)?.state !== 'optout') optedOut.add(e.anon);
+        if (state === 'optin') optedOut.delete(e.anon);
+        current.set(subject, c);
+        changes.push({ subject, ...c });
+      }
+      return true;
+    }
+    return current.get(subject)?.state !== 'optout';
+  });
+  // A purge also covers this batch's events from before the optout
+  if (CONFIG.CONSENT_PURGE_ON_OPTOUT) evs.forEach((e, i) => { if (!CONSENT_EVENTS[e.evt] && optedOut.has(e.anon)) keep[i] = false; });
+  await save(changes);
+  if (changes.length) log.info('consent: changed', { changes: changes.length, optedOut: optedOut.size });
+  return { keep, optedOut: [...optedOut], unresolved: resolved ? null : evs.map((e, i) => (CONSENT_EVENTS[e.evt] ? null : subjects[i])) };
+}
+
+// Which of these consentIds are opted out now, for spooled events whose consent was unresolved.
+// Throws while the state cannot be read, so replay waits rather than guessing.
+export async function optedOutSubjects(subjects: string[]): Promise<Set<string>> {
+  if (!subjects.length) return new Set();
+  const { states } = await lookup([...new Set(subjects)], true);
+  return new Set([...states].filter(([, c]) => c.state === 'optout').map(([s]) => s));
+}
+
+// Current opt-out/opt-in totals plus changes whose event time falls in [from, to)
+export async function consentCounts(from: Date, to: Date) {
+  if (useDb()) return dbConsentCounts(from, to);
+  const out = { optedOut: 0, optedIn: 0, optOutsWindow: 0, optInsWindow: 0 };
+  for (const c of loadFile().values()) {
+    const inWindow = c.at >= from.getTime() && c.at < to.getTime();
+    if (c.state === 'optout') { out.optedOut++; if (inWindow) out.optOutsWindow++; }
+    else { out.optedIn++; if (inWindow) out.optInsWindow++; }
+  }
+  return out;
+}
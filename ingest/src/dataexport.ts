@@ -0,0 +1,223 @@
+import { ParquetWriter, ByteWriter } from 'hyparquet-writer';
+import type { SchemaElement } from 'hyparquet-writer';
+import { dbExportEvents, eventRow } from './db.js';
+import { useDb } from './storage.js';
+import { eventsInRangeByDay, WindowStatsResult } from './stats.js';
+import { csvCell } from './subjects.js';
+
+// Bulk exports for analysis outside the dashboard (pandas, R): raw events for a range and filter set,
+// or one of the /stats tables, as CSV, NDJSON or Parquet. Everything is produced as an async stream
+// of chunks, so an export of millions of events holds one batch at a time: PostgreSQL is read through
+// a server-side cursor (dbExportEvents) and the file backend one day file at a time. Events come
+// oldest first from PostgreSQL; from files they come in the order they were received, sorted within
+// each day file.
+
+export const EXPORT_FORMATS = ['csv', 'ndjson', 'parquet'] as const;
+export type ExportFormat = typeof EXPORT_FORMATS[number];
+
+export const EXPORT_FILTERS = ['evt', 'os', 'ext', 'vscode', 'country', 'anon', 'session_id', 'exit_code', 'error_phase'] as const;
+export type ExportFilter = typeof EXPORT_FILTERS[number];
+
+export interface EventExport {
+  from: Date;
+  to: Date;
+  filters: Partial<Record<ExportFilter, string[]>>;
+}
+
+type ColumnType = 'string' | 'int' | 'double' | 'bool' | 'timestamp' | 'json';
+interface Column { name: string; type: ColumnType; }
+
+export interface ExportSource {
+  columns: Column[];
+  batches: AsyncIterable<Record<string, any>[]>;
+}
+
+export const EXPORT_CONTENT_TYPES: Record<ExportFormat, string> = {
+  csv: 'text/csv; charset=utf-8',
+  ndjson: 'application/x-ndjson',
+  parquet: 'application/vnd.apache.parquet'
+};
+
+const EVENT_COLUMNS: Column[] = [
+  { name: 't', type: 'timestamp' },
+  { name: 'anon', type: 'string' },
+  { name: 'evt', type: 'string' },
+  { name: 'os', type: 'string' },
+  { name: 'ext', type: 'string' },
+  { name: 'vscode', type: 'string' },
+  { name: 'country', type: 'string' },
+  { name: 'region', type: 'string' },
+  { name: 'session_id', type: 'string' },
+  { name: 'duration_ms', type: 'int' },
+  { name: 'wait_ms_total', type: 'int' },
+  { name: 'exit_code', type: 'int' },
+  { name: 'out_bytes_bucket', type: 'string' },
+  { name: 'scanner_usage', type: 'bool' },
+  { name: 'truncated_output', type: 'bool' },
+  { name: 'error_phase', type: 'string' },
+  { name: 'exception_hash', type: 'string' },
+  { name: 'm', type: 'json' }
+];
+
+const TOP_COLUMNS: Column[] = [{ name: 'key', type: 'string' }, { name: 'count', type: 'int' }, { name: 'pct', type: 'double' }];
+
+// The /stats tables, flattened to rows: the top lists as they are, the daily series one row per day
+// (and OS or exit code)
+const STATS_TABLES: Record<string, { columns: Column[]; rows(s: WindowStatsResult): Record<string, any>[] }> = {
+  eventsTop: { columns: TOP_COLUMNS, rows: s => s.tables.eventsTop },
+  extTop: { columns: TOP_COLUMNS, rows: s => s.tables.extTop },
+  vscodeTop: { columns: TOP_COLUMNS, rows: s => s.tables.vscodeTop },
+  exitTop: { columns: TOP_COLUMNS, rows: s => s.tables.exitTop },
+  exceptionsTop: { columns: TOP_COLUMNS, rows: s => s.tables.exceptionsTop },
+  daily: {
+    columns: [{ name: 'date', type: 'string' }, { name: 'hits', type: 'int' }, { name: 'uniques', type: 'int' }],
+    rows: s => s.daily.dates.map((date, i) => ({ date, hits: s.daily.hits[i], uniques: s.daily.uniques[i] }))
+  },
+  dailyOs: {
+    columns: [{ name: 'date', type: 'string' }, { name: 'os', type: 'string' }, { name: 'hits', type: 'int' }],
+    rows: s => s.dailyOs.labels.flatMap((date, i) => s.dailyOs.series.map(x => ({ date, os: x.key, hits: x.data[i] })))
+  },
+  dailyOutcomes: {
+    columns: [{ name: 'date', type: 'string' }, { name: 'exit_code', type: 'string' }, { name: 'count', type: 'int' }],
+    rows: s => Object.entries(s.dailyLearningOutcomes || {}).sort(([a], [b]) => a.localeCompare(b))
+      .flatMap(([date, codes]) => Object.entries(codes).map(([exit_code, count]) => ({ date, exit_code, count })))
+  }
+};
+
+export const EXPORT_TABLES = Object.keys(STATS_TABLES);
+
+const list = (v: any) => (typeof v === 'string' ? v.split(',').map(s => s.trim()).filter(Boolean) : []);
+
+// Query-string form: format=csv|ndjson|parquet and a comma list per filter (evt=java.run.completed,java.run.error)
+export function parseExportFormat(v: any): ExportFormat | null {
+  const f = v === undefined ? 'csv' : v;
+  return EXPORT_FORMATS.includes(f) ? f : null;
+}
+
+export function parseEventExport(q: any, range: { from: Date; to: Date }): EventExport | { error: string; [k: string]: any } {
+  const filters: EventExport['filters'] = {};
+  for (const f of EXPORT_FILTERS) {
+    const values = list(q[f]);
+    if (values.length) filters[f] = values;
+  }
+  if (filters.exit_code?.some(c => !/^-?\d+$/.test(c))) return { error: 'bad_exit_code' };
+  return { ...range, filters };
+}
+
+async function* fileEvents(q: EventExport): AsyncGenerator<Record<string, any>[]> {
+  const filters = Object.entries(q.filters) as Array<[ExportFilter, string[]]>;
+  for (const evs of eventsInRangeByDay(q.from.getTime(), q.to.getTime())) {
+    const rows = evs
+      .map(e => eventRow(e, { country: e.country, region: e.region }))
+      .filter(r => filters.every(([f, values]) => r[f] !== null && r[f] !== undefined && values.includes(String(r[f]))))
+      .sort((a, b) => a.t.getTime() - b.t.getTime());
+    if (rows.length) yield rows;
+  }
+}
+
+export function eventExport(q: EventExport): ExportSource {
+  return { columns: EVENT_COLUMNS, batches: useDb() ? dbExportEvents(q) : fileEvents(q) };
+}
+
+export function statsExport(table: string, stats: WindowStatsResult): ExportSource {
+  const spec = STATS_TABLES[table];
+  return { columns: spec.columns, batches: (async function* () { yield spec.rows(stats); })() };
+}
+
+// pg returns bigint as strings and jsonb parsed; file rows carry m as JSON text
+function value(type: ColumnType, v: any): any {
+  if (v === null || v === undefined || v === '') return null;
+  switch (type) {
+    case 'timestamp': {
+      const d = v instanceof Date ? v : new Date(v);
+      return isNaN(d.getTime()) ? null : d;
+    }
+    case 'int': {
+      const n = Math.trunc(Number(v));
+      return Number.isFinite(n) ? n : null;
+    }
+    case 'double': {
+      const n = Number(v);
+      return Number.isFinite(n) ? n : null;
+    }
+    case 'bool': return typeof v === 'boolean' ? v : null;
+    case 'json':
+      if (typeof v !== 'string') return v;
+      try { return JSON.parse(v); } catch { return v; }
+    default: return String(v);
+  }
+}
+
+async function* csv(src: ExportSource): AsyncGenerator<string> {
+  // The header goes out with the first batch, so a failing query fails before anything is sent
+  let head = src.columns.map(c => csvCell(c.name)).join(',') + '\n';
+  for await (const rows of src.batches) {
+    const lines = rows.map(r => src.columns.map(c => {
+      const v = value(c.type, r[c.name]);
+      return csvCell(v instanceof Date ? v.toISOString() : v);
+    }).join(',') + '\n');
+    yield head + lines.join('');
+    head = '';
+  }
+  if (head) yield head;
+}
+
+async function* ndjson(src: ExportSource): AsyncGenerator<string> {
+  for await (const rows of src.batches) {
+    yield rows.map(r => JSON.stringify(Object.fromEntries(src.columns.map(c => [c.name, value(c.type, r[c.name])]))) + '\n').join('');
+  }
+}
+
+const PARQUET_TYPES: Record<ColumnType, Omit<SchemaElement, 'name'>> = {
+  string: { type: 'BYTE_ARRAY', converted_type: 'UTF8' },
+  int: { type: 'INT64' },
+  double: { type: 'DOUBLE' },
+  bool: { type: 'BOOLEAN' },
+  timestamp: { type: 'INT64', converted_type: 'TIMESTAMP_MILLIS' },
+  json: { type: 'BYTE_ARRAY', converted_type: 'JSON' }
+};
+const PARQUET_ROW_GROUP = 100000;
+
+// Batches are collected into row groups of up to PARQUET_ROW_GROUP rows; each group is handed on as
+// soon as it is encoded, and the footer comes last.
+async function* parquet(src: ExportSource): AsyncGenerator<Uint8Array> {
+  const writer = new ByteWriter();
+  const schema: SchemaElement[] = [
+    { name: 'root', num_children: src.columns.length },
+    ...src.columns.map(c => ({ name: c.name, repetition_type: 'OPTIONAL' as const, ...PARQUET_TYPES[c.type] }))
+  ];
+  const pw = new ParquetWriter({ writer, schema });
+  const drain = () => {
+    const chunk = new Uint8Array(writer.buffer, 0, writer.index).slice();
+    writer.index = 0;
+    return chunk;
+  };
+  let group: Record<string, any>[] = [];
+  const flush = async () => {
+    await pw.write({
+      columnData: src.columns.map(c => ({
+        name: c.name,
+        data: group.map(r => {
+          const v = value(c.type, r[c.name]);
+          return c.type === 'int' && v !== null ? BigInt(v) : v;
+        })
+      })),
+      rowGroupSize: group.length
+    });
+    group = [];
+  };
+  for await (const rows of src.batches) {
+    for (const r of rows) group.push(r);
+    if (group.length >= PARQUET_ROW_GROUP) {
+      await flush();
+      yield drain();
+    }
+  }
+  if (group.length) await flush();
+  await pw.finish();
+  yield drain();
+}
+
+export function encodeExport(format: ExportFormat, src: ExportSource): AsyncGenerator<string | Uint8Array> {
+  return format === 'csv' ? csv(src) : format === 'ndjson' ? ndjson(src) : parquet(src);
+}
@@ -1,8 +1,24 @@
-import { Pool } from 'pg';
+import path from 'path';
+import { Pool, PoolClient } from 'pg';
 import { CONFIG } from './config.js';
 import { log } from './logger.js';
+import { histogram, gauge } from './metrics.js';
+import { eventsTableKind, ensurePartitions, convertToPartitioned, applyRetention, periodStart, nextPeriod, PartitionInterval } from './partitions.js';
+import type { StoredApiKey } from './auth.js';
+import type { SessionFilter } from './sessions.js';
+import type { FunnelQuery } from './funnel.js';
+import type { RetentionQuery } from './retention.js';
+import type { DurationSummary } from './compare.js';
+import type { ExceptionFilter, ExceptionSource } from './exceptions.js';
+import type { AlertState } from './alerts.js';
+import type { PurgeJob } from './purge.js';
+import type { MetricQuery, QueryDimension, Granularity } from './query.js';
+import type { EventExport, ExportFilter } from './dataexport.js';
+import { EVENT_COLUMNS, migrate, migrationStatus, MigrationStatus } from './migrations.js';
+import { SRC_CTE, ANON_CTE, DURATIONS_SQL, durationPercentile, rollupWatermark, rollupStep, exceptionCatalogStep, eventsFromRaw } from './rollup.js';
 
 let pool: Pool | null = null;
+let ready = false;
 
 function getUrl(): string | undefined {
   // Prefer environment variables; fall back to config if provided
@@ -46,6 +62,18 @@ export function dbEnabled(): boolean {
   return !!(host && user && database);
 }
 
+// True once dbInit has completed against a live database
+export function dbReady(): boolean {
+  return ready;
+}
+
+// Current period plus PARTITION_PREMAKE ahead
+function ensureFuturePartitions(client: PoolClient, interval: PartitionInterval) {
+  let to = periodStart(Date.now(), interval);
+  for (let i = 0; i <= Math.max(1, CONFIG.PARTITION_PREMAKE); i++) to = nextPeriod(to, interval);
+  return ensurePartitions(client, interval, Date.now(), to);
+}
+
 export async function dbInit(): Promise<void> {
   if (!dbEnabled()) return;
   if (!pool) pool = buildPool();
@@ -54,68 +82,45 @@ export async function dbInit(): Promise<void> {
   try {
     if (CONFIG.DEBUG_DB) log.debug('[db] ping');
     await client.query('select 1');
-    if (CONFIG.DEBUG_DB) log.debug('[db] creating table if not exists');
-    await client.query(`
-      create table if not exists telemetry_events (
-        id bigserial primary key,
-        t timestamptz not null,
-        anon text not null,
-        evt text not null,
-        os text,
-        ext text,
-        vscode text,
-        country text,
-        region text,
-        -- explicit metric columns (nullable)
-        duration_ms bigint,
-        wait_ms_total bigint,
-        exit_code integer,
-        session_id text,
-        out_bytes_bucket text,
-        scanner_usage boolean,
-        truncated_output boolean,
-        error_phase text,
-        exception_hash text,
-        m jsonb
-      );
-    `);
-
-    // Ensure columns exist if table predated this migration (must be before creating indexes on them)
-    if (CONFIG.DEBUG_DB) log.debug('[db] migrating columns if needed');
-    await client.query(`
-      alter table telemetry_events
-        add column if not exists duration_ms bigint,
-        add column if not exists wait_ms_total bigint,
-        add column if not exists exit_code integer,
-        add column if not exists session_id text,
-        add column if not exists out_bytes_bucket text,
-        add column if not exists scanner_usage boolean,
-        add column if not exists truncated_output boolean,
-        add column if not exists error_phase text,
-        add column if not exists exception_hash text;
-    `);
-
-    // Indexes (safe to create after columns are guaranteed to exist)
-    if (CONFIG.DEBUG_DB) log.debug('[db] creating indexes if not exist');
-    await client.query(`
-      create index if not exists idx_events_t on telemetry_events (t);
-      create index if not exists idx_events_evt on telemetry_events (evt);
-      create index if not exists idx_events_country on telemetry_events (country);
-      create index if not exists idx_events_os on telemetry_events (os);
-      create index if not exists idx_events_ext on telemetry_events (ext);
-      create index if not exists idx_events_vscode on telemetry_events (vscode);
-      create index if not exists idx_events_anon on telemetry_events (anon);
-      create index if not exists idx_events_session on telemetry_events (session_id);
-    `);
+    if (CONFIG.DEBUG_DB) log.debug('[db] applying migrations');
+    await migrate(client);
+
+    const interval = CONFIG.PARTITION_INTERVAL;
+    const kind = await eventsTableKind(client);
+    if (kind === 'r' && interval !== 'none') {
+      if (CONFIG.PARTITION_CONVERT) await convertToPartitioned(client, interval, EVENT_COLUMNS);
+      else log.warn('[db] telemetry_events is not partitioned; set PARTITION_CONVERT=true to convert it at boot');
+    }
+
+    if (interval !== 'none' && (await eventsTableKind(client)) === 'p') await ensureFuturePartitions(client, interval);
+    ready = true;
   } finally {
     client.release();
   }
 }
 
-export async function dbInsertEvent(ev: any, geo?: { country: string; region: string }): Promise<void> {
-  if (!dbEnabled()) return;
+// For the migrate CLI; dbInit applies pending migrations itself
+export async function dbMigrations(opts: { apply?: boolean; dryRun?: boolean } = {}): Promise<{ status: MigrationStatus[]; applied: MigrationStatus[] }> {
+  if (!dbEnabled()) throw new Error('DB not configured: set DATABASE_URL/PG_URL or PGHOST, PGUSER, PGDATABASE');
   if (!pool) pool = buildPool();
-  if (CONFIG.DEBUG_DB) log.debug('[db] insert: raw event', ev);
+  const client = await pool.connect();
+  try {
+    const applied = opts.apply || opts.dryRun ? await migrate(client, { dryRun: opts.dryRun }) : [];
+    return { status: await migrationStatus(client), applied };
+  } finally {
+    client.release();
+  }
+}
+
+const INSERT_COLS = [
+  't', 'anon', 'evt', 'os', 'ext', 'vscode', 'country', 'region',
+  'duration_ms', 'wait_ms_total', 'exit_code', 'session_id', 'out_bytes_bucket', 'scanner_usage', 'truncated_output', 'error_phase', 'exception_hash',
+  'm'
+];
+// Keep each statement well under the 65535 bind-parameter limit
+const INSERT_CHUNK = 1000;
+
+function eventValues(ev: any, geo?: { country: string; region: string }): any[] {
   const tnum = typeof ev.t === 'number' ? ev.t : Date.parse(ev.t);
   const ms = tnum < 1e12 ? tnum * 1000 : tnum;
   const ts = new Date(ms);
@@ -131,19 +136,7 @@ export async function dbInsertEvent(ev: any, geo?: { country: string; region: st
   const error_phase = m.phase ?? null;
   const exception_hash = m.exceptionHash ?? null;
 
-  const text = `
-    insert into telemetry_events (
-      t, anon, evt, os, ext, vscode, country, region,
-      duration_ms, wait_ms_total, exit_code, session_id, out_bytes_bucket, scanner_usage, truncated_output, error_phase, exception_hash,
-      m
-    ) values (
-      $1,$2,$3,$4,$5,$6,$7,$8,
-      $9,$10,$11,$12,$13,$14,$15,$16,
-      $17,
-      $18
-    )`;
-
-  const values = [
+  return [
     ts,
     ev.anon,
     ev.evt,
@@ -152,18 +145,41 @@ export async function dbInsertEvent(ev: any, geo?: { country: string; region: st
     ev.vscode || null,
     geo?.country || null,
     geo?.region || null,
-  duration_ms,
-  wait_ms_total,
-  exit_code,
-  session_id,
-  out_bytes_bucket,
+    duration_ms,
+    wait_ms_total,
+    exit_code,
+    session_id,
+    out_bytes_bucket,
     scanner_usage,
     truncated_output,
     error_phase,
     exception_hash,
-  Object.keys(m).length ? JSON.stringify(m) : null
+    Object.keys(m).length ? JSON.stringify(m) : null
   ];
-  if (CONFIG.DEBUG_DB) log.debug('[db] insert sql', text.replace(/\s+/g,' '));
+}
+
+// One event as the telemetry_events row it is stored as (without id), keyed by column
+export function eventRow(ev: any, geo?: { country: string; region: string }): Record<string, any> {
+  const values = eventValues(ev, geo);
+  return Object.fromEntries(INSERT_COLS.map((c, i) => [c, values[i]]));
+}
+
+function insertSql(rows: number): string {
+  const n = INSERT_COLS.length;
+  const tuples: string[] = [];
+  for (let r = 0; r < rows; r++) {
+    tuples.push('(' + INSERT_COLS.map((_, c) => '$' + (r * n + c + 1)).join(',') + ')');
+  }
+  return `insert into telemetry_events (${INSERT_COLS.join(', ')}) values ${tuples.join(',')}`;
+}
+
+export async function dbInsertEvent(ev: any, geo?: { country: string; region: string }): Promise<void> {
+  if (!dbEnabled()) return;
+  if (!pool) pool = buildPool();
+  if (CONFIG.DEBUG_DB) log.debug('[db] insert: raw event', ev);
+  const text = insertSql(1);
+  const values = eventValues(ev, geo);
+  if (CONFIG.DEBUG_DB) log.debug('[db] insert sql', text);
   if (CONFIG.DEBUG_DB) log.debug('[db] insert values', values);
   try {
     await pool.query(text, values);
@@ -174,11 +190,90 @@ export async function dbInsertEvent(ev: any, geo?: { country: string; region: st
   }
 }
 
+export interface BatchInsertResult {
+  inserted: number;
+  failed: Array<{ index: number; error: string }>;
+}
+
+// Batch duration including the wait for a pooled connection
+const insertSeconds = histogram('jwc_db_insert_duration_seconds', 'Time to write one ingest or spool-replay batch to telemetry_events.');
+
+gauge('jwc_pg_pool_connections', 'PostgreSQL pool connections: open (total) and idle.', () => (pool ? [[{ state: 'total' }, pool.totalCount], [{ state: 'idle' }, pool.idleCount]] : []));
+gauge('jwc_pg_pool_waiting', 'Queries waiting for a free PostgreSQL pool connection.', () => (pool ? pool.waitingCount : []));
+
+// Insert a whole batch in one transaction using multi-row inserts.
+// atomic: any failure rolls back the batch and rethrows.
+// best-effort: if a chunk fails, its rows are retried one by one under savepoints so good rows still land.
+export async function dbInsertEvents(evs: any[], geo?: { country: string; region: string }, mode: 'atomic' | 'best-effort' = CONFIG.INGEST_BATCH_MODE): Promise<BatchInsertResult> {
+  const out: BatchInsertResult = { inserted: 0, failed: [] };
+  if (!dbEnabled() || !evs.length) return out;
+  if (!pool) pool = buildPool();
+  const started = process.hrtime.bigint();
+  const elapsed = () => Number(process.hrtime.bigint() - started) / 1e9;
+  const client = await pool.connect().catch(e => { insertSeconds.observe({ result: 'error' }, elapsed()); throw e; });
+  try {
+    await client.query('begin');
+    for (let off = 0; off < evs.length; off += INSERT_CHUNK) {
+      const chunk = evs.slice(off, off + INSERT_CHUNK);
+      const values = chunk.flatMap(ev => eventValues(ev, geo));
+      if (CONFIG.DEBUG_DB) log.debug('[db] batch insert chunk', { offset: off, rows: chunk.length, mode });
+      if (mode === 'atomic') {
+        await client.query(insertSql(chunk.length), values);
+        out.inserted += chunk.length;
+        continue;
+      }
+      await client.query('savepoint batch_chunk');
+      try {
+        await client.query(insertSql(chunk.length), values);
+        await client.query('release savepoint batch_chunk');
+        out.inserted += chunk.length;
+        continue;
+      } catch (e: any) {
+        await client.query('rollback to savepoint batch_chunk');
+        log.warn('[db] batch chunk failed; retrying rows individually', { offset: off, rows: chunk.length, error: String(e?.message || e) });
+      }
+      for (let i = 0; i < chunk.length; i++) {
+        await client.query('savepoint batch_row');
+        try {
+          await client.query(insertSql(1), eventValues(chunk[i], geo));
+          await client.query('release savepoint batch_row');
+          out.inserted++;
+        } catch (e: any) {
+          await client.query('rollback to savepoint batch_row');
+          out.failed.push({ index: off + i, error: String(e?.message || e) });
+        }
+      }
+    }
+    await client.query('commit');
+    insertSeconds.observe({ result: 'ok' }, elapsed());
+    if (CONFIG.DEBUG_DB) log.info('[db] batch insert ok', { inserted: out.inserted, failed: out.failed.length });
+    return out;
+  } catch (e: any) {
+    try { await client.query('rollback'); } catch {}
+    insertSeconds.observe({ result: 'error' }, elapsed());
+    log.error('[db] batch insert error', { error: String(e?.message || e), rows: evs.length, mode });
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
 function arr24(rows: { h: number; c: number }[]): number[] { const a = new Array(24).fill(0); for (const r of rows) a[r.h|0] = Number(r.c)||0; return a; }
 function arr7(rows: { d: number; c: number }[]): number[] { const a = new Array(7).fill(0); for (const r of rows) a[r.d|0] = Number(r.c)||0; return a; }
 
 const HIST_EDGES = [0,500,1000,3000,10000,30000,60000,120000];
 
+// Sessions with events in the last 10 minutes; active while none of them is java.run.completed
+const ACTIVE_CTE = `recent as (
+        select session_id,
+               max(t) as tmax,
+               bool_or(evt='java.run.completed') as completed,
+               max(t) filter (where evt='java.run.completed') as completed_at
+        from telemetry_events
+        where session_id is not null and t >= now() - interval '10 minutes'
+        group by session_id
+      )`;
+
 function continentOf(country?: string): string {
   if (!country) return 'Unknown';
   const cc = country.toUpperCase();
@@ -213,141 +308,123 @@ export async function dbReadStats(windowDays: number, fromS?: string, toS?: stri
 
     if (CONFIG.DEBUG_DB) log.debug('[db] stats date range', { from: from.toISOString(), to: to.toISOString(), windowDays });
 
+    // Rolled-up rows below the watermark + raw rows above it (see rollup.ts)
+    const wm = CONFIG.ROLLUPS_ENABLED ? await rollupWatermark(client) : 0;
+    const P = [from, to, wm];
+    if (CONFIG.DEBUG_DB) log.debug('[db] stats rollup watermark', { wm });
+    // The session lists read raw events, so they only cover the last STATS_SESSION_DAYS of the range
+    const rawFrom = new Date(Math.max(from.getTime(), Math.min(to.getTime(), Date.now()) - CONFIG.STATS_SESSION_DAYS * 86400000));
+    const R = [rawFrom, to];
+
     // Totals and KPIs
-  const qTotalsSql = `
+    const qTotalsSql = `
+      with ${SRC_CTE}, ${ANON_CTE}
       select
-        count(*)::int as total,
-        count(distinct anon)::int as uniques
-      from telemetry_events
-      where t >= $1 and t < $2
-  `;
-  trace.push({ sql: qTotalsSql, params: [from, to] });
-  if (CONFIG.DEBUG_DB) log.debug('[db] stats.qTotals', { sql: qTotalsSql, params: [from, to] });
-  const qTotals = await client.query(qTotalsSql, [from, to]);
+        (select coalesce(sum(hits),0) from src)::int as total,
+        (select count(distinct anon) from anon_src)::int as uniques
+    `;
+    trace.push({ sql: qTotalsSql, params: P });
+    if (CONFIG.DEBUG_DB) log.debug('[db] stats.qTotals', { sql: qTotalsSql, params: P });
+    const qTotals = await client.query(qTotalsSql, P);
     const totals = qTotals.rows[0] || { total:0, uniques:0 };
 
     // Grouped counts
-    const sqlByEvent = `select evt as k, count(*)::int as v from telemetry_events where t >= $1 and t < $2 group by 1 order by 2 desc`;
-    const sqlByOs = `select coalesce(os,'Unknown') as k, count(*)::int as v from telemetry_events where t >= $1 and t < $2 group by 1 order by 2 desc`;
-    const sqlByExt = `select coalesce(ext,'Unknown') as k, count(*)::int as v from telemetry_events where t >= $1 and t < $2 group by 1 order by 2 desc`;
-    const sqlByVscode = `select coalesce(vscode,'Unknown') as k, count(*)::int as v from telemetry_events where t >= $1 and t < $2 group by 1 order by 2 desc`;
-    trace.push({ sql: sqlByEvent, params: [from,to] }, { sql: sqlByOs, params: [from,to] }, { sql: sqlByExt, params: [from,to] }, { sql: sqlByVscode, params: [from,to] });
-  const [byEvent, byOs, byExt, byVscode] = await Promise.all([
-      client.query(sqlByEvent, [from,to]),
-      client.query(sqlByOs, [from,to]),
-      client.query(sqlByExt, [from,to]),
-      client.query(sqlByVscode, [from,to])
+    const sqlByEvent = `with ${SRC_CTE} select evt as k, sum(hits)::int as v from src group by 1 order by 2 desc`;
+    const sqlByOs = `with ${SRC_CTE} select os as k, sum(hits)::int as v from src group by 1 order by 2 desc`;
+    const sqlByExt = `with ${SRC_CTE} select ext as k, sum(hits)::int as v from src group by 1 order by 2 desc`;
+    const sqlByVscode = `with ${SRC_CTE} select vscode as k, sum(hits)::int as v from src group by 1 order by 2 desc`;
+    trace.push({ sql: sqlByEvent, params: P }, { sql: sqlByOs, params: P }, { sql: sqlByExt, params: P }, { sql: sqlByVscode, params: P });
+    const [byEvent, byOs, byExt, byVscode] = await Promise.all([
+      client.query(sqlByEvent, P),
+      client.query(sqlByOs, P),
+      client.query(sqlByExt, P),
+      client.query(sqlByVscode, P)
     ]);
 
     // Daily series
-  const qDailyHitsSql = `
-      with days as (
+    const qDailyHitsSql = `
+      with ${SRC_CTE}, ${ANON_CTE}, days as (
         select generate_series(date_trunc('day',$1::timestamptz), date_trunc('day',$2::timestamptz), '1 day')::date d
       )
       select to_char(d.d,'YYYY-MM-DD') as date,
              coalesce(x.c,0)::int as hits,
-             coalesce(x.u,0)::int as uniques
+             coalesce(u.u,0)::int as uniques
       from days d
-      left join (
-        select date(t) as dd,
-               count(*) as c,
-               count(distinct anon) as u
-        from telemetry_events where t >= $1 and t < $2 group by 1
-      ) x on x.dd = d.d
+      left join (select date(bucket) as dd, sum(hits) as c from src group by 1) x on x.dd = d.d
+      left join (select day as dd, count(distinct anon) as u from anon_src group by 1) u on u.dd = d.d
       order by d.d
-  `;
-  trace.push({ sql: qDailyHitsSql, params: [from,to] });
-  if (CONFIG.DEBUG_DB) log.debug('[db] stats.qDailyHits', { sql: qDailyHitsSql, params: [from,to] });
-  const qDailyHits = await client.query(qDailyHitsSql, [from,to]);
+    `;
+    trace.push({ sql: qDailyHitsSql, params: P });
+    if (CONFIG.DEBUG_DB) log.debug('[db] stats.qDailyHits', { sql: qDailyHitsSql, params: P });
+    const qDailyHits = await client.query(qDailyHitsSql, P);
 
     // Hourly hits and visitors
-    const sqlHourlyHits = `select extract(hour from t at time zone 'utc')::int h, count(*)::int c from telemetry_events where t >= $1 and t < $2 group by 1`;
-    const sqlHourlyVisitors = `select extract(hour from t at time zone 'utc')::int h, count(distinct anon)::int c from telemetry_events where t >= $1 and t < $2 group by 1`;
-    trace.push({ sql: sqlHourlyHits, params: [from,to] }, { sql: sqlHourlyVisitors, params: [from,to] });
-  const [qHourlyHits, qHourlyVisitors] = await Promise.all([
-      client.query(sqlHourlyHits, [from,to]),
-      client.query(sqlHourlyVisitors, [from,to])
+    const sqlHourlyHits = `with ${SRC_CTE} select extract(hour from bucket at time zone 'utc')::int h, sum(hits)::int c from src group by 1`;
+    const sqlHourlyVisitors = `with ${ANON_CTE} select h, count(distinct anon)::int c from anon_src, generate_series(0,23) h where hour_mask & (1 << h) <> 0 group by 1`;
+    trace.push({ sql: sqlHourlyHits, params: P }, { sql: sqlHourlyVisitors, params: P });
+    const [qHourlyHits, qHourlyVisitors] = await Promise.all([
+      client.query(sqlHourlyHits, P),
+      client.query(sqlHourlyVisitors, P)
     ]);
 
     // Day of week
-  const sqlDow = `select extract(dow from t at time zone 'utc')::int d, count(*)::int c from telemetry_events where t >= $1 and t < $2 group by 1`;
-  trace.push({ sql: sqlDow, params: [from,to] });
-  if (CONFIG.DEBUG_DB) log.debug('[db] stats.qDow', { sql: sqlDow, params: [from,to] });
-  const qDow = await client.query(sqlDow, [from,to]);
+    const sqlDow = `with ${SRC_CTE} select extract(dow from bucket at time zone 'utc')::int d, sum(hits)::int c from src group by 1`;
+    trace.push({ sql: sqlDow, params: P });
+    if (CONFIG.DEBUG_DB) log.debug('[db] stats.qDow', { sql: sqlDow, params: P });
+    const qDow = await client.query(sqlDow, P);
 
     // Runs and errors
-    const sqlStarted = `select count(*)::int c from telemetry_events where t >= $1 and t < $2 and evt='java.run.started'`;
-    const sqlCompleted = `select count(*)::int c from telemetry_events where t >= $1 and t < $2 and evt='java.run.completed'`;
-    const sqlCompileErr = `select count(*)::int c from telemetry_events where t >= $1 and t < $2 and evt='java.run.error' and coalesce(error_phase, m->>'phase')='compile'`;
-    const sqlRuntimeErr = `select count(*)::int c from telemetry_events where t >= $1 and t < $2 and evt='java.run.error' and coalesce(error_phase, m->>'phase')<>'compile'`;
-    trace.push({ sql: sqlStarted, params: [from,to] }, { sql: sqlCompleted, params: [from,to] }, { sql: sqlCompileErr, params: [from,to] }, { sql: sqlRuntimeErr, params: [from,to] });
-  const [qStarted, qCompleted, qCompileErr, qRuntimeErr] = await Promise.all([
-      client.query(sqlStarted, [from,to]),
-      client.query(sqlCompleted, [from,to]),
-      client.query(sqlCompileErr, [from,to]),
-      client.query(sqlRuntimeErr, [from,to])
+    const sqlStarted = `with ${SRC_CTE} select coalesce(sum(hits),0)::int c from src where evt='java.run.started'`;
+    const sqlCompleted = `with ${SRC_CTE} select coalesce(sum(hits),0)::int c from src where evt='java.run.completed'`;
+    const sqlCompileErr = `with ${SRC_CTE} select coalesce(sum(hits),0)::int c from src where evt='java.run.error' and error_phase='compile'`;
+    const sqlRuntimeErr = `with ${SRC_CTE} select coalesce(sum(hits),0)::int c from src where evt='java.run.error' and error_phase not in ('compile','')`;
+    trace.push({ sql: sqlStarted, params: P }, { sql: sqlCompleted, params: P }, { sql: sqlCompileErr, params: P }, { sql: sqlRuntimeErr, params: P });
+    const [qStarted, qCompleted, qCompileErr, qRuntimeErr] = await Promise.all([
+      client.query(sqlStarted, P),
+      client.query(sqlCompleted, P),
+      client.query(sqlCompileErr, P),
+      client.query(sqlRuntimeErr, P)
     ]);
 
-    // Durations and histogram (completed runs)
-  const qDurSql = `
-      with d as (
-        select coalesce(duration_ms, (m->>'durationMs')::bigint) as dur,
-               coalesce(wait_ms_total, (m->>'waitMsTotal')::bigint) as wait
-        from telemetry_events
-        where t >= $1 and t < $2 and evt='java.run.completed' and coalesce(duration_ms, (m->>'durationMs')::bigint) is not null
-      )
-      select count(*)::int as count,
-             percentile_disc(0.5) within group (order by dur) as median,
-             percentile_disc(0.9) within group (order by dur) as p90,
-             avg(wait)::float as avgwait
-      from d
-  `;
-  trace.push({ sql: qDurSql, params: [from,to] });
-  if (CONFIG.DEBUG_DB) log.debug('[db] stats.qDur', { sql: qDurSql, params: [from,to] });
-  const qDur = await client.query(qDurSql, [from,to]);
+    // Durations and histogram (completed runs); percentiles come from the log-scaled duration rollup
+    const qDurSql = `
+      with ${SRC_CTE}
+      select coalesce(sum(dur_count),0)::int as count,
+             (sum(wait_sum)::float / nullif(sum(wait_count),0)) as avgwait
+      from src where evt='java.run.completed'
+    `;
+    trace.push({ sql: qDurSql, params: P }, { sql: DURATIONS_SQL, params: P });
+    if (CONFIG.DEBUG_DB) log.debug('[db] stats.qDur', { sql: qDurSql, params: P });
+    const [qDur, qDurKeys] = await Promise.all([
+      client.query(qDurSql, P),
+      client.query(DURATIONS_SQL, P)
+    ]);
 
-  const qDurHistSql = `
-      select
-        sum(case when dur>=0   and dur<500    then 1 else 0 end)::int as b0,
-        sum(case when dur>=500 and dur<1000   then 1 else 0 end)::int as b1,
-        sum(case when dur>=1000 and dur<3000  then 1 else 0 end)::int as b2,
-        sum(case when dur>=3000 and dur<10000 then 1 else 0 end)::int as b3,
-        sum(case when dur>=10000 and dur<30000 then 1 else 0 end)::int as b4,
-        sum(case when dur>=30000 and dur<60000 then 1 else 0 end)::int as b5,
-        sum(case when dur>=60000 and dur<120000 then 1 else 0 end)::int as b6,
-        sum(case when dur>=120000 then 1 else 0 end)::int as b7
-      from (
-        select coalesce(duration_ms, (m->>'durationMs')::bigint) as dur
-        from telemetry_events where t >= $1 and t < $2 and evt='java.run.completed'
-      ) x
-  `;
-  trace.push({ sql: qDurHistSql, params: [from,to] });
-  if (CONFIG.DEBUG_DB) log.debug('[db] stats.qDurHist', { sql: qDurHistSql, params: [from,to] });
-  const qDurHist = await client.query(qDurHistSql, [from,to]);
+    const qDurHistSql = `
+      with ${SRC_CTE}
+      select ${[0,1,2,3,4,5,6,7].map(i => `coalesce(sum(b${i}),0)::int as b${i}`).join(', ')}
+      from src where evt='java.run.completed'
+    `;
+    trace.push({ sql: qDurHistSql, params: P });
+    if (CONFIG.DEBUG_DB) log.debug('[db] stats.qDurHist', { sql: qDurHistSql, params: P });
+    const qDurHist = await client.query(qDurHistSql, P);
 
     // Exit codes, output buckets, interactive/truncation
-    const sqlExit = `select coalesce(exit_code::text, m->>'exit','0') as k, count(*)::int v from telemetry_events where t >= $1 and t < $2 and evt='java.run.completed' group by 1 order by 2 desc`;
-    const sqlOut = `select coalesce(out_bytes_bucket, m->>'cumulativeBytesBucket','-') as k, count(*)::int v from telemetry_events where t >= $1 and t < $2 and evt='java.run.completed' group by 1 order by 2 desc`;
-    const sqlInteractive = `select count(*)::int c from telemetry_events where t >= $1 and t < $2 and evt='java.run.completed' and coalesce(scanner_usage, (m->>'scannerUsage')::boolean)=true`;
-    const sqlTrunc = `select count(*)::int c from telemetry_events where t >= $1 and t < $2 and evt='java.run.completed' and coalesce(truncated_output, (m->>'truncatedOutput')::boolean)=true`;
-    trace.push({ sql: sqlExit, params: [from,to] }, { sql: sqlOut, params: [from,to] }, { sql: sqlInteractive, params: [from,to] }, { sql: sqlTrunc, params: [from,to] });
-  const [qExit, qOut, qInteractive, qTrunc] = await Promise.all([
-      client.query(sqlExit, [from,to]),
-      client.query(sqlOut, [from,to]),
-      client.query(sqlInteractive, [from,to]),
-      client.query(sqlTrunc, [from,to])
+    const sqlExit = `with ${SRC_CTE} select exit_code as k, sum(hits)::int v from src where evt='java.run.completed' group by 1 order by 2 desc`;
+    const sqlOut = `with ${SRC_CTE} select out_bucket as k, sum(hits)::int v from src where evt='java.run.completed' group by 1 order by 2 desc`;
+    const sqlInteractive = `with ${SRC_CTE} select coalesce(sum(interactive),0)::int c from src where evt='java.run.completed'`;
+    const sqlTrunc = `with ${SRC_CTE} select coalesce(sum(truncated),0)::int c from src where evt='java.run.completed'`;
+    trace.push({ sql: sqlExit, params: P }, { sql: sqlOut, params: P }, { sql: sqlInteractive, params: P }, { sql: sqlTrunc, params: P });
+    const [qExit, qOut, qInteractive, qTrunc] = await Promise.all([
+      client.query(sqlExit, P),
+      client.query(sqlOut, P),
+      client.query(sqlInteractive, P),
+      client.query(sqlTrunc, P)
     ]);
 
     // Active sessions: sessions with activity in last 10 minutes and not yet completed
   const qActiveSql = `
-      with recent as (
-        select session_id,
-               max(t) as tmax,
-               bool_or(evt='java.run.completed') as completed
-        from telemetry_events
-        where session_id is not null and t >= now() - interval '10 minutes'
-        group by session_id
-      )
+      with ${ACTIVE_CTE}
       select count(*)::int as c from recent where completed = false
   `;
   trace.push({ sql: qActiveSql, params: [] });
@@ -363,7 +440,7 @@ export async function dbReadStats(windowDays: number, fromS?: string, toS?: stri
                max(case when evt='java.run.completed' then 1 else 0 end) as completed,
                max(coalesce(exit_code, (m->>'exit')::int)) as exit_code,
                max(coalesce(duration_ms, (m->>'durationMs')::bigint)) as duration_ms,
-               max(coalesce(scanner_usage, (m->>'scannerUsage')::boolean)) as interactive,
+               bool_or(coalesce(scanner_usage, (m->>'scannerUsage')::boolean)) as interactive,
                any_value(anon) as anon
         from telemetry_events
         where session_id is not null and t >= $1 and t < $2
@@ -377,32 +454,36 @@ export async function dbReadStats(windowDays: number, fromS?: string, toS?: stri
       order by last_at desc
       limit 100
   `;
-  trace.push({ sql: qRecentSessionsSql, params: [from,to] });
-  if (CONFIG.DEBUG_DB) log.debug('[db] stats.qRecentSessions', { sql: qRecentSessionsSql, params: [from,to] });
-  const qRecentSessions = await client.query(qRecentSessionsSql, [from,to]);
+  trace.push({ sql: qRecentSessionsSql, params: R });
+  if (CONFIG.DEBUG_DB) log.debug('[db] stats.qRecentSessions', { sql: qRecentSessionsSql, params: R });
+  const qRecentSessions = await client.query(qRecentSessionsSql, R);
 
     // Installs total (lifetime) and window installs
-  const sqlInstallsTotal = `select count(*)::int as c from telemetry_events where evt='install.created'`;
-  const sqlInstallsWindow = `select count(*)::int as c from telemetry_events where evt='install.created' and t >= $1 and t < $2`;
-  trace.push({ sql: sqlInstallsTotal, params: [] }, { sql: sqlInstallsWindow, params: [from,to] });
-  if (CONFIG.DEBUG_DB) log.debug('[db] stats.qInstallsTotal', { sql: sqlInstallsTotal });
-  const qInstallsTotal = await client.query(sqlInstallsTotal);
-  if (CONFIG.DEBUG_DB) log.debug('[db] stats.qInstallsWindow', { sql: sqlInstallsWindow, params: [from,to] });
-  const qInstallsWindow = await client.query(sqlInstallsWindow, [from,to]);
+    const sqlInstallsTotal = `
+      select ((select coalesce(sum(hits),0) from telemetry_rollup_hourly where $1::bigint > 0 and evt='install.created')
+            + (select count(*) from telemetry_events where id > $1 and evt='install.created'))::int as c
+    `;
+    const sqlInstallsWindow = `with ${SRC_CTE} select coalesce(sum(hits),0)::int as c from src where evt='install.created'`;
+    trace.push({ sql: sqlInstallsTotal, params: [wm] }, { sql: sqlInstallsWindow, params: P });
+    if (CONFIG.DEBUG_DB) log.debug('[db] stats.qInstallsTotal', { sql: sqlInstallsTotal, params: [wm] });
+    const qInstallsTotal = await client.query(sqlInstallsTotal, [wm]);
+    if (CONFIG.DEBUG_DB) log.debug('[db] stats.qInstallsWindow', { sql: sqlInstallsWindow, params: P });
+    const qInstallsWindow = await client.query(sqlInstallsWindow, P);
 
     // Daily learning outcomes by exit code (teacher-focused)
-  const qDloSql = `
-      select to_char(date(t),'YYYY-MM-DD') as day,
-             coalesce(exit_code, (m->>'exit')::int, 0) as exit,
-             count(*)::int as c
-      from telemetry_events
-      where t >= $1 and t < $2 and evt='java.run.completed'
+    const qDloSql = `
+      with ${SRC_CTE}
+      select to_char(date(bucket),'YYYY-MM-DD') as day,
+             exit_code::int as exit,
+             sum(hits)::int as c
+      from src
+      where evt='java.run.completed'
       group by 1,2
       order by 1,2
-  `;
-  trace.push({ sql: qDloSql, params: [from,to] });
-  if (CONFIG.DEBUG_DB) log.debug('[db] stats.qDLO', { sql: qDloSql, params: [from,to] });
-  const qDLO = await client.query(qDloSql, [from,to]);
+    `;
+    trace.push({ sql: qDloSql, params: P });
+    if (CONFIG.DEBUG_DB) log.debug('[db] stats.qDLO', { sql: qDloSql, params: P });
+    const qDLO = await client.query(qDloSql, P);
 
     // Ranked sessions: successful (exit=0) and frustrated (Ctrl+C=130)
     const sqlSuccessTop = `
@@ -427,47 +508,51 @@ export async function dbReadStats(windowDays: number, fromS?: string, toS?: stri
         order by inter asc nulls last, dur asc nulls last
         limit 20
       `;
-    trace.push({ sql: sqlSuccessTop, params: [from,to] }, { sql: sqlFrustratedTop, params: [from,to] });
+    trace.push({ sql: sqlSuccessTop, params: R }, { sql: sqlFrustratedTop, params: R });
   const [qSuccessTop, qFrustratedTop] = await Promise.all([
-      client.query(sqlSuccessTop, [from,to]),
-      client.query(sqlFrustratedTop, [from,to])
+      client.query(sqlSuccessTop, R),
+      client.query(sqlFrustratedTop, R)
     ]);
 
     // Top exceptions
-  const sqlTopEx = `
-      select coalesce(exception_hash, m->>'exceptionHash','') as k, count(*)::int v
-      from telemetry_events where t >= $1 and t < $2 and evt='java.run.error' and coalesce(exception_hash, m->>'exceptionHash') is not null
+    const sqlTopEx = `
+      with ${SRC_CTE}
+      select exception_hash as k, sum(hits)::int v
+      from src where evt='java.run.error' and exception_hash <> ''
       group by 1 order by 2 desc limit 50
-  `;
-  trace.push({ sql: sqlTopEx, params: [from,to] });
-  if (CONFIG.DEBUG_DB) log.debug('[db] stats.qTopEx', { sql: sqlTopEx, params: [from,to] });
-  const qTopEx = await client.query(sqlTopEx, [from,to]);
+    `;
+    trace.push({ sql: sqlTopEx, params: P });
+    if (CONFIG.DEBUG_DB) log.debug('[db] stats.qTopEx', { sql: sqlTopEx, params: P });
+    const qTopEx = await client.query(sqlTopEx, P);
 
     // OS daily series
-  const sqlOsDaily = `
-      with days as (
+    const sqlOsDaily = `
+      with ${SRC_CTE}, days as (
         select generate_series(date_trunc('day',$1::timestamptz), date_trunc('day',$2::timestamptz), '1 day')::date d
       ), counts as (
-        select date(t) as dd, coalesce(os,'Unknown') as os, count(*) as c
-        from telemetry_events where t >= $1 and t < $2 group by 1,2
+        select date(bucket) as dd, os, sum(hits) as c
+        from src group by 1,2
       )
       select to_char(d.d,'YYYY-MM-DD') as date, c.os, coalesce(c.c,0)::int as v
       from days d
       left join counts c on c.dd = d.d
       order by d.d
-  `;
-  trace.push({ sql: sqlOsDaily, params: [from,to] });
-  if (CONFIG.DEBUG_DB) log.debug('[db] stats.qOsDaily', { sql: sqlOsDaily, params: [from,to] });
-  const qOsDaily = await client.query(sqlOsDaily, [from,to]);
+    `;
+    trace.push({ sql: sqlOsDaily, params: P });
+    if (CONFIG.DEBUG_DB) log.debug('[db] stats.qOsDaily', { sql: sqlOsDaily, params: P });
+    const qOsDaily = await client.query(sqlOsDaily, P);
 
     // Geo by country
-  const sqlCountry = `
-      select coalesce(country,'Unknown') as k, count(*)::int as hits, count(distinct anon)::int as visitors
-      from telemetry_events where t >= $1 and t < $2 group by 1 order by 2 desc
-  `;
-  trace.push({ sql: sqlCountry, params: [from,to] });
-  if (CONFIG.DEBUG_DB) log.debug('[db] stats.qCountry', { sql: sqlCountry, params: [from,to] });
-  const qCountry = await client.query(sqlCountry, [from,to]);
+    const sqlCountry = `
+      with ${SRC_CTE}, ${ANON_CTE}
+      select h.k, h.hits::int as hits, coalesce(v.visitors,0)::int as visitors
+      from (select country as k, sum(hits) as hits from src group by 1) h
+      left join (select country as k, count(distinct anon) as visitors from anon_src group by 1) v on v.k = h.k
+      order by 2 desc
+    `;
+    trace.push({ sql: sqlCountry, params: P });
+    if (CONFIG.DEBUG_DB) log.debug('[db] stats.qCountry', { sql: sqlCountry, params: P });
+    const qCountry = await client.query(sqlCountry, P);
 
     // Assemble results
     const dailyDates: string[] = qDailyHits.rows.map(r=>r.date);
@@ -483,13 +568,13 @@ export async function dbReadStats(windowDays: number, fromS?: string, toS?: stri
     const compileErr = Number(qCompileErr.rows[0]?.c||0);
     const runtimeErr = Number(qRuntimeErr.rows[0]?.c||0);
 
-    const durRow = qDur.rows[0] || { count:0, median:0, p90:0, avgwait:0 };
+    const durRow = qDur.rows[0] || { count:0, avgwait:0 };
     const histRow = qDurHist.rows[0] || { b0:0,b1:0,b2:0,b3:0,b4:0,b5:0,b6:0,b7:0 } as any;
 
     const durations = {
       count: Number(durRow.count||0),
-      median: Number(durRow.median||0),
-      p90: Number(durRow.p90||0),
+      median: durationPercentile(qDurKeys.rows as any, 0.5),
+      p90: durationPercentile(qDurKeys.rows as any, 0.9),
       hist: { labels: ['0-500ms','500-1000ms','1000-3000ms','3000-10000ms','10000-30000ms','30000-60000ms','60000-120000ms','≥120000ms'], values: [histRow.b0,histRow.b1,histRow.b2,histRow.b3,histRow.b4,histRow.b5,histRow.b6,histRow.b7].map(Number) },
       avgWaitMs: Number(durRow.avgwait||0)
     };
@@ -609,6 +694,729 @@ export async function dbReadStats(windowDays: number, fromS?: string, toS?: stri
   }
 }
 
+// Advance the /stats rollups until caught up (or another replica holds the rollup lock)
+export async function dbRollup(): Promise<void> {
+  if (!dbEnabled() || !CONFIG.ROLLUPS_ENABLED) return;
+  if (!pool) pool = buildPool();
+  const client = await pool.connect();
+  try {
+    for (;;) {
+      const r = await rollupStep(client);
+      if (CONFIG.DEBUG_DB) log.debug('[db] rollup step', r);
+      if (!r || !r.backlog) break;
+    }
+  } finally {
+    client.release();
+  }
+}
+
+export function dbStartRollups() {
+  if (!dbEnabled() || !CONFIG.ROLLUPS_ENABLED) return;
+  const tick = () => dbRollup().catch(e => log.error('[db] rollup error', { error: String(e?.message || e) }));
+  tick();
+  setInterval(tick, Math.max(5000, CONFIG.ROLLUP_INTERVAL_MS)).unref();
+}
+
+export async function dbFoldExceptions(): Promise<void> {
+  if (!dbEnabled()) return;
+  if (!pool) pool = buildPool();
+  const client = await pool.connect();
+  try {
+    for (;;) {
+      const r = await exceptionCatalogStep(client, CONFIG.EXCEPTION_REGRESSION_DAYS);
+      if (CONFIG.DEBUG_DB) log.debug('[db] exception catalog step', r);
+      if (!r || !r.backlog) break;
+    }
+  } finally {
+    client.release();
+  }
+}
+
+// Runs on the rollup interval, independent of ROLLUPS_ENABLED
+export function dbStartExceptionCatalog() {
+  if (!dbEnabled()) return;
+  const tick = () => dbFoldExceptions().catch(e => log.error('[db] exception catalog error', { error: String(e?.message || e) }));
+  tick();
+  setInterval(tick, Math.max(5000, CONFIG.ROLLUP_INTERVAL_MS)).unref();
+}
+
+// Create upcoming partitions and apply RETENTION_DAYS. Guarded by an advisory lock so only one
+// replica archives and drops at a time; returns null if another holds it.
+export async function dbMaintainPartitions(): Promise<{ created: string[]; dropped: string[]; archivedRows: number } | null> {
+  if (!dbEnabled()) return null;
+  if (!pool) pool = buildPool();
+  const client = await pool.connect();
+  try {
+    const lock = await client.query(`select pg_try_advisory_lock(hashtext('telemetry_partitions')) as ok`);
+    if (!lock.rows[0]?.ok) return null;
+    try {
+      const interval = CONFIG.PARTITION_INTERVAL;
+      const created = interval !== 'none' && (await eventsTableKind(client)) === 'p' ? await ensureFuturePartitions(client, interval) : [];
+      let dropped: string[] = [], archivedRows = 0;
+      if (CONFIG.RETENTION_DAYS > 0) {
+        const dir = CONFIG.RETENTION_ARCHIVE ? (CONFIG.RETENTION_ARCHIVE_DIR || path.join(CONFIG.LOG_DIR, 'archive')) : null;
+        ({ dropped, archivedRows } = await applyRetention(client, CONFIG.RETENTION_DAYS, dir));
+      }
+      return { created, dropped, archivedRows };
+    } finally {
+      await client.query(`select pg_advisory_unlock(hashtext('telemetry_partitions'))`);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+export function dbStartPartitionMaintenance() {
+  if (!dbEnabled()) return;
+  if (CONFIG.PARTITION_INTERVAL === 'none' && CONFIG.RETENTION_DAYS <= 0) return;
+  const tick = () => dbMaintainPartitions().catch(e => log.error('[db] partition maintenance error', { error: String(e?.message || e) }));
+  tick();
+  setInterval(tick, 3600_000).unref();
+}
+
+// Every stored event whose anon is one of `ids`, oldest first
+export async function dbSubjectEvents(ids: string[]): Promise<any[]> {
+  if (!dbEnabled()) return [];
+  if (!pool) pool = buildPool();
+  const { rows } = await pool.query(`select * from telemetry_events where anon = any($1) order by t, id`, [ids]);
+  return rows;
+}
+
+// Delete a data subject's raw events, per-student rollup rows and exception catalog links. The other
+// rollups and the catalog's own rows hold only counts.
+export async function dbEraseSubject(ids: string[]): Promise<{ events: number; rollupDays: number }> {
+  if (!dbEnabled()) return { events: 0, rollupDays: 0 };
+  if (!pool) pool = buildPool();
+  const client = await pool.connect();
+  try {
+    await client.query('begin');
+    const ev = await client.query(`delete from telemetry_events where anon = any($1)`, [ids]);
+    const ro = await client.query(`delete from telemetry_rollup_daily_anon where anon = any($1)`, [ids]);
+    await client.query(`delete from telemetry_exception_users where anon = any($1)`, [ids]);
+    await client.query('commit');
+    return { events: ev.rowCount || 0, rollupDays: ro.rowCount || 0 };
+  } catch (e) {
+    try { await client.query('rollback'); } catch {}
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+// Consent purge jobs (see purge.ts)
+export async function dbPurgeEnqueue(subjects: string[]): Promise<void> {
+  if (!dbEnabled() || !subjects.length) return;
+  if (!pool) pool = buildPool();
+  await pool.query(`insert into telemetry_purge_jobs (subject) select unnest($1::text[])`, [subjects]);
+}
+
+// Take up to `limit` due jobs. Each is leased for `leaseMs`, so another replica (or this one after a
+// crash) only picks it up again once the lease runs out.
+export async function dbPurgeClaim(limit: number, leaseMs: number): Promise<PurgeJob[]> {
+  if (!dbEnabled()) return [];
+  if (!pool) pool = buildPool();
+  const { rows } = await pool.query(`
+    update telemetry_purge_jobs set attempts = attempts + 1, next_at = now() + $2 * interval '1 millisecond'
+    where id in (select id from telemetry_purge_jobs where next_at <= now() order by id limit $1 for update skip locked)
+    returning id, subject, attempts
+  `, [limit, leaseMs]);
+  return rows.map(r => ({ id: String(r.id), subject: r.subject, attempts: r.attempts }));
+}
+
+export async function dbPurgeDone(id: string): Promise<void> {
+  if (!dbEnabled()) return;
+  if (!pool) pool = buildPool();
+  await pool.query(`delete from telemetry_purge_jobs where id = $1`, [id]);
+}
+
+export async function dbPurgeRetry(id: string, delayMs: number, error: string): Promise<void> {
+  if (!dbEnabled()) return;
+  if (!pool) pool = buildPool();
+  await pool.query(`update telemetry_purge_jobs set next_at = now() + $2 * interval '1 millisecond', last_error = $3 where id = $1`, [id, delayMs, error]);
+}
+
+export async function dbAuditSubjectRequest(rec: { action: string; subject: string; actor?: string; reason?: string; result?: any }): Promise<void> {
+  if (!dbEnabled()) return;
+  if (!pool) pool = buildPool();
+  await pool.query(
+    `insert into subject_requests (action, subject, actor, reason, result) values ($1, $2, $3, $4, $5)`,
+    [rec.action, rec.subject, rec.actor || null, rec.reason || null, rec.result ? JSON.stringify(rec.result) : null]
+  );
+}
+
+export async function dbConsentGet(subjects: string[]): Promise<Array<{ subject: string; state: string; changed_at: Date }>> {
+  if (!dbEnabled() || !subjects.length) return [];
+  if (!pool) pool = buildPool();
+  const { rows } = await pool.query(`select subject, state, changed_at from telemetry_consent where subject = any($1)`, [subjects]);
+  return rows;
+}
+
+// Upsert consent changes; an older change never overwrites a newer one
+export async function dbConsentSet(changes: Array<{ subject: string; state: string; at: number }>): Promise<void> {
+  if (!dbEnabled() || !changes.length) return;
+  if (!pool) pool = buildPool();
+  const vals: any[] = [];
+  const tuples = changes.map((c, i) => {
+    vals.push(c.subject, c.state, new Date(c.at));
+    return `($${i * 3 + 1}, $${i * 3 + 2}, $${i * 3 + 3})`;
+  });
+  await pool.query(`
+    insert into telemetry_consent (subject, state, changed_at) values ${tuples.join(', ')}
+    on conflict (subject) do update set state = excluded.state, changed_at = excluded.changed_at, updated_at = now()
+    where telemetry_consent.changed_at <= excluded.changed_at
+  `, vals);
+}
+
+export async function dbConsentCounts(from: Date, to: Date): Promise<{ optedOut: number; optedIn: number; optOutsWindow: number; optInsWindow: number }> {
+  const zero = { optedOut: 0, optedIn: 0, optOutsWindow: 0, optInsWindow: 0 };
+  if (!dbEnabled()) return zero;
+  if (!pool) pool = buildPool();
+  const { rows } = await pool.query(`
+    select count(*) filter (where state = 'optout')::int as opted_out,
+           count(*) filter (where state = 'optin')::int as opted_in,
+           count(*) filter (where state = 'optout' and changed_at >= $1 and changed_at < $2)::int as optouts_window,
+           count(*) filter (where state = 'optin' and changed_at >= $1 and changed_at < $2)::int as optins_window
+    from telemetry_consent
+  `, [from, to]);
+  const r = rows[0];
+  return r ? { optedOut: r.opted_out, optedIn: r.opted_in, optOutsWindow: r.optouts_window, optInsWindow: r.optins_window } : zero;
+}
+
+function apiKeyFromRow(r: any): StoredApiKey {
+  const iso = (v: any) => (v ? new Date(v).toISOString() : null);
+  return {
+    id: r.id, name: r.name, scopes: r.scopes, hash: r.hash,
+    createdAt: new Date(r.created_at).toISOString(),
+    expiresAt: iso(r.expires_at), revokedAt: iso(r.revoked_at), lastUsedAt: iso(r.last_used_at)
+  };
+}
+
+export async function dbApiKeyInsert(k: StoredApiKey): Promise<void> {
+  if (!pool) pool = buildPool();
+  await pool.query(
+    `insert into api_keys (id, name, scopes, hash, created_at, expires_at) values ($1, $2, $3, $4, $5, $6)`,
+    [k.id, k.name, k.scopes, k.hash, k.createdAt, k.expiresAt]
+  );
+}
+
+export async function dbApiKeyGet(id: string): Promise<StoredApiKey | null> {
+  if (!pool) pool = buildPool();
+  const { rows } = await pool.query(`select * from api_keys where id = $1`, [id]);
+  return rows[0] ? apiKeyFromRow(rows[0]) : null;
+}
+
+export async function dbApiKeyList(): Promise<StoredApiKey[]> {
+  if (!pool) pool = buildPool();
+  const { rows } = await pool.query(`select * from api_keys order by created_at`);
+  return rows.map(apiKeyFromRow);
+}
+
+export async function dbApiKeyRevoke(id: string): Promise<boolean> {
+  if (!pool) pool = buildPool();
+  const r = await pool.query(`update api_keys set revoked_at = now() where id = $1 and revoked_at is null`, [id]);
+  return !!r.rowCount;
+}
+
+export async function dbApiKeyTouch(id: string): Promise<void> {
+  if (!pool) pool = buildPool();
+  await pool.query(`update api_keys set last_used_at = now() where id = $1`, [id]);
+}
+
+// One page of summary rows, one per session with an event in [from, to) that also started in range,
+// and the filtered total. Mirrors buildSession in sessions.ts. The total comes with the page; a page
+// past the end has no rows to carry it, so it is counted separately.
+export async function dbListSessions(f: SessionFilter): Promise<{ rows: any[]; total: number }> {
+  if (!dbEnabled()) return { rows: [], total: 0 };
+  if (!pool) pool = buildPool();
+  const params: any[] = [f.from, f.to];
+  const where: string[] = ['started_at >= $1', 'started_at < $2'];
+  const add = (sql: string, v: any) => { params.push(v); where.push(sql.replace('?', `$${params.length}`)); };
+  if (f.outcome?.length) add('outcome = any(?)', f.outcome);
+  if (f.student) add('anon = ?', f.student);
+  if (f.os) add('os = ?', f.os);
+  if (f.ext) add('ext = ?', f.ext);
+  if (f.country) add('country = ?', f.country);
+  if (f.minDurationMs) add('ended_at - started_at >= ? * interval \'1 millisecond\'', f.minDurationMs);
+  const fin = `evt in ('java.run.completed','java.run.error')`;
+  const sessions = `
+    with ids as (
+      select distinct session_id from telemetry_events
+      where session_id is not null and t >= $1 and t < $2
+    ), agg as (
+      select session_id,
+             (array_agg(anon order by t, id))[1] as anon,
+             min(t) as started_at, max(t) as ended_at, count(*)::int as events,
+             count(*) filter (where evt='java.run.started')::int as runs_started,
+             count(*) filter (where evt='java.run.completed')::int as runs_completed,
+             count(*) filter (where evt='java.run.error')::int as run_errors,
+             count(*) filter (where evt='java.run.error' and coalesce(error_phase, m->>'phase')='compile')::int as compile_errors,
+             coalesce(sum(coalesce(duration_ms, (m->>'durationMs')::numeric)) filter (where evt='java.run.completed'), 0)::bigint as run_ms,
+             coalesce(bool_or(coalesce(scanner_usage, (m->>'scannerUsage')::boolean)) filter (where evt='java.run.completed'), false) as interactive,
+             coalesce(bool_or(coalesce(truncated_output, (m->>'truncatedOutput')::boolean)) filter (where evt='java.run.completed'), false) as truncated,
+             (array_agg(os order by t, id) filter (where os is not null))[1] as os,
+             (array_agg(ext order by t, id) filter (where ext is not null))[1] as ext,
+             (array_agg(vscode order by t, id) filter (where vscode is not null))[1] as vscode,
+             (array_agg(country order by t, id) filter (where country is not null))[1] as country,
+             (array_agg(evt order by t desc, id desc) filter (where ${fin}))[1] as last_evt,
+             (array_agg(coalesce(exit_code, (m->>'exit')::int) order by t desc, id desc) filter (where ${fin}))[1] as last_exit,
+             (array_agg(coalesce(error_phase, m->>'phase') order by t desc, id desc) filter (where ${fin}))[1] as last_phase
+      from telemetry_events join ids using (session_id)
+      group by session_id
+    ), s as (
+      select *,
+             case
+               when last_evt = 'java.run.completed' then
+                 case coalesce(last_exit, 0) when 0 then 'success' when 130 then 'frustrated' when 143 then 'killed' else 'crashed' end
+               when last_evt = 'java.run.error' then case when last_phase = 'compile' then 'compile_error' else 'runtime_error' end
+               when ended_at >= now() - interval '10 minutes' then 'active'
+               else 'abandoned'
+             end as outcome
+      from agg
+    )`;
+  const sql = `${sessions}
+    select *, count(*) over() as total from s
+    where ${where.join(' and ')}
+    order by started_at desc, session_id
+    limit $${params.length + 1} offset $${params.length + 2}
+  `;
+  if (CONFIG.DEBUG_DB) log.debug('[db] sessions sql', { sql, params });
+  const { rows } = await pool.query(sql, [...params, f.limit, f.offset]);
+  if (rows.length || !f.offset) return { rows, total: rows.length ? Number(rows[0].total) : 0 };
+  const count = await pool.query(`${sessions} select count(*)::int as total from s where ${where.join(' and ')}`, params);
+  return { rows, total: count.rows[0].total };
+}
+
+// Every event of one session, in order
+export async function dbSessionEvents(id: string): Promise<any[]> {
+  if (!dbEnabled()) return [];
+  if (!pool) pool = buildPool();
+  const { rows } = await pool.query(`select * from telemetry_events where session_id = $1 order by t, id`, [id]);
+  return rows;
+}
+
+// Per funnel step: students reaching it and the median time from the previous step. Each step
+// is the student's first matching event after the previous one (by t, then id).
+export async function dbFunnel(q: FunnelQuery): Promise<Array<{ students: number; median_ms: number | null }>> {
+  if (!dbEnabled()) return q.steps.map(() => ({ students: 0, median_ms: null }));
+  if (!pool) pool = buildPool();
+  const params: any[] = [q.from, q.to, q.windowMs];
+  const p = (v: any) => { params.push(v); return `$${params.length}`; };
+  const filters = [
+    q.os ? `os = ${p(q.os)}` : '',
+    q.ext ? `ext = ${p(q.ext)}` : '',
+    q.country ? `country = ${p(q.country)}` : ''
+  ].filter(Boolean).map(f => ` and ${f}`).join('');
+  const cond = (i: number) => {
+    const st = q.steps[i];
+    return `e.evt = ${p(st.evt)}`
+      + (st.exit !== undefined ? ` and coalesce(e.exit_code, (e.m->>'exit')::int) = ${p(st.exit)}` : '')
+      + (st.phase !== undefined ? ` and coalesce(e.error_phase, e.m->>'phase') = ${p(st.phase)}` : '');
+  };
+  const ctes = [`
+    ev as (
+      select id, t, anon, evt, exit_code, error_phase, m from telemetry_events
+      where t >= $1 and t < $2::timestamptz + $3::bigint * interval '1 millisecond'${filters}
+    ), s0 as (
+      select distinct on (anon) anon, t as t0, t, id, null::double precision as gap_ms
+      from ev e where t < $2 and ${cond(0)}
+      order by anon, t, id
+    )`];
+  for (let i = 1; i < q.steps.length; i++) {
+    ctes.push(`
+    s${i} as (
+      select distinct on (s.anon) s.anon, s.t0, e.t, e.id, extract(epoch from e.t - s.t) * 1000 as gap_ms
+      from s${i - 1} s join ev e on e.anon = s.anon
+      where (e.t, e.id) > (s.t, s.id) and e.t <= s.t0 + $3::bigint * interval '1 millisecond' and ${cond(i)}
+      order by s.anon, e.t, e.id
+    )`);
+  }
+  const sql = `with ${ctes.join(',')}
+    ${q.steps.map((_, i) => `select ${i} as step, count(*)::int as students, percentile_cont(0.5) within group (order by gap_ms) as median_ms from s${i}`).join(' union all ')}
+    order by step`;
+  if (CONFIG.DEBUG_DB) log.debug('[db] funnel sql', { sql, params });
+  const { rows } = await pool.query(sql, params);
+  return rows;
+}
+
+// Cohort sizes (k = -1) and active students per cohort and period k. Any-event activity reads the
+// per-student daily rollup (plus the raw tail); run activity reads raw java.run.started rows.
+export async function dbRetention(q: RetentionQuery): Promise<Array<{ cohort: Date | string; k: number; students: number }>> {
+  if (!dbEnabled()) return [];
+  if (!pool) pool = buildPool();
+  const client = await pool.connect();
+  try {
+    const step = q.period === 'week' ? 7 : 1;
+    const end = new Date(q.to.getTime() + q.periods * step * 86400000);
+    const wm = CONFIG.ROLLUPS_ENABLED && q.activity === 'any' ? await rollupWatermark(client) : 0;
+    const act = q.activity === 'any'
+      ? `select distinct anon, day from anon_src`
+      : `select distinct anon, (t at time zone 'utc')::date as day from telemetry_events where t >= $1 and t < $2 and evt = 'java.run.started'`;
+    const sql = `
+      with ${ANON_CTE}, cohort as (
+        select anon, date_trunc($5, min(t) at time zone 'utc')::date as cohort
+        from telemetry_events
+        where evt = 'install.created' and t < $4
+        group by anon
+        having min(t) >= $1
+      ), act as (${act})
+      select cohort, -1 as k, count(*)::int as students from cohort group by 1
+      union all
+      select c.cohort, (a.day - c.cohort) / $6::int as k, count(distinct c.anon)::int as students
+      from cohort c join act a on a.anon = c.anon
+      where a.day >= c.cohort and (a.day - c.cohort) / $6::int < $7
+      group by 1, 2
+    `;
+    const params = [q.from, end, wm, q.to, q.period, step, q.periods];
+    if (CONFIG.DEBUG_DB) log.debug('[db] retention sql', { sql, params });
+    const { rows } = await client.query(sql, params);
+    return rows;
+  } finally {
+    client.release();
+  }
+}
+
+// Run, exit, error and exception counts per extension version (rollups plus the raw tail), and
+// distinct students per version
+export async function dbVersionCounts(versions: string[], from: Date, to: Date): Promise<{ rows: any[]; students: Record<string, number> }> {
+  if (!dbEnabled()) return { rows: [], students: {} };
+  if (!pool) pool = buildPool();
+  const client = await pool.connect();
+  try {
+    const wm = CONFIG.ROLLUPS_ENABLED ? await rollupWatermark(client) : 0;
+    const counts = await client.query(`
+      with ${SRC_CTE}
+      select ext, evt, exit_code, error_phase, exception_hash, sum(hits)::bigint as hits
+      from src
+      where ext = any($4) and evt in ('java.run.started','java.run.completed','java.run.error')
+      group by 1,2,3,4,5
+    `, [from, to, wm, versions]);
+    const students = await client.query(
+      `select ext, count(distinct anon)::int as n from telemetry_events where t >= $1 and t < $2 and ext = any($3) group by 1`,
+      [from, to, versions]
+    );
+    return { rows: counts.rows, students: Object.fromEntries(students.rows.map(r => [r.ext, r.n])) };
+  } finally {
+    client.release();
+  }
+}
+
+// Completed-run duration percentiles per version, and each version's rank sum over both (mid-ranks
+// for ties) for the Mann-Whitney test. The durations rollup has no version, so this reads raw rows.
+export async function dbVersionDurations(versions: string[], from: Date, to: Date): Promise<Record<string, DurationSummary>> {
+  const out: Record<string, DurationSummary> = {};
+  for (const v of versions) out[v] = { n: 0, p50: null, p90: null, p99: null, rankSum: 0 };
+  if (!dbEnabled()) return out;
+  if (!pool) pool = buildPool();
+  const { rows } = await pool.query(`
+    with d as (
+      select ext, coalesce(duration_ms, (m->>'durationMs')::numeric)::float8 as dur
+      from telemetry_events
+      where t >= $1 and t < $2 and ext = any($3) and evt = 'java.run.completed'
+        and coalesce(duration_ms, (m->>'durationMs')::numeric) is not null
+    ), r as (
+      select ext, dur, rank() over (order by dur) + (count(*) over (partition by dur) - 1) / 2.0 as rk from d
+    )
+    select ext, count(*)::int as n,
+           round(percentile_cont(0.5) within group (order by dur)::numeric)::int as p50,
+           round(percentile_cont(0.9) within group (order by dur)::numeric)::int as p90,
+           round(percentile_cont(0.99) within group (order by dur)::numeric)::int as p99,
+           sum(rk)::float8 as rank_sum
+    from r group by 1
+  `, [from, to, versions]);
+  for (const r of rows) out[r.ext] = { n: r.n, p50: r.p50, p90: r.p90, p99: r.p99, rankSum: r.rank_sum };
+  return out;
+}
+
+const EXCEPTION_COLS = `
+  e.*,
+  (select count(*) from telemetry_exception_users u where u.hash = e.hash)::int as users,
+  (select array_agg(value order by last_seen desc) from telemetry_exception_breakdown b where b.hash = e.hash and dim = 'ext') as versions,
+  (select array_agg(value order by last_seen desc) from telemetry_exception_breakdown b where b.hash = e.hash and dim = 'os') as oses`;
+
+// Catalog page with the filtered total on each row
+export async function dbListExceptions(f: ExceptionFilter): Promise<any[]> {
+  if (!dbEnabled()) return [];
+  if (!pool) pool = buildPool();
+  const params: any[] = [];
+  const where: string[] = [];
+  const add = (sql: string, v: any) => { params.push(v); where.push(sql.replace(/\?/g, `$${params.length}`)); };
+  if (f.from) add('e.last_seen >= ?', f.from);
+  if (f.to) add('e.first_seen < ?', f.to);
+  if (f.version) add(`exists (select 1 from telemetry_exception_breakdown b where b.hash = e.hash and dim = 'ext' and value = ?)`, f.version);
+  if (f.os) add(`exists (select 1 from telemetry_exception_breakdown b where b.hash = e.hash and dim = 'os' and value = ?)`, f.os);
+  if (f.newIn) add('e.first_ext = ?', f.newIn);
+  if (f.regressed !== undefined) where.push(f.regressed ? 'e.regressions > 0' : 'e.regressions = 0');
+  if (f.source === 'unlabeled') where.push('e.label is null and e.source is null');
+  else if (f.source) add('e.source = ?', f.source);
+  // Literal matches, like the file backend: % and _ in q are not wildcards
+  if (f.q) add(`(starts_with(e.hash, ?) or strpos(lower(e.label), ?) > 0)`, f.q.toLowerCase());
+  const order = f.sort === 'users' ? 'users' : f.sort === 'events' ? 'events' : f.sort === 'first_seen' ? 'first_seen' : 'last_seen';
+  params.push(f.limit, f.offset);
+  const sql = `
+    select * from (
+      select ${EXCEPTION_COLS}, count(*) over() as total
+      from telemetry_exceptions e
+      ${where.length ? `where ${where.join(' and ')}` : ''}
+    ) x
+    order by ${order} desc, hash
+    limit $${params.length - 1} offset $${params.length}
+  `;
+  if (CONFIG.DEBUG_DB) log.debug('[db] exceptions sql', { sql, params });
+  const { rows } = await pool.query(sql, params);
+  return rows;
+}
+
+// One catalog entry with its version/OS breakdown and daily counts since `since`
+export async function dbGetException(hash: string, since: Date): Promise<{ entry: any; breakdown: any[]; daily: any[] } | null> {
+  if (!dbEnabled()) return null;
+  if (!pool) pool = buildPool();
+  const client = await pool.connect();
+  try {
+    const entry = (await client.query(`select ${EXCEPTION_COLS} from telemetry_exceptions e where hash = $1`, [hash])).rows[0];
+    if (!entry) return null;
+    const breakdown = (await client.query(
+      `select dim, value, first_seen, last_seen, events from telemetry_exception_breakdown where hash = $1 order by last_seen desc`, [hash]
+    )).rows;
+    const wm = CONFIG.ROLLUPS_ENABLED ? await rollupWatermark(client) : 0;
+    const daily = (await client.query(`
+      with ${SRC_CTE}
+      select date(bucket at time zone 'utc') as day, sum(hits)::int as hits
+      from src where evt = 'java.run.error' and exception_hash = $4
+      group by 1
+    `, [since, new Date(), wm, hash])).rows;
+    return { entry, breakdown, daily };
+  } finally {
+    client.release();
+  }
+}
+
+export async function dbLabelException(hash: string, label: string | null, source: ExceptionSource | null, by: string): Promise<any | null> {
+  if (!dbEnabled()) return null;
+  if (!pool) pool = buildPool();
+  const cleared = label === null && source === null;
+  const r = await pool.query(
+    `update telemetry_exceptions set label = $2, source = $3, labeled_by = $4, labeled_at = $5 where hash = $1`,
+    [hash, label, source, cleared ? null : by, cleared ? null : new Date()]
+  );
+  if (!r.rowCount) return null;
+  return (await pool.query(`select ${EXCEPTION_COLS} from telemetry_exceptions e where hash = $1`, [hash])).rows[0];
+}
+
+// Run events in [from, to) by evt, exit code and error phase, for alert metrics
+export async function dbWindowCounts(from: Date, to: Date): Promise<any[]> {
+  if (!dbEnabled()) return [];
+  if (!pool) pool = buildPool();
+  const client = await pool.connect();
+  try {
+    const wm = CONFIG.ROLLUPS_ENABLED ? await rollupWatermark(client) : 0;
+    const { rows } = await client.query(`
+      with ${SRC_CTE}
+      select evt, exit_code, error_phase, sum(hits)::bigint as hits from src group by 1,2,3
+    `, [from, to, wm]);
+    return rows;
+  } finally {
+    client.release();
+  }
+}
+
+// The only names dbQuery interpolates; everything else is a bound parameter
+const QUERY_COLUMNS: Record<QueryDimension, string> = {
+  evt: 'evt', os: 'os', ext: 'ext', vscode: 'vscode', country: 'country', exit_code: 'exit_code', error_phase: 'error_phase'
+};
+const QUERY_TRUNC: Record<Granularity, string> = { hour: 'hour', day: 'day', week: 'week' };
+
+// One /query metric (see query.ts). count and exit_rate read the rollups; uniques and duration
+// percentiles need anon and exact durations, so they read raw events.
+export async function dbQuery(q: MetricQuery): Promise<any[]> {
+  if (!dbEnabled()) return [];
+  if (!pool) pool = buildPool();
+  const client = await pool.connect();
+  try {
+    const rollup = q.metric === 'count' || q.metric === 'exit_rate';
+    const params: any[] = [q.from, q.to];
+    if (rollup) params.push(CONFIG.ROLLUPS_ENABLED ? await rollupWatermark(client) : 0);
+    const param = (v: any) => { params.push(v); return `$${params.length}`; };
+    const where: string[] = [];
+    for (const [dim, values] of Object.entries(q.filters) as Array<[QueryDimension, string[]]>) {
+      where.push(`${QUERY_COLUMNS[dim]} = any(${param(values)}::text[])`);
+    }
+    let value: string, n: string | null = null;
+    if (q.metric === 'count') value = 'coalesce(sum(hits), 0)';
+    else if (q.metric === 'uniques') value = 'count(distinct anon)';
+    else if (q.metric === 'exit_rate') {
+      where.push(`evt = 'java.run.completed'`);
+      value = `round(coalesce(sum(hits) filter (where exit_code = any(${param(q.exit)}::text[])), 0)::numeric / sum(hits), 4)`;
+      n = 'coalesce(sum(hits), 0)';
+    } else {
+      where.push(`evt = 'java.run.completed'`, 'duration_ms is not null');
+      value = `round(percentile_cont(${param(Number(q.metric.slice('duration_p'.length)) / 100)}::float8) within group (order by duration_ms)::numeric)`;
+      n = 'count(*)';
+    }
+    const cols = [
+      ...(q.granularity ? [`to_char(date_trunc('${QUERY_TRUNC[q.granularity]}', ${rollup ? 'bucket' : 't'} at time zone 'utc'), 'YYYY-MM-DD"T"HH24:MI:SS"Z"') as t`] : []),
+      ...q.groupBy.map(d => `${QUERY_COLUMNS[d]} as ${QUERY_COLUMNS[d]}`)
+    ];
+    const sql = `
+      with ${rollup ? SRC_CTE : `src as (${eventsFromRaw('t >= $1 and t < $2')})`}
+      select ${[...cols, `${value} as value`, ...(n ? [`${n} as n`] : [])].join(', ')}
+      from src
+      ${where.length ? `where ${where.join(' and ')}` : ''}
+      ${cols.length ? `group by ${cols.map((_, i) => i + 1).join(', ')}` : ''}
+      order by ${[...(q.granularity ? ['t'] : []), 'value desc nulls last', ...q.groupBy.map(d => `${QUERY_COLUMNS[d]} collate "C"`)].join(', ')}
+      limit ${param(q.limit)}
+    `;
+    if (CONFIG.DEBUG_DB) log.debug('[db] query sql', { sql, params });
+    return (await client.query(sql, params)).rows;
+  } finally {
+    client.release();
+  }
+}
+
+// Events per UTC hour and evt in [from, to), with completed runs split by exit 0/130 and run
+// errors by phase (outcome '' for the rest), for anomaly baselines
+export async function dbHourlyCounts(from: Date, to: Date): Promise<Array<{ bucket: Date; evt: string; outcome: string; hits: string }>> {
+  if (!dbEnabled()) return [];
+  if (!pool) pool = buildPool();
+  const client = await pool.connect();
+  try {
+    const wm = CONFIG.ROLLUPS_ENABLED ? await rollupWatermark(client) : 0;
+    const { rows } = await client.query(`
+      with ${SRC_CTE}
+      select bucket, evt,
+             case when evt = 'java.run.completed' and exit_code = '0' then 'ok'
+                  when evt = 'java.run.completed' and exit_code = '130' then 'ctrlc'
+                  when evt = 'java.run.error' and error_phase = 'compile' then 'compile'
+                  when evt = 'java.run.error' and error_phase <> '' then 'runtime'
+                  else '' end as outcome,
+             sum(hits)::bigint as hits
+      from src group by 1,2,3
+    `, [from, to, wm]);
+    return rows;
+  } finally {
+    client.release();
+  }
+}
+
+// Run fn while holding the alert evaluation lock; null if another replica holds it
+export async function dbWithAlertLock<T>(fn: () => Promise<T>): Promise<T | null> {
+  if (!dbEnabled()) return null;
+  if (!pool) pool = buildPool();
+  const client = await pool.connect();
+  try {
+    const lock = await client.query(`select pg_try_advisory_lock(hashtext('telemetry_alerts')) as ok`);
+    if (!lock.rows[0]?.ok) return null;
+    try {
+      return await fn();
+    } finally {
+      await client.query(`select pg_advisory_unlock(hashtext('telemetry_alerts'))`);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+export async function dbAlertStates(): Promise<AlertState[]> {
+  if (!dbEnabled()) return [];
+  if (!pool) pool = buildPool();
+  const { rows } = await pool.query(`select * from telemetry_alert_state`);
+  const iso = (v: any) => (v ? new Date(v).toISOString() : null);
+  return rows.map(r => ({
+    ruleId: r.rule_id,
+    state: r.state,
+    since: iso(r.since),
+    value: r.value === null ? null : Number(r.value),
+    evaluatedAt: iso(r.evaluated_at),
+    notified: r.notified,
+    notifiedAt: iso(r.notified_at),
+    delivering: r.delivering ?? null,
+    rule: r.rule ?? null
+  }));
+}
+
+// Replace the stored alert states with `states` (states not in it are dropped)
+export async function dbSaveAlertStates(states: AlertState[]): Promise<void> {
+  if (!dbEnabled()) return;
+  if (!pool) pool = buildPool();
+  const client = await pool.connect();
+  try {
+    await client.query('begin');
+    try {
+      await client.query(`delete from telemetry_alert_state where rule_id <> all($1::text[])`, [states.map(s => s.ruleId)]);
+      for (const s of states) {
+        await client.query(`
+          insert into telemetry_alert_state (rule_id, state, since, value, evaluated_at, notified, notified_at, delivering, rule)
+          values ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+          on conflict (rule_id) do update set state = excluded.state, since = excluded.since, value = excluded.value,
+            evaluated_at = excluded.evaluated_at, notified = excluded.notified, notified_at = excluded.notified_at,
+            delivering = excluded.delivering, rule = excluded.rule
+        `, [s.ruleId, s.state, s.since, s.value, s.evaluatedAt, s.notified, s.notifiedAt,
+            s.delivering ? JSON.stringify(s.delivering) : null, s.rule ? JSON.stringify(s.rule) : null]);
+      }
+      await client.query('commit');
+    } catch (e) {
+      try { await client.query('rollback'); } catch {}
+      throw e;
+    }
+  } finally {
+    client.release();
+  }
+}
+
+// The only names dbExportEvents interpolates; filter values are bound parameters
+const EXPORT_FILTER_COLUMNS: Record<ExportFilter, string> = {
+  evt: 'evt', os: 'os', ext: 'ext', vscode: 'vscode', country: 'country', anon: 'anon',
+  session_id: 'session_id', exit_code: 'exit_code::text', error_phase: 'error_phase'
+};
+
+// Raw events for GET /export, oldest first, `batch` rows at a time. A server-side cursor in a
+// read-only transaction keeps memory flat however long the range; the connection is held until the
+// generator finishes or is returned early, so callers should pull at the pace they write.
+export async function* dbExportEvents(q: EventExport, batch = 5000): AsyncGenerator<any[]> {
+  if (!dbEnabled()) return;
+  if (!pool) pool = buildPool();
+  const client = await pool.connect();
+  let open = false;
+  try {
+    await client.query('begin read only');
+    open = true;
+    const params: any[] = [q.from, q.to];
+    const where = ['t >= $1', 't < $2'];
+    for (const [f, values] of Object.entries(q.filters) as Array<[ExportFilter, string[]]>) {
+      params.push(values);
+      where.push(`${EXPORT_FILTER_COLUMNS[f]} = any($${params.length}::text[])`);
+    }
+    const sql = `
+      declare export_events no scroll cursor for
+      select t, anon, evt, os, ext, vscode, country, region, session_id,
+             duration_ms, wait_ms_total, exit_code, out_bytes_bucket, scanner_usage, truncated_output, error_phase, exception_hash, m
+      from telemetry_events
+      where ${where.join(' and ')}
+      order by t, id
+    `;
+    if (CONFIG.DEBUG_DB) log.debug('[db] export sql', { sql, params });
+    await client.query(sql, params);
+    const n = Math.max(1, Math.floor(batch));
+    for (;;) {
+      const { rows } = await client.query(`fetch ${n} from export_events`);
+      if (rows.length) yield rows;
+      if (rows.length < n) break;
+    }
+    await client.query('commit');
+    open = false;
+  } finally {
+    if (open) { try { await client.query('rollback'); } catch {} }
+    client.release();
+  }
+}
+
+// Per-session detail behind the active count, for the live stream (see live.ts)
+export async function dbActiveSessions(): Promise<Array<{ session_id: string; tmax: Date; completed_at: Date | null }>> {
+  if (!dbEnabled()) return [];
+  if (!pool) pool = buildPool();
+  const { rows } = await pool.query(`with ${ACTIVE_CTE} select session_id, tmax, completed_at from recent`);
+  return rows;
+}
+
 export async function dbRecent(limit = 50): Promise<any[]> {
   if (!dbEnabled()) return [];
   if (!pool) pool = buildPool();
@@ -650,3 +1458,17 @@ export async function dbHealth(): Promise<any> {
     return { enabled: true, ok: false, error: String(e?.message || e) };
   }
 }
+
+const UNREACHABLE_CODES = new Set([
+  'ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'EHOSTUNREACH', 'ENETUNREACH', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE',
+  '57P01', '57P02', '57P03', '53300'   // admin/crash shutdown, cannot connect now, too many connections
+]);
+
+// True when an error means the database could not be reached (as opposed to a bad row or a bug):
+// node socket errors, SQLSTATE class 08 (connection exception), server shutdown or a full connection
+// table, and the errors pg raises without a code for a dropped connection or a pool connect timeout.
+export function dbUnavailable(e: any): boolean {
+  const code = String(e?.code || '');
+  if (code) return UNREACHABLE_CODES.has(code) || /^08/.test(code);
+  return /Connection terminated|timeout exceeded when trying to connect|connection error/i.test(String(e?.message || ''));
+}
@@ -0,0 +1,80 @@
+// Versioned ingest envelopes. Each accepted schema has a validator and an upgrader that maps
+// its payload onto the canonical event shape consumed by normalizeEvent/dbInsertEvent:
+//   { t, anon, evt, os, ext, vscode, sessionId?, m }
+
+interface EnvelopeVersion {
+  validate(body: any): string | null;
+  upgrade(body: any): any[];
+}
+
+export type EnvelopeResult =
+  | { ok: true; schema: string; events: any[] }
+  | { ok: false; error: string; got?: string };
+
+function isObj(v: any): boolean { return !!v && typeof v === 'object' && !Array.isArray(v); }
+
+// jwc.v1: flat events (or a single event as the body); sessionId may be hidden in m
+const V1: EnvelopeVersion = {
+  validate(body) {
+    if (body.batch !== undefined && !Array.isArray(body.batch)) return 'batch_not_array';
+    return null;
+  },
+  upgrade(body) {
+    const batch: any[] = Array.isArray(body.batch) ? body.batch : [body];
+    return batch.map(e => {
+      if (!isObj(e)) return e;
+      const { schema, ...ev } = e;
+      if (isObj(ev.m) && ev.m.sessionId !== undefined) {
+        const { sessionId, ...m } = ev.m;
+        // Older clients sent any JSON value here and it was stored as is: keep scalars as strings, drop the rest
+        const scalar = ['string', 'number', 'boolean'].includes(typeof sessionId);
+        if (ev.sessionId === undefined && scalar) ev.sessionId = String(sessionId);
+        ev.m = m;
+      }
+      return ev;
+    });
+  }
+};
+
+// jwc.v2: install/client fields and sessionId are sent once per envelope; events may override them
+const V2: EnvelopeVersion = {
+  validate(body) {
+    if (!Array.isArray(body.batch)) return 'batch_not_array';
+    for (const k of ['anon', 'os', 'ext', 'vscode', 'sessionId']) {
+      if (body[k] !== undefined && typeof body[k] !== 'string') return `bad_${k}`;
+    }
+    return null;
+  },
+  upgrade(body) {
+    return body.batch.map((e: any) => {
+      if (!isObj(e)) return e;
+      return {
+        t: e.t,
+        evt: e.evt,
+        anon: e.anon ?? body.anon,
+        os: e.os ?? body.os,
+        ext: e.ext ?? body.ext,
+        vscode: e.vscode ?? body.vscode,
+        sessionId: e.sessionId ?? body.sessionId,
+        m: e.m
+      };
+    });
+  }
+};
+
+const VERSIONS: Record<string, EnvelopeVersion> = {
+  'jwc.v1': V1,
+  'jwc.v2': V2
+};
+
+export const SUPPORTED_SCHEMAS = Object.keys(VERSIONS);
+
+// Validate an envelope against its declared schema and upgrade it to canonical events.
+export function readEnvelope(body: any): EnvelopeResult {
+  const schema = typeof body?.schema === 'string' ? body.schema.trim().toLowerCase() : '';
+  const version = VERSIONS[schema];
+  if (!version) return { ok: false, error: 'schema_unsupported', got: body?.schema };
+  const err = version.validate(body);
+  if (err) return { ok: false, error: err, got: schema };
+  return { ok: true, schema, events: version.upgrade(body) };
+}
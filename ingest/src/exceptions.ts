@@ -0,0 +1,218 @@
+import fs from 'fs';
+import path from 'path';
+import { CONFIG } from './config.js';
+import { dbListExceptions, dbGetException, dbLabelException } from './db.js';
+import { useDb } from './storage.js';
+import { readEventsInRange, eventTime } from './stats.js';
+
+// Exception catalog: one entry per exception_hash with first/last seen, affected students, the
+// versions and OSes it occurred on, the version it first appeared in, regressions (seen again after
+// EXCEPTION_REGRESSION_DAYS without occurrences) and an optional human label. With PostgreSQL the
+// catalog is kept in telemetry_exceptions by a background job (see exceptionCatalogStep); the file
+// backend computes it from LOG_DIR/json on request and keeps labels in LOG_DIR/exception-labels.json.
+
+// Where an exception comes from, for triage
+export type ExceptionSource = 'extension' | 'student' | 'unknown';
+export const EXCEPTION_SOURCES: ExceptionSource[] = ['extension', 'student', 'unknown'];
+
+export interface ExceptionEntry {
+  hash: string;
+  firstSeen: string;
+  lastSeen: string;
+  events: number;
+  users: number;
+  newInVersion: string | null;   // ext of the first occurrence
+  phase: string | null;          // error phase of the latest occurrence
+  versions: string[];            // most recently seen first
+  oses: string[];
+  regressions: number;
+  regressedAt: string | null;
+  label: string | null;
+  source: ExceptionSource | null;
+  labeledBy: string | null;
+  labeledAt: string | null;
+}
+
+export interface BreakdownRow { value: string; firstSeen: string; lastSeen: string; events: number; }
+
+export interface ExceptionDetail extends ExceptionEntry {
+  breakdown: { versions: BreakdownRow[]; os: BreakdownRow[] };
+  daily: { dates: string[]; counts: number[] };   // last 30 days
+}
+
+export type ExceptionSort = 'last_seen' | 'first_seen' | 'events' | 'users';
+export const EXCEPTION_SORTS: ExceptionSort[] = ['last_seen', 'first_seen', 'events', 'users'];
+
+export interface ExceptionFilter {
+  from?: Date;             // seen at some point in [from, to)
+  to?: Date;
+  version?: string;        // occurred on this ext version
+  os?: string;
+  newIn?: string;          // first appeared in this ext version
+  regressed?: boolean;
+  source?: ExceptionSource | 'unlabeled';
+  q?: string;              // hash prefix or label text
+  sort: ExceptionSort;
+  limit: number;
+  offset: number;
+}
+
+interface Label { label: string | null; source: ExceptionSource | null; labeledBy: string | null; labeledAt: string | null; }
+
+function labelsFile() { return path.join(CONFIG.LOG_DIR, 'exception-labels.json'); }
+const iso = (v: any) => (v ? new Date(v).toISOString() : null);
+
+function fromRow(r: any): ExceptionEntry {
+  return {
+    hash: r.hash,
+    firstSeen: iso(r.first_seen)!,
+    lastSeen: iso(r.last_seen)!,
+    events: Number(r.events),
+    users: Number(r.users || 0),
+    newInVersion: r.first_ext ?? null,
+    phase: r.phase ?? null,
+    versions: r.versions || [],
+    oses: r.oses || [],
+    regressions: r.regressions,
+    regressedAt: iso(r.regressed_at),
+    label: r.label ?? null,
+    source: r.source ?? null,
+    labeledBy: r.labeled_by ?? null,
+    labeledAt: iso(r.labeled_at)
+  };
+}
+
+function breakdownFromRows(rows: any[]): BreakdownRow[] {
+  return rows.map(r => ({ value: r.value, firstSeen: iso(r.first_seen)!, lastSeen: iso(r.last_seen)!, events: Number(r.events) }));
+}
+
+function last30Days(): string[] {
+  const today = Date.parse(new Date().toISOString().slice(0, 10) + 'T00:00:00Z');
+  return Array.from({ length: 30 }, (_, i) => new Date(today - (29 - i) * 86400000).toISOString().slice(0, 10));
+}
+
+export async function listExceptions(f: ExceptionFilter): Promise<{ total: number; limit: number; offset: number; nextOffset: number | null; exceptions: ExceptionEntry[] }> {
+  let total: number, exceptions: ExceptionEntry[];
+  if (useDb()) {
+    const rows = await dbListExceptions(f);
+    total = rows.length ? Number(rows[0].total) : 0;
+    exceptions = rows.map(fromRow);
+  } else {
+    const all = [...fileCatalog().values()].map(c => c.entry).filter(e => matches(e, f));
+    const key: Record<ExceptionSort, (e: ExceptionEntry) => number> = {
+      last_seen: e => Date.parse(e.lastSeen), first_seen: e => Date.parse(e.firstSeen), events: e => e.events, users: e => e.users
+    };
+    all.sort((a, b) => key[f.sort](b) - key[f.sort](a) || a.hash.localeCompare(b.hash));
+    total = all.length;
+    exceptions = all.slice(f.offset, f.offset + f.limit);
+  }
+  const next = f.offset + exceptions.length;
+  return { total, limit: f.limit, offset: f.offset, nextOffset: next < total ? next : null, exceptions };
+}
+
+export async function getException(hash: string): Promise<ExceptionDetail | null> {
+  const days = last30Days();
+  if (useDb()) {
+    const r = await dbGetException(hash, new Date(days[0] + 'T00:00:00Z'));
+    if (!r) return null;
+    const perDay = new Map(r.daily.map((d: any) => [new Date(d.day).toISOString().slice(0, 10), Number(d.hits)]));
+    return {
+      ...fromRow(r.entry),
+      breakdown: { versions: breakdownFromRows(r.breakdown.filter((b: any) => b.dim === 'ext')), os: breakdownFromRows(r.breakdown.filter((b: any) => b.dim === 'os')) },
+      daily: { dates: days, counts: days.map(d => perDay.get(d) || 0) }
+    };
+  }
+  const c = fileCatalog().get(hash);
+  if (!c) return null;
+  const byDims = (m: Map<string, BreakdownRow>) => [...m.values()].sort((a, b) => b.lastSeen.localeCompare(a.lastSeen));
+  return {
+    ...c.entry,
+    breakdown: { versions: byDims(c.ext), os: byDims(c.os) },
+    daily: { dates: days, counts: days.map(d => c.daily.get(d) || 0) }
+  };
+}
+
+// Set or clear (label and source null) a hash's label. Returns null for a hash never seen.
+export async function labelException(hash: string, label: string | null, source: ExceptionSource | null, by: string): Promise<ExceptionEntry | null> {
+  if (useDb()) {
+    const row = await dbLabelException(hash, label, source, by);
+    return row ? fromRow(row) : null;
+  }
+  const c = fileCatalog().get(hash);
+  if (!c) return null;
+  const labels = readLabels();
+  if (label === null && source === null) delete labels[hash];
+  else labels[hash] = { label, source, labeledBy: by, labeledAt: new Date().toISOString() };
+  fs.mkdirSync(path.dirname(labelsFile()), { recursive: true });
+  const tmp = labelsFile() + '.tmp';
+  fs.writeFileSync(tmp, JSON.stringify(labels, null, 2));
+  fs.renameSync(tmp, labelsFile());
+  return { ...c.entry, ...(labels[hash] || { label: null, source: null, labeledBy: null, labeledAt: null }) };
+}
+
+function readLabels(): Record<string, Label> {
+  try { return JSON.parse(fs.readFileSync(labelsFile(), 'utf8')); } catch { return {}; }
+}
+
+function matches(e: ExceptionEntry, f: ExceptionFilter): boolean {
+  if (f.from && Date.parse(e.lastSeen) < f.from.getTime()) return false;
+  if (f.to && Date.parse(e.firstSeen) >= f.to.getTime()) return false;
+  if (f.version && !e.versions.includes(f.version)) return false;
+  if (f.os && !e.oses.includes(f.os)) return false;
+  if (f.newIn && e.newInVersion !== f.newIn) return false;
+  if (f.regressed !== undefined && (e.regressions > 0) !== f.regressed) return false;
+  if (f.source === 'unlabeled' ? e.source !== null || e.label !== null : f.source && e.source !== f.source) return false;
+  if (f.q && !e.hash.startsWith(f.q.toLowerCase()) && !(e.label || '').toLowerCase().includes(f.q.toLowerCase())) return false;
+  return true;
+}
+
+// File backend: the whole catalog from every JSONL day, same rules as exceptionCatalogStep
+function fileCatalog(): Map<string, { entry: ExceptionEntry; ext: Map<string, BreakdownRow>; os: Map<string, BreakdownRow>; daily: Map<string, number> }> {
+  const occ = new Map<string, any[]>();
+  for (const e of readEventsInRange(0, Number.MAX_SAFE_INTEGER, l => l.includes('exceptionHash'))) {
+    const h = e.m?.exceptionHash;
+    if (e.evt !== 'java.run.error' || typeof h !== 'string' || !h) continue;
+    if (!occ.has(h)) occ.set(h, []);
+    occ.get(h)!.push(e);
+  }
+  const labels = readLabels();
+  const gap = CONFIG.EXCEPTION_REGRESSION_DAYS * 86400000;
+  const out = new Map<string, any>();
+  for (const [hash, evs] of occ) {
+    const ts = evs.map(eventTime);
+    const order = evs.map((_, i) => i).sort((a, b) => ts[a] - ts[b]);
+    const dims = { ext: new Map<string, BreakdownRow>(), os: new Map<string, BreakdownRow>() };
+    const users = new Set<string>(), daily = new Map<string, number>();
+    let regressions = 0, regressedAt: number | null = null, prev: number | null = null;
+    for (const i of order) {
+      const e = evs[i], t = ts[i], at = new Date(t).toISOString();
+      if (prev !== null && t - prev >= gap) { regressions++; regressedAt = t; }
+      prev = t;
+      users.add(e.anon);
+      daily.set(at.slice(0, 10), (daily.get(at.slice(0, 10)) || 0) + 1);
+      for (const [dim, value] of [['ext', e.ext || 'Unknown'], ['os', e.os || 'Unknown']] as const) {
+        const b = dims[dim].get(value);
+        if (b) { b.lastSeen = at; b.events++; } else dims[dim].set(value, { value, firstSeen: at, lastSeen: at, events: 1 });
+      }
+    }
+    const first = evs[order[0]], last = evs[order[order.length - 1]];
+    const recent = (m: Map<string, BreakdownRow>) => [...m.values()].sort((a, b) => b.lastSeen.localeCompare(a.lastSeen)).map(b => b.value);
+    const entry: ExceptionEntry = {
+      hash,
+      firstSeen: new Date(ts[order[0]]).toISOString(),
+      lastSeen: new Date(ts[order[order.length - 1]]).toISOString(),
+      events: evs.length,
+      users: users.size,
+      newInVersion: first.ext || 'Unknown',
+      phase: last.m?.phase ?? null,
+      versions: recent(dims.ext),
+      oses: recent(dims.os),
+      regressions,
+      regressedAt: regressedAt === null ? null : new Date(regressedAt).toISOString(),
+      label: null, source: null, labeledBy: null, labeledAt: null,
+      ...(labels[hash] as Label | undefined)
+    };
+    out.set(hash, { entry, ext: dims.ext, os: dims.os, daily });
+  }
+  return out;
+}
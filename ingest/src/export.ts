@@ -0,0 +1,62 @@
+import fs from 'fs';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { CONFIG } from './config.js';
+import { getStorage } from './storage.js';
+import { flag } from './cli.js';
+import { parseExportFormat, parseEventExport, eventExport, statsExport, encodeExport, EXPORT_FILTERS, EXPORT_TABLES, ExportSource } from './dataexport.js';
+
+// Export CLI, same as GET /export and GET /export/:table.
+//   node dist/export.js events --from 2026-03-01 --to 2026-03-31 [--format csv|ndjson|parquet] [--evt java.run.completed,...] [--out file]
+//   node dist/export.js stats <table> [--from 2026-03-01 --to 2026-03-31] [--format ...] [--out file]
+// Filters: --evt --os --ext --vscode --country --anon --session_id --exit_code --error_phase (comma lists).
+// Without --out the export goes to stdout.
+
+function usage(): never {
+  console.error(`usage: export events --from YYYY-MM-DD --to YYYY-MM-DD [--format csv|ndjson|parquet] [--<filter> a,b] [--out file]
+       export stats <${EXPORT_TABLES.join('|')}> [--from YYYY-MM-DD --to YYYY-MM-DD] [--format csv|ndjson|parquet] [--out file]`);
+  process.exit(2);
+}
+
+function day(v: string | undefined): number {
+  return v && /^\d{4}-\d{2}-\d{2}$/.test(v) ? Date.parse(v + 'T00:00:00Z') : NaN;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const cmd = args[0];
+  const format = parseExportFormat(flag(args, '--format'));
+  if (!format) usage();
+  const from = flag(args, '--from'), to = flag(args, '--to');
+  const store = getStorage();
+  await store.init();
+  let src: ExportSource;
+  if (cmd === 'events') {
+    const fromMs = day(from), toMs = day(to) + 86400000;
+    if (isNaN(fromMs) || isNaN(toMs) || fromMs >= toMs) usage();
+    const q = Object.fromEntries(EXPORT_FILTERS.map(f => [f, flag(args, `--${f}`)]));
+    const eq = parseEventExport(q, { from: new Date(fromMs), to: new Date(toMs) });
+    if ('error' in eq) {
+      console.error(eq.error);
+      process.exit(2);
+    }
+    src = eventExport(eq);
+  } else if (cmd === 'stats' && EXPORT_TABLES.includes(args[1])) {
+    const stats = await store.readStats(CONFIG.STATS_WINDOW_DAYS, from, to);
+    if (!stats) {
+      console.error('no data');
+      process.exit(1);
+    }
+    src = statsExport(args[1], stats);
+  } else {
+    usage();
+  }
+  const out = flag(args, '--out');
+  await pipeline(Readable.from(encodeExport(format, src)), out ? fs.createWriteStream(out) : process.stdout);
+  process.exit(0);
+}
+
+main().catch(e => {
+  console.error(String(e?.message || e));
+  process.exit(1);
+});
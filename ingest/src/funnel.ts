@@ -0,0 +1,136 @@
+import { dbFunnel } from './db.js';
+import { useDb } from './storage.js';
+import { readEventsInRange, eventTime } from './stats.js';
+
+// Ordered funnels: how many students reach step 1 in the range, then step 2 after it, and so on,
+// each step within `windowMs` of that student's first step-1 event. Students are counted by stored
+// anon, so with per-year pseudonyms a funnel does not follow anyone across New Year.
+
+export interface FunnelStep {
+  evt: string;
+  exit?: number;     // java.run.completed:exit=0
+  phase?: string;    // java.run.error:phase=compile
+}
+
+export interface FunnelQuery {
+  steps: FunnelStep[];
+  from: Date;
+  to: Date;          // exclusive; bounds the first step only
+  windowMs: number;
+  os?: string;
+  ext?: string;
+  country?: string;
+}
+
+export interface FunnelStepResult {
+  step: string;
+  students: number;
+  rate: number;              // of step 1
+  stepRate: number;          // of the previous step
+  dropOff: number;           // previous step students that never got here
+  medianMsFromPrevious: number | null;
+}
+
+export const MAX_STEPS = 10;
+export const MAX_WINDOW_MS = 90 * 86400000;
+
+// `evt` or `evt:key=value` with key exit or phase
+export function parseStep(s: string): FunnelStep | null {
+  const m = /^([A-Za-z0-9_.-]+)(?::(exit|phase)=([A-Za-z0-9_-]+))?$/.exec(s.trim());
+  if (!m) return null;
+  const step: FunnelStep = { evt: m[1] };
+  if (m[2] === 'exit') {
+    if (!/^-?\d+$/.test(m[3])) return null;
+    step.exit = parseInt(m[3], 10);
+  } else if (m[2] === 'phase') step.phase = m[3];
+  return step;
+}
+
+export function stepName(s: FunnelStep): string {
+  return s.evt + (s.exit !== undefined ? `:exit=${s.exit}` : s.phase !== undefined ? `:phase=${s.phase}` : '');
+}
+
+// 7d, 24h, 30m or plain milliseconds
+export function parseWindow(v: string): number {
+  const m = /^(\d+)(d|h|m)?$/.exec(v.trim());
+  if (!m) return NaN;
+  return parseInt(m[1], 10) * (m[2] === 'd' ? 86400000 : m[2] === 'h' ? 3600000 : m[2] === 'm' ? 60000 : 1);
+}
+
+function median(xs: number[]): number | null {
+  if (!xs.length) return null;
+  const s = [...xs].sort((a, b) => a - b);
+  const mid = s.length >> 1;
+  return s.length % 2 ? s[mid] : Math.round((s[mid - 1] + s[mid]) / 2);
+}
+
+function results(q: FunnelQuery, students: number[], medians: Array<number | null>): FunnelStepResult[] {
+  return q.steps.map((s, i) => {
+    const prev = i ? students[i - 1] : students[0];
+    return {
+      step: stepName(s),
+      students: students[i],
+      rate: students[0] ? +(students[i] / students[0]).toFixed(4) : 0,
+      stepRate: prev ? +(students[i] / prev).toFixed(4) : 0,
+      dropOff: prev - students[i],
+      medianMsFromPrevious: i ? medians[i] : null
+    };
+  });
+}
+
+export async function funnel(q: FunnelQuery): Promise<{ steps: FunnelStepResult[]; converted: number; conversionRate: number }> {
+  let students: number[], medians: Array<number | null>;
+  if (useDb()) {
+    const rows = await dbFunnel(q);
+    students = rows.map(r => r.students);
+    medians = rows.map(r => (r.median_ms === null ? null : Math.round(Number(r.median_ms))));
+  } else {
+    ({ students, medians } = fileFunnel(q));
+  }
+  const steps = results(q, students, medians);
+  const converted = students[students.length - 1];
+  return { steps, converted, conversionRate: students[0] ? +(converted / students[0]).toFixed(4) : 0 };
+}
+
+function matches(e: any, s: FunnelStep): boolean {
+  if (e.evt !== s.evt) return false;
+  const m = e.m || {};
+  if (s.exit !== undefined && Number(m.exit) !== s.exit) return false;
+  if (s.phase !== undefined && m.phase !== s.phase) return false;
+  return true;
+}
+
+// File backend: walk each student's events in time order
+function fileFunnel(q: FunnelQuery): { students: number[]; medians: Array<number | null> } {
+  const byAnon = new Map<string, Array<{ t: number; e: any }>>();
+  const names = new Set(q.steps.map(s => s.evt));
+  for (const e of readEventsInRange(q.from.getTime(), q.to.getTime() + q.windowMs)) {
+    if (!names.has(e.evt) || typeof e.anon !== 'string') continue;
+    if (q.os && e.os !== q.os) continue;
+    if (q.ext && e.ext !== q.ext) continue;
+    if (q.country && e.country !== q.country) continue;
+    if (!byAnon.has(e.anon)) byAnon.set(e.anon, []);
+    byAnon.get(e.anon)!.push({ t: eventTime(e), e });
+  }
+  const students = q.steps.map(() => 0);
+  const gaps: number[][] = q.steps.map(() => []);
+  for (const evs of byAnon.values()) {
+    evs.sort((a, b) => a.t - b.t);
+    const first = evs.findIndex(x => x.t < q.to.getTime() && matches(x.e, q.steps[0]));
+    if (first < 0) continue;
+    const t0 = evs[first].t;
+    students[0]++;
+    let at = first;
+    for (let i = 1; i < q.steps.length; i++) {
+      let next = -1;
+      for (let j = at + 1; j < evs.length && evs[j].t <= t0 + q.windowMs; j++) {
+        if (matches(evs[j].e, q.steps[i])) { next = j; break; }
+      }
+      if (next < 0) break;
+      students[i]++;
+      gaps[i].push(evs[next].t - evs[at].t);
+      at = next;
+    }
+  }
+  return { students, medians: gaps.map(median) };
+}
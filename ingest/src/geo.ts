@@ -1,8 +1,12 @@
 import maxmind from 'maxmind';
+import { counter } from './metrics.js';
 
 // Simple MaxMind GeoLite2 Country reader
 let reader: any | undefined;
 
+// `header` is counted by the caller when a CDN/proxy header already named the country
+export const geoLookups = counter('jwc_geoip_lookups_total', 'Client location lookups by result: header, hit, miss or no_db.');
+
 export async function initGeo() {
   const path = process.env.GEO_MMDB;
   if (!path) {
@@ -19,12 +23,14 @@ export async function initGeo() {
 
 export function lookup(ip: string): { country: string; region: string } {
   try {
-    if (!reader || !ip) return { country: '', region: '' };
+    if (!reader || !ip) { geoLookups.inc({ result: reader ? 'miss' : 'no_db' }); return { country: '', region: '' }; }
     const rec: any = reader.get(ip);
     const country: string = rec?.country?.iso_code || rec?.registered_country?.iso_code || '';
     const region: string = rec?.subdivisions?.[0]?.iso_code || '';
+    geoLookups.inc({ result: country ? 'hit' : 'miss' });
     return { country: country ? country.toUpperCase() : '', region: region ? region.toUpperCase() : '' };
   } catch {
+    geoLookups.inc({ result: 'miss' });
     return { country: '', region: '' };
   }
 }
\ No newline at end of file
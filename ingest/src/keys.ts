@@ -0,0 +1,48 @@
+import { getStorage } from './storage.js';
+import { flag } from './cli.js';
+import { createApiKey, listApiKeys, revokeApiKey, Scope } from './auth.js';
+
+// API key CLI.
+//   node dist/keys.js create <name> --scopes read-stats[,read-raw,...] [--expires 90d | 2026-12-31]
+//   node dist/keys.js list
+//   node dist/keys.js revoke <id>
+
+function parseExpiry(v?: string): Date | null {
+  if (!v) return null;
+  const rel = /^(\d+)d$/.exec(v);
+  const d = rel ? new Date(Date.now() + parseInt(rel[1], 10) * 86400000) : new Date(v);
+  if (isNaN(d.getTime())) throw new Error(`bad --expires value: ${v} (use e.g. 90d or 2026-12-31)`);
+  return d;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const cmd = args[0];
+  await getStorage().init();
+  if (cmd === 'create' && args[1] && !args[1].startsWith('-')) {
+    const scopes = String(flag(args, '--scopes') || '').split(',').map(s => s.trim()).filter(Boolean) as Scope[];
+    const { key, apiKey } = await createApiKey(args[1], scopes, parseExpiry(flag(args, '--expires')));
+    console.log(JSON.stringify(apiKey, null, 2));
+    console.log(`\nkey (shown once): ${key}`);
+  } else if (cmd === 'list') {
+    for (const k of await listApiKeys()) {
+      const state = k.revokedAt ? 'revoked' : k.expiresAt && Date.parse(k.expiresAt) <= Date.now() ? 'expired' : 'active';
+      console.log(`${k.id}  ${k.name.padEnd(20)} ${state.padEnd(8)} ${k.scopes.join(',').padEnd(30)} expires ${k.expiresAt || 'never'}  last used ${k.lastUsedAt || 'never'}`);
+    }
+  } else if (cmd === 'revoke' && args[1]) {
+    if (!(await revokeApiKey(args[1]))) {
+      console.error(`no active key with id ${args[1]}`);
+      process.exit(1);
+    }
+    console.log(`revoked ${args[1]}`);
+  } else {
+    console.error('usage: keys create <name> --scopes <scope,...> [--expires 90d|YYYY-MM-DD] | keys list | keys revoke <id>');
+    process.exit(2);
+  }
+  process.exit(0);
+}
+
+main().catch(e => {
+  console.error(String(e?.message || e));
+  process.exit(1);
+});
@@ -0,0 +1,183 @@
+import type { ServerResponse } from 'http';
+import { dbActiveSessions } from './db.js';
+import { useDb } from './storage.js';
+import { readEventsInRange, eventTime } from './stats.js';
+import { log } from './logger.js';
+import { gauge } from './metrics.js';
+
+// Live ingest activity for GET /stream (Server-Sent Events). POST /t publishes the events it accepted;
+// every second each subscriber gets a `tick` with that second's counts per event and the number of
+// active sessions (events in the last 10 minutes and no java.run.completed among them, as in /stats),
+// and every run outcome (java.run.completed, java.run.error) is pushed as a `run` when it arrives.
+// Counts and runs cover the events this process accepted; active sessions are re-read from storage
+// every minute, so sessions on other replicas are counted too.
+
+export interface LiveTick {
+  t: string;                           // start of the second
+  events: Record<string, number>;      // accepted events per evt
+  total: number;
+  activeSessions: number;
+}
+
+export interface LiveRun {
+  t: string;                           // event time
+  evt: string;
+  student: string;                     // as in the /stats session lists
+  exit?: number;                       // java.run.completed
+  durationMs?: number;
+  phase?: string;                      // java.run.error
+  exceptionHash?: string;
+}
+
+const ACTIVE_MS = 600000;
+const ACTIVE_REFRESH_MS = 60000;
+const HISTORY_TICKS = 60;
+const RECENT_RUNS = 20;
+const MAX_BUFFERED = 1 << 20;          // a client this far behind is dropped
+
+const clients = new Set<ServerResponse>();
+// sessionId → latest event time and latest java.run.completed time (0: none); seenAt is when this process saw it
+const sessions = new Map<string, { last: number; completedAt: number; seenAt: number }>();
+const history: LiveTick[] = [];
+const runs: LiveRun[] = [];
+let second: Record<string, number> = {};
+let timer: NodeJS.Timeout | null = null;
+let refreshedAt = 0;
+let refreshing = false;
+
+gauge('jwc_stream_clients', 'Open GET /stream connections.', () => clients.size);
+
+const student = (anon?: string) => (!anon || anon.length < 6 ? 'Student #—' : `Student #${anon.slice(-6)}`);
+
+function noteSession(sid: string, last: number, completedAt: number, seenAt: number) {
+  const s = sessions.get(sid);
+  if (!s) { sessions.set(sid, { last, completedAt, seenAt }); return; }
+  s.last = Math.max(s.last, last);
+  s.completedAt = Math.max(s.completedAt, completedAt);
+  s.seenAt = Math.max(s.seenAt, seenAt);
+}
+
+function activeSessions(now: number): number {
+  const cutoff = now - ACTIVE_MS;
+  let n = 0;
+  for (const [sid, s] of sessions) {
+    if (s.last < cutoff) { sessions.delete(sid); continue; }
+    if (s.completedAt < cutoff) n++;
+  }
+  return n;
+}
+
+// Replace the session map with storage's view, keeping what was published while it was read
+async function refreshSessions(): Promise<void> {
+  if (refreshing) return;
+  refreshing = true;
+  const started = Date.now();
+  try {
+    const fresh = new Map<string, { last: number; completedAt: number; seenAt: number }>();
+    if (useDb()) {
+      for (const r of await dbActiveSessions()) {
+        fresh.set(r.session_id, { last: new Date(r.tmax).getTime(), completedAt: r.completed_at ? new Date(r.completed_at).getTime() : 0, seenAt: 0 });
+      }
+    } else {
+      for (const e of readEventsInRange(started - ACTIVE_MS, Infinity)) {
+        const sid = typeof e.sessionId === 'string' ? e.sessionId : (typeof e.m?.sessionId === 'string' ? e.m.sessionId : '');
+        if (!sid) continue;
+        const ts = eventTime(e);
+        const s = fresh.get(sid) || { last: 0, completedAt: 0, seenAt: 0 };
+        s.last = Math.max(s.last, ts);
+        if (e.evt === 'java.run.completed') s.completedAt = Math.max(s.completedAt, ts);
+        fresh.set(sid, s);
+      }
+    }
+    const local = [...sessions].filter(([, s]) => s.seenAt >= started);
+    sessions.clear();
+    for (const [sid, s] of fresh) sessions.set(sid, s);
+    for (const [sid, s] of local) noteSession(sid, s.last, s.completedAt, s.seenAt);
+    refreshedAt = started;
+  } catch (e) {
+    log.warn('live: active session refresh failed', { err: String(e) });
+  } finally {
+    refreshing = false;
+  }
+}
+
+function send(res: ServerResponse, event: string, data: unknown) {
+  if (res.writableLength > MAX_BUFFERED) {
+    log.warn('live: dropping slow stream client');
+    res.end();
+    clients.delete(res);
+    return;
+  }
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function broadcast(event: string, data: unknown) {
+  for (const res of clients) send(res, event, data);
+}
+
+function tick() {
+  const now = Date.now();
+  if (now - refreshedAt >= ACTIVE_REFRESH_MS) void refreshSessions();
+  const events = second;
+  second = {};
+  const t = new Date(Math.floor(now / 1000) * 1000 - 1000).toISOString();
+  const out: LiveTick = { t, events, total: Object.values(events).reduce((a, b) => a + b, 0), activeSessions: activeSessions(now) };
+  history.push(out);
+  if (history.length > HISTORY_TICKS) history.shift();
+  broadcast('tick', out);
+}
+
+// Called by POST /t with the (pseudonymized) events it stored or spooled; a no-op without subscribers
+export function publishEvents(evs: any[]): void {
+  const now = Date.now();
+  for (const e of evs) {
+    if (!clients.size) break;
+    const evt = String(e.evt || 'unknown');
+    second[evt] = (second[evt] || 0) + 1;
+    const m = e.m || {};
+    const ts = eventTime(e);
+    const sid = e.sessionId ?? m.sessionId;
+    if (typeof sid === 'string' && sid) noteSession(sid, ts, evt === 'java.run.completed' ? ts : 0, now);
+    if (evt !== 'java.run.completed' && evt !== 'java.run.error') continue;
+    const run: LiveRun = { t: new Date(ts).toISOString(), evt, student: student(e.anon) };
+    if (evt === 'java.run.completed') {
+      run.exit = Number(m.exit ?? 0);
+      if (typeof m.durationMs === 'number') run.durationMs = m.durationMs;
+    } else {
+      if (m.phase) run.phase = String(m.phase);
+      if (m.exceptionHash) run.exceptionHash = String(m.exceptionHash);
+    }
+    runs.push(run);
+    if (runs.length > RECENT_RUNS) runs.shift();
+    broadcast('run', run);
+  }
+}
+
+export function liveClients(): number {
+  return clients.size;
+}
+
+// Start streaming to an HTTP response whose headers were already written; returns the unsubscribe.
+// The first message, `hello`, carries the ticks and runs seen while other clients were connected.
+export function subscribe(res: ServerResponse): () => void {
+  if (!clients.size) {
+    timer = setInterval(tick, 1000);
+    timer.unref();
+  }
+  clients.add(res);
+  void (async () => {
+    if (Date.now() - refreshedAt >= ACTIVE_REFRESH_MS) await refreshSessions();
+    if (clients.has(res)) send(res, 'hello', { activeSessions: activeSessions(Date.now()), ticks: history, runs });
+  })();
+  return () => {
+    clients.delete(res);
+    if (clients.size) return;
+    // Nothing is tracked without subscribers, so the next one starts from storage
+    if (timer) { clearInterval(timer); timer = null; }
+    sessions.clear();
+    history.length = 0;
+    runs.length = 0;
+    second = {};
+    refreshedAt = 0;
+  };
+}
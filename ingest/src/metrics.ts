@@ -0,0 +1,99 @@
+// Process-local metrics for GET /metrics in the Prometheus text format (0.0.4). Modules declare
+// their counters, histograms and gauges at load time; gauges are read when scraped. Label values
+// must come from closed sets (route templates, registry event names, rejection reasons) so the
+// number of series stays bounded.
+
+type Labels = Record<string, string>;
+
+interface Family {
+  name: string;
+  help: string;
+  type: 'counter' | 'gauge' | 'histogram';
+  lines(): string[];
+}
+
+const families: Family[] = [];
+
+// Prometheus' default buckets, in seconds
+export const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const escape = (v: string) => v.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+function labelText(labels: Labels, extra?: [string, string]): string {
+  const parts = Object.keys(labels).sort().map(k => `${k}="${escape(labels[k])}"`);
+  if (extra) parts.push(`${extra[0]}="${escape(extra[1])}"`);
+  return parts.length ? `{${parts.join(',')}}` : '';
+}
+
+const keyOf = (labels: Labels) => JSON.stringify(Object.keys(labels).sort().map(k => [k, labels[k]]));
+
+function register(f: Family) {
+  if (families.some(x => x.name === f.name)) throw new Error(`metric ${f.name} registered twice`);
+  families.push(f);
+}
+
+export function counter(name: string, help: string) {
+  const values = new Map<string, { labels: Labels; v: number }>();
+  register({ name, help, type: 'counter', lines: () => [...values.values()].map(s => `${name}${labelText(s.labels)} ${s.v}`) });
+  return {
+    inc(labels: Labels = {}, by = 1) {
+      const k = keyOf(labels);
+      const s = values.get(k);
+      if (s) s.v += by; else values.set(k, { labels, v: by });
+    }
+  };
+}
+
+export function histogram(name: string, help: string, buckets: number[] = LATENCY_BUCKETS) {
+  const series = new Map<string, { labels: Labels; counts: number[]; sum: number; count: number }>();
+  register({
+    name, help, type: 'histogram',
+    lines: () => [...series.values()].flatMap(s => [
+      ...buckets.map((b, i) => `${name}_bucket${labelText(s.labels, ['le', String(b)])} ${s.counts[i]}`),
+      `${name}_bucket${labelText(s.labels, ['le', '+Inf'])} ${s.count}`,
+      `${name}_sum${labelText(s.labels)} ${s.sum}`,
+      `${name}_count${labelText(s.labels)} ${s.count}`
+    ])
+  });
+  return {
+    observe(labels: Labels, value: number) {
+      const k = keyOf(labels);
+      let s = series.get(k);
+      if (!s) series.set(k, s = { labels, counts: buckets.map(() => 0), sum: 0, count: 0 });
+      buckets.forEach((b, i) => { if (value <= b) s!.counts[i]++; });
+      s.sum += value;
+      s.count++;
+    }
+  };
+}
+
+// `read` returns one unlabelled value, or labelled values; an empty list leaves the gauge out
+export function gauge(name: string, help: string, read: () => number | Array<[Labels, number]>, type: 'gauge' | 'counter' = 'gauge') {
+  register({
+    name, help, type,
+    lines: () => {
+      const v = read();
+      return typeof v === 'number' ? [`${name} ${v}`] : v.map(([labels, n]) => `${name}${labelText(labels)} ${n}`);
+    }
+  });
+}
+
+export function renderMetrics(): string {
+  const out: string[] = [];
+  for (const f of families) {
+    let lines: string[];
+    try { lines = f.lines(); } catch { continue; }
+    if (!lines.length) continue;
+    out.push(`# HELP ${f.name} ${f.help}`, `# TYPE ${f.name} ${f.type}`, ...lines);
+  }
+  return out.join('\n') + '\n';
+}
+
+const startedAt = Date.now() / 1000;
+gauge('process_start_time_seconds', 'Start time of the process since the Unix epoch in seconds.', () => startedAt);
+gauge('process_resident_memory_bytes', 'Resident memory size in bytes.', () => process.memoryUsage().rss);
+gauge('process_cpu_seconds_total', 'Total user and system CPU time spent in seconds.', () => {
+  const u = process.cpuUsage();
+  return (u.user + u.system) / 1e6;
+}, 'counter');
+gauge('nodejs_heap_size_used_bytes', 'V8 heap in use, in bytes.', () => process.memoryUsage().heapUsed);
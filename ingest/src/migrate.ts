@@ -0,0 +1,39 @@
+import { dbMigrations } from './db.js';
+import { MigrationStatus } from './migrations.js';
+
+// Schema migration CLI.
+//   node dist/migrate.js status           list migrations and whether each is applied
+//   node dist/migrate.js up [--dry-run]   apply pending migrations (or just list them)
+
+function line(s: MigrationStatus) {
+  return `${String(s.version).padStart(4, '0')}  ${s.name.padEnd(28)} ${s.state.padEnd(9)} ${s.checksum}  ${s.appliedAt || ''}`;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const cmd = args.find(a => !a.startsWith('-')) || 'status';
+  const dryRun = args.includes('--dry-run');
+  if (cmd !== 'status' && cmd !== 'up') {
+    console.error('usage: migrate [status | up [--dry-run]]');
+    process.exit(2);
+  }
+  const { status, applied } = await dbMigrations({ apply: cmd === 'up' && !dryRun, dryRun: cmd === 'up' && dryRun });
+  if (cmd === 'up') {
+    if (dryRun) console.log(applied.length ? 'would apply:' : 'nothing to apply');
+    else console.log(applied.length ? 'applied:' : 'already up to date');
+    for (const s of applied) console.log('  ' + line(s));
+    console.log('');
+  }
+  for (const s of status) console.log(line(s));
+  const bad = status.filter(s => s.state === 'modified');
+  if (bad.length) {
+    console.error(`checksum mismatch: ${bad.map(s => s.version).join(', ')} changed after being applied`);
+    process.exit(1);
+  }
+  process.exit(0);
+}
+
+main().catch(e => {
+  console.error(String(e?.message || e));
+  process.exit(1);
+});
@@ -0,0 +1,295 @@
+import crypto from 'crypto';
+import type { PoolClient } from 'pg';
+import { CONFIG } from './config.js';
+import { log } from './logger.js';
+import { eventsTableKind } from './partitions.js';
+import { ROLLUP_DDL } from './rollup.js';
+
+// Versioned schema migrations, recorded in schema_migrations.
+// Each migration runs once, in its own transaction, under an advisory lock so replicas booting
+// together apply it exactly once. The checksum of an applied migration must not change: add a new
+// migration to the end of the list instead of editing an old one.
+
+export interface Migration {
+  version: number;
+  name: string;
+  up: string | ((client: PoolClient) => Promise<void>);
+  // For function migrations: every statement the function may run, rendered. The checksum covers this
+  // instead of the function's source, which only names the constants it interpolates.
+  sql?: string;
+}
+
+export interface MigrationStatus {
+  version: number;
+  name: string;
+  checksum: string;
+  // modified = applied with a different checksum; unknown = applied but not in this build
+  state: 'applied' | 'pending' | 'modified' | 'unknown';
+  appliedAt: string | null;
+}
+
+// Every telemetry_events column but id (whose definition depends on partitioning)
+export const EVENT_COLUMNS = `
+  t timestamptz not null,
+  anon text not null,
+  evt text not null,
+  os text,
+  ext text,
+  vscode text,
+  country text,
+  region text,
+  -- explicit metric columns (nullable)
+  duration_ms bigint,
+  wait_ms_total bigint,
+  exit_code integer,
+  session_id text,
+  out_bytes_bucket text,
+  scanner_usage boolean,
+  truncated_output boolean,
+  error_phase text,
+  exception_hash text,
+  m jsonb`;
+
+const CREATE_EVENTS = `create table telemetry_events (id bigserial primary key, ${EVENT_COLUMNS})`;
+const CREATE_EVENTS_PARTITIONED = `create table telemetry_events (id bigserial, ${EVENT_COLUMNS}, primary key (id, t)) partition by range (t)`;
+const ADOPT_EVENTS = `
+  alter table telemetry_events
+    add column if not exists duration_ms bigint,
+    add column if not exists wait_ms_total bigint,
+    add column if not exists exit_code integer,
+    add column if not exists session_id text,
+    add column if not exists out_bytes_bucket text,
+    add column if not exists scanner_usage boolean,
+    add column if not exists truncated_output boolean,
+    add column if not exists error_phase text,
+    add column if not exists exception_hash text;
+  create index if not exists idx_events_t on telemetry_events (t);
+  create index if not exists idx_events_evt on telemetry_events (evt);
+  create index if not exists idx_events_country on telemetry_events (country);
+  create index if not exists idx_events_os on telemetry_events (os);
+  create index if not exists idx_events_ext on telemetry_events (ext);
+  create index if not exists idx_events_vscode on telemetry_events (vscode);
+  create index if not exists idx_events_anon on telemetry_events (anon);
+  create index if not exists idx_events_session on telemetry_events (session_id);
+`;
+
+export const MIGRATIONS: Migration[] = [
+  {
+    version: 1,
+    name: 'events_table',
+    // Also adopts tables created by the pre-migration dbInit, which may lack the metric columns
+    up: async client => {
+      if (!(await eventsTableKind(client))) {
+        await client.query(CONFIG.PARTITION_INTERVAL === 'none' ? CREATE_EVENTS : CREATE_EVENTS_PARTITIONED);
+      }
+      await client.query(ADOPT_EVENTS);
+    },
+    // Both table layouts, so PARTITION_INTERVAL=none can still be switched to partitions with PARTITION_CONVERT
+    sql: [CREATE_EVENTS, CREATE_EVENTS_PARTITIONED, ADOPT_EVENTS].join(';\n')
+  },
+  { version: 2, name: 'rollup_tables', up: ROLLUP_DDL },
+  {
+    version: 3,
+    name: 'subject_requests',
+    up: `
+      create table if not exists subject_requests (
+        id bigserial primary key,
+        at timestamptz not null default now(),
+        action text not null,
+        subject text not null,
+        actor text,
+        reason text,
+        result jsonb
+      );
+      create index if not exists idx_subject_requests_subject on subject_requests (subject);
+    `
+  },
+  {
+    version: 4,
+    name: 'consent',
+    up: `
+      create table if not exists telemetry_consent (
+        subject text primary key,
+        state text not null,
+        changed_at timestamptz not null,
+        updated_at timestamptz not null default now()
+      );
+      create table if not exists telemetry_purge_jobs (
+        id bigserial primary key,
+        subject text not null,
+        created_at timestamptz not null default now(),
+        attempts integer not null default 0,
+        next_at timestamptz not null default now(),
+        last_error text
+      );
+      create index if not exists idx_purge_jobs_next_at on telemetry_purge_jobs (next_at);
+    `
+  },
+  {
+    version: 5,
+    name: 'api_keys',
+    up: `
+      create table if not exists api_keys (
+        id text primary key,
+        name text not null,
+        scopes text[] not null,
+        hash text not null,
+        created_at timestamptz not null default now(),
+        expires_at timestamptz,
+        revoked_at timestamptz,
+        last_used_at timestamptz
+      );
+    `
+  },
+  {
+    version: 6,
+    name: 'exception_catalog',
+    up: `
+      create table if not exists telemetry_exceptions (
+        hash text primary key,
+        first_seen timestamptz not null,
+        last_seen timestamptz not null,
+        events bigint not null,
+        first_ext text,
+        phase text,
+        regressions integer not null default 0,
+        regressed_at timestamptz,
+        label text,
+        source text,
+        labeled_by text,
+        labeled_at timestamptz
+      );
+      create index if not exists idx_exceptions_last_seen on telemetry_exceptions (last_seen);
+      create table if not exists telemetry_exception_breakdown (
+        hash text not null,
+        dim text not null,
+        value text not null,
+        first_seen timestamptz not null,
+        last_seen timestamptz not null,
+        events bigint not null,
+        primary key (hash, dim, value)
+      );
+      create table if not exists telemetry_exception_users (
+        hash text not null,
+        anon text not null,
+        last_seen timestamptz not null,
+        primary key (hash, anon)
+      );
+      create index if not exists idx_exception_users_anon on telemetry_exception_users (anon);
+      create index if not exists idx_exception_users_last_seen on telemetry_exception_users (last_seen);
+    `
+  },
+  {
+    version: 7,
+    name: 'alert_state',
+    up: `
+      create table if not exists telemetry_alert_state (
+        rule_id text primary key,
+        state text not null,
+        since timestamptz,
+        value double precision,
+        evaluated_at timestamptz,
+        notified text,
+        notified_at timestamptz,
+        delivering jsonb,
+        rule jsonb
+      );
+    `
+  }
+];
+
+const LOCK = `hashtext('telemetry_migrations')`;
+
+function checksum(m: Migration): string {
+  const sql = typeof m.up === 'string' ? m.up : m.sql;
+  if (sql === undefined) throw new Error(`migration ${m.version}_${m.name} has no sql to checksum`);
+  return crypto.createHash('sha256').update(sql).digest('hex').slice(0, 16);
+}
+
+async function ensureTable(client: PoolClient) {
+  await client.query(`
+    create table if not exists schema_migrations (
+      version integer primary key,
+      name text not null,
+      checksum text not null,
+      applied_at timestamptz not null default now(),
+      duration_ms integer not null default 0
+    )
+  `);
+}
+
+export async function migrationStatus(client: PoolClient): Promise<MigrationStatus[]> {
+  const exists = (await client.query(`select to_regclass('schema_migrations') as r`)).rows[0]?.r;
+  const applied = new Map<number, any>();
+  if (exists) {
+    for (const r of (await client.query(`select version, name, checksum, applied_at from schema_migrations`)).rows) applied.set(Number(r.version), r);
+  }
+  const out: MigrationStatus[] = MIGRATIONS.map(m => {
+    const sum = checksum(m);
+    const row = applied.get(m.version);
+    applied.delete(m.version);
+    return {
+      version: m.version,
+      name: m.name,
+      checksum: sum,
+      state: !row ? 'pending' : row.checksum === sum ? 'applied' : 'modified',
+      appliedAt: row ? new Date(row.applied_at).toISOString() : null
+    };
+  });
+  for (const row of applied.values()) {
+    out.push({ version: Number(row.version), name: row.name, checksum: row.checksum, state: 'unknown', appliedAt: new Date(row.applied_at).toISOString() });
+  }
+  return out.sort((a, b) => a.version - b.version);
+}
+
+// Apply pending migrations in order. Refuses to run if an applied migration was edited.
+// With dryRun nothing is written; the pending list is returned as it would be applied.
+export async function migrate(client: PoolClient, opts: { dryRun?: boolean } = {}): Promise<MigrationStatus[]> {
+  if (opts.dryRun) return (await migrationStatus(client)).filter(s => s.state === 'pending');
+  await client.query(`select pg_advisory_lock(${LOCK})`);
+  let failed = false;
+  try {
+    await ensureTable(client);
+    // Re-read under the lock: another replica may have just applied some
+    const status = await migrationStatus(client);
+    const modified = status.filter(s => s.state === 'modified');
+    if (modified.length) {
+      throw new Error(`schema_migrations checksum mismatch for ${modified.map(s => `${s.version}_${s.name}`).join(', ')}`);
+    }
+    for (const s of status.filter(s => s.state === 'unknown')) {
+      log.warn('[migrate] applied migration not in this build', { version: s.version, name: s.name });
+    }
+    const done: MigrationStatus[] = [];
+    for (const s of status.filter(s => s.state === 'pending')) {
+      const m = MIGRATIONS.find(x => x.version === s.version)!;
+      const t0 = Date.now();
+      await client.query('begin');
+      try {
+        if (typeof m.up === 'string') await client.query(m.up);
+        else await m.up(client);
+        await client.query(
+          `insert into schema_migrations (version, name, checksum, duration_ms) values ($1, $2, $3, $4)`,
+          [m.version, m.name, s.checksum, Date.now() - t0]
+        );
+        await client.query('commit');
+      } catch (e: any) {
+        try { await client.query('rollback'); } catch {}
+        throw new Error(`migration ${m.version}_${m.name} failed: ${e?.message || e}`);
+      }
+      log.info('[migrate] applied', { version: m.version, name: m.name, ms: Date.now() - t0 });
+      done.push({ ...s, state: 'applied', appliedAt: new Date().toISOString() });
+    }
+    return done;
+  } catch (e) {
+    failed = true;
+    throw e;
+  } finally {
+    // A failed unlock must not replace the error that got us here
+    try {
+      await client.query(`select pg_advisory_unlock(${LOCK})`);
+    } catch (e: any) {
+      if (!failed) throw e;
+      log.warn('[migrate] advisory unlock failed', { error: String(e?.message || e) });
+    }
+  }
+}
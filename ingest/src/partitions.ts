@@ -0,0 +1,198 @@
+import fs from 'fs';
+import path from 'path';
+import type { PoolClient } from 'pg';
+import { log } from './logger.js';
+
+// Range partitioning of telemetry_events on t, plus retention.
+// Partitions are named telemetry_events_pYYYYMMDD after their (UTC) start; a default partition
+// catches rows outside every range. Retention archives whole expired partitions to JSONL and drops them.
+
+export type PartitionInterval = 'month' | 'week' | 'day';
+
+interface Bound { name: string; from: number; to: number; }
+
+const ARCHIVE_BATCH = 5000;
+
+function pad(n: number) { return n < 10 ? '0' + n : '' + n; }
+
+export function periodStart(ms: number, interval: PartitionInterval): number {
+  const d = new Date(ms);
+  if (interval === 'month') return Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), 1);
+  const day = Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate());
+  if (interval === 'day') return day;
+  return day - ((d.getUTCDay() + 6) % 7) * 86400000; // ISO weeks start on Monday
+}
+
+export function nextPeriod(start: number, interval: PartitionInterval): number {
+  const d = new Date(start);
+  if (interval === 'month') return Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 1);
+  return start + (interval === 'week' ? 7 : 1) * 86400000;
+}
+
+function partitionName(start: number): string {
+  const d = new Date(start);
+  return `telemetry_events_p${d.getUTCFullYear()}${pad(d.getUTCMonth() + 1)}${pad(d.getUTCDate())}`;
+}
+
+// 'p' = partitioned, 'r' = plain table, null = missing
+export async function eventsTableKind(client: PoolClient): Promise<string | null> {
+  const r = await client.query(`select c.relkind from pg_class c where c.oid = to_regclass('telemetry_events')`);
+  return r.rows[0]?.relkind ?? null;
+}
+
+async function listPartitions(client: PoolClient): Promise<Bound[]> {
+  const r = await client.query(`
+    select c.relname as name, pg_get_expr(c.relpartbound, c.oid) as bound
+    from pg_inherits i join pg_class c on c.oid = i.inhrelid
+    where i.inhparent = 'telemetry_events'::regclass
+  `);
+  const out: Bound[] = [];
+  for (const row of r.rows as any[]) {
+    const m = /FROM \('([^']+)'\) TO \('([^']+)'\)/.exec(row.bound || '');
+    if (m) out.push({ name: row.name, from: Date.parse(m[1]), to: Date.parse(m[2]) });
+  }
+  return out.sort((a, b) => a.from - b.from);
+}
+
+// Create partitions covering [fromMs, toMs) that don't overlap existing ones, plus the default partition.
+export async function ensurePartitions(client: PoolClient, interval: PartitionInterval, fromMs: number, toMs: number): Promise<string[]> {
+  await client.query(`create table if not exists telemetry_events_default partition of telemetry_events default`);
+  const existing = await listPartitions(client);
+  const created: string[] = [];
+  for (let start = periodStart(fromMs, interval); start < toMs; start = nextPeriod(start, interval)) {
+    const end = nextPeriod(start, interval);
+    if (existing.some(b => b.from < end && b.to > start)) continue;
+    const name = partitionName(start);
+    const bounds = `from ('${new Date(start).toISOString()}') to ('${new Date(end).toISOString()}')`;
+    const range = [new Date(start), new Date(end)];
+    const stray = await client.query(`select 1 from telemetry_events_default where t >= $1 and t < $2 limit 1`, range);
+    if (!stray.rows.length) {
+      await client.query(`create table if not exists ${name} partition of telemetry_events for values ${bounds}`);
+    } else {
+      // Postgres refuses a new partition while the default holds rows in its range: move them across first
+      await client.query('begin');
+      try {
+        await client.query(`create table ${name} (like telemetry_events including defaults)`);
+        await client.query(`
+          with moved as (delete from telemetry_events_default where t >= $1 and t < $2 returning *)
+          insert into ${name} select * from moved
+        `, range);
+        await client.query(`alter table telemetry_events attach partition ${name} for values ${bounds}`);
+        await client.query('commit');
+      } catch (e) {
+        try { await client.query('rollback'); } catch {}
+        throw e;
+      }
+    }
+    created.push(name);
+  }
+  if (created.length) log.info('partitions: created', { created });
+  return created;
+}
+
+// Replace a plain telemetry_events table with a partitioned one holding the same rows.
+// `columnsDdl` is every column but id. Runs in one transaction; takes as long as copying the table.
+export async function convertToPartitioned(client: PoolClient, interval: PartitionInterval, columnsDdl: string): Promise<void> {
+  await client.query('begin');
+  try {
+    await client.query(`lock table telemetry_events in access exclusive mode`);
+    // Secondary indexes are recreated on the new table under the same names
+    const indexes = (await client.query(`
+      select indexname, indexdef from pg_indexes
+      where schemaname = current_schema() and tablename = 'telemetry_events' and indexname <> 'telemetry_events_pkey'
+    `)).rows as Array<{ indexname: string; indexdef: string }>;
+    await client.query(`alter table telemetry_events rename to telemetry_events_unpartitioned`);
+    await client.query(`alter index if exists telemetry_events_pkey rename to telemetry_events_unpartitioned_pkey`);
+    for (const ix of indexes) await client.query(`drop index ${ix.indexname}`);
+    // Keep the existing id sequence so ids (and the rollup watermark) carry on where they were
+    await client.query(`
+      create table telemetry_events (
+        id bigint not null default nextval('telemetry_events_id_seq'), ${columnsDdl}, primary key (id, t)
+      ) partition by range (t)
+    `);
+    await client.query(`alter sequence telemetry_events_id_seq owned by telemetry_events.id`);
+    for (const ix of indexes) await client.query(ix.indexdef);
+    const span = (await client.query(`select min(t) as lo, max(t) as hi from telemetry_events_unpartitioned`)).rows[0];
+    const lo = span?.lo ? new Date(span.lo).getTime() : Date.now();
+    const hi = span?.hi ? new Date(span.hi).getTime() : Date.now();
+    await ensurePartitions(client, interval, lo, nextPeriod(periodStart(hi, interval), interval));
+    const cols = (await client.query(`
+      select string_agg(quote_ident(column_name), ', ' order by ordinal_position) as cols
+      from information_schema.columns where table_schema = current_schema() and table_name = 'telemetry_events_unpartitioned'
+    `)).rows[0].cols;
+    await client.query(`insert into telemetry_events (${cols}) select ${cols} from telemetry_events_unpartitioned`);
+    await client.query(`drop table telemetry_events_unpartitioned`);
+    await client.query('commit');
+    log.info('partitions: converted telemetry_events to partitioned', { interval });
+  } catch (e) {
+    try { await client.query('rollback'); } catch {}
+    throw e;
+  }
+}
+
+// Rows go to a temporary file that is renamed into place once complete, so an archive file is
+// never partial. No file is written when there are no rows.
+async function archiveRows(client: PoolClient, table: string, where: string, params: any[], file: string): Promise<number> {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.tmp`;
+  const fd = fs.openSync(tmp, 'w');
+  let lastId = 0, total = 0;
+  try {
+    for (;;) {
+      const r = await client.query(
+        `select * from ${table} where ${where} and id > $${params.length + 1} order by id limit ${ARCHIVE_BATCH}`,
+        [...params, lastId]
+      );
+      if (!r.rows.length) break;
+      fs.writeSync(fd, r.rows.map(row => JSON.stringify(row)).join('\n') + '\n');
+      total += r.rows.length;
+      lastId = Number(r.rows[r.rows.length - 1].id);
+    }
+    fs.fsyncSync(fd);
+  } catch (e) {
+    fs.closeSync(fd);
+    fs.rmSync(tmp, { force: true });
+    throw e;
+  }
+  fs.closeSync(fd);
+  if (total) fs.renameSync(tmp, file);
+  else fs.rmSync(tmp, { force: true });
+  return total;
+}
+
+// Archive (when archiveDir is set) and remove raw events older than now - retentionDays.
+// Partitions that end before the cutoff are dropped whole; stragglers in the default partition, or
+// in an unpartitioned table, are deleted row by row. Per-student rollup rows and exception users
+// expire with them.
+export async function applyRetention(client: PoolClient, retentionDays: number, archiveDir: string | null): Promise<{ dropped: string[]; archivedRows: number }> {
+  const cutoff = new Date(Date.now() - retentionDays * 86400000);
+  const out = { dropped: [] as string[], archivedRows: 0 };
+  const partitioned = (await eventsTableKind(client)) === 'p';
+  if (partitioned) {
+    for (const p of await listPartitions(client)) {
+      if (p.to > cutoff.getTime()) continue;
+      if (archiveDir) {
+        // Replaces the file of an earlier run that died between archiving and dropping
+        const n = await archiveRows(client, p.name, 'true', [], path.join(archiveDir, `${p.name}.jsonl`));
+        out.archivedRows += n;
+        log.info('retention: archived partition', { partition: p.name, rows: n });
+      }
+      await client.query(`drop table ${p.name}`);
+      out.dropped.push(p.name);
+      log.info('retention: dropped partition', { partition: p.name });
+    }
+  }
+  const rest = partitioned ? 'telemetry_events_default' : 'telemetry_events';
+  if ((await client.query(`select to_regclass($1) as r`, [rest])).rows[0]?.r) {
+    if (archiveDir) {
+      // One file per run: a later run the same day must not replace rows this one already deleted
+      const file = path.join(archiveDir, `${rest}-${cutoff.toISOString().slice(0, 19).replace(/:/g, '')}Z.jsonl`);
+      out.archivedRows += await archiveRows(client, rest, 't < $1', [cutoff], file);
+    }
+    const del = await client.query(`delete from ${rest} where t < $1`, [cutoff]);
+    if (del.rowCount) log.info('retention: deleted rows', { table: rest, rows: del.rowCount });
+  }
+  await client.query(`delete from telemetry_rollup_daily_anon where day < ($1::timestamptz)::date`, [cutoff]);
+  await client.query(`delete from telemetry_exception_users where last_seen < $1`, [cutoff]);
+  return out;
+}
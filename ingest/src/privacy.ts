@@ -0,0 +1,38 @@
+import os from 'os';
+import { getStorage } from './storage.js';
+import { flag } from './cli.js';
+import { initPseudonyms } from './pseudonym.js';
+import { exportSubject, eraseSubject, subjectCsv } from './subjects.js';
+
+// Data-subject request CLI, same as GET/DELETE /subjects/:anon.
+//   node dist/privacy.js export <anon> [--csv] [--reason "ticket 123"]
+//   node dist/privacy.js erase <anon> --yes [--reason "ticket 123"]
+
+async function main() {
+  const args = process.argv.slice(2);
+  const [cmd, anonRaw] = args;
+  const anon = String(anonRaw || '').toLowerCase();
+  if (!['export', 'erase'].includes(cmd) || !/^[a-f0-9]{32}$/.test(anon)) {
+    console.error('usage: privacy export <anon> [--csv] [--reason text] | privacy erase <anon> --yes [--reason text]');
+    process.exit(2);
+  }
+  const req = { actor: `cli:${os.userInfo().username}@${os.hostname()}`, reason: flag(args, '--reason') };
+  initPseudonyms();
+  await getStorage().init();
+  if (cmd === 'export') {
+    const out = await exportSubject(anon, req);
+    process.stdout.write(args.includes('--csv') ? subjectCsv(out.events) : JSON.stringify(out, null, 2) + '\n');
+  } else {
+    if (!args.includes('--yes')) {
+      console.error('erase deletes data permanently; re-run with --yes');
+      process.exit(2);
+    }
+    console.log(JSON.stringify(await eraseSubject(anon, req), null, 2));
+  }
+  process.exit(0);
+}
+
+main().catch(e => {
+  console.error(String(e?.message || e));
+  process.exit(1);
+});
@@ -0,0 +1,109 @@
+import crypto from 'crypto';
+import { CONFIG } from './config.js';
+import { log } from './logger.js';
+
+// Server-side pseudonymization of client anon IDs, applied before an event is stored, spooled,
+// logged or written as JSONL. The stored ID is HMAC-SHA256(salt, client anon), cut to 32 hex chars
+// so it keeps the anon format. Without the salt it cannot be joined back to an install.
+//
+// YEARLY_SALT holds the key history: either one secret, from which a salt per calendar year is
+// derived, and/or explicit `YYYY:secret` entries (comma separated) for rotated years. The salt is
+// chosen by the event's own UTC year, so the same install gets unrelated IDs in different years
+// unless PSEUDONYM_CROSS_YEAR is set, in which case one salt is used for every year.
+
+interface Salts { base: string | null; years: Map<number, string>; }
+
+// The salt earlier versions used when YEARLY_SALT was unset. It is public, so it is refused for
+// pseudonyms; with PSEUDONYMIZE off it still keys consent and the erasure lookup of old rows.
+const DEFAULT_SALT = 'jwc-2025-salt';
+// Earliest year telemetry may have been collected in
+const FIRST_YEAR = 2024;
+
+let salts: Salts | null = null;
+const warnedYears = new Set<number>();
+
+function parseSalts(spec: string): Salts {
+  const out: Salts = { base: null, years: new Map() };
+  for (const part of spec.split(',').map(s => s.trim()).filter(Boolean)) {
+    const m = /^(\d{4}):(.+)$/.exec(part);
+    if (m) out.years.set(parseInt(m[1], 10), m[2]);
+    else out.base = part;
+  }
+  return out;
+}
+
+function getSalts(): Salts {
+  if (!salts) salts = parseSalts(CONFIG.YEARLY_SALT || DEFAULT_SALT);
+  return salts;
+}
+
+function hmac(key: string, data: string): string {
+  return crypto.createHmac('sha256', key).update(data).digest('hex');
+}
+
+export function saltForYear(year: number): string {
+  const s = getSalts();
+  if (CONFIG.PSEUDONYM_CROSS_YEAR) {
+    return s.base ?? s.years.get(Math.min(...s.years.keys()))!;
+  }
+  const explicit = s.years.get(year);
+  if (explicit) return explicit;
+  if (s.base) return hmac(s.base, `jwc-anon-${year}`);
+  // Only explicit years configured and this one is missing: reuse the nearest earlier year's salt
+  const years = [...s.years.keys()].sort((a, b) => a - b);
+  const prior = years.filter(y => y < year).pop() ?? years[0];
+  if (!warnedYears.has(year)) {
+    warnedYears.add(year);
+    log.warn('pseudonym: no salt for year, reusing an older one; add it to YEARLY_SALT', { year, using: prior });
+  }
+  return s.years.get(prior)!;
+}
+
+function eventYear(t: any): number {
+  const tnum = typeof t === 'number' ? t : Date.parse(t);
+  const ms = tnum < 1e12 ? tnum * 1000 : tnum;
+  return Number.isFinite(ms) ? new Date(ms).getUTCFullYear() : new Date().getUTCFullYear();
+}
+
+export function pseudonymize(anon: string, t: any): string {
+  if (!CONFIG.PSEUDONYMIZE) return anon;
+  return hmac(saltForYear(eventYear(t)), anon).slice(0, 32);
+}
+
+// Every ID an install's events may be stored under: the raw ID (rows written before pseudonymization
+// or with it off) plus its pseudonym for each year from the oldest salt to next year.
+export function storedIdsFor(anon: string): string[] {
+  const ids = new Set([anon]);
+  const s = getSalts();
+  if (!s.base && !s.years.size) return [...ids];
+  const now = new Date().getUTCFullYear();
+  for (let y = Math.min(FIRST_YEAR, ...s.years.keys()); y <= now + 1; y++) ids.add(hmac(saltForYear(y), anon).slice(0, 32));
+  return [...ids];
+}
+
+// Stable, year-independent key for an install's consent state (telemetry.optout/optin must outlive
+// salt rotation). Kept only in the consent store, never on events, so events stay unlinkable across years.
+export function consentId(anon: string): string {
+  const s = getSalts();
+  const key = s.base ?? (s.years.size ? s.years.get(Math.min(...s.years.keys()))! : DEFAULT_SALT);
+  return hmac(key, `jwc-consent:${anon}`).slice(0, 32);
+}
+
+export function pseudonymizeEvent<T extends { anon?: any; t?: any }>(ev: T): T {
+  if (!CONFIG.PSEUDONYMIZE || typeof ev?.anon !== 'string') return ev;
+  return { ...ev, anon: pseudonymize(ev.anon, ev.t) };
+}
+
+// Throws when pseudonyms would be keyed by a missing or public salt
+export function initPseudonyms() {
+  salts = parseSalts(CONFIG.YEARLY_SALT || DEFAULT_SALT);
+  if (!CONFIG.PSEUDONYMIZE) {
+    log.warn('pseudonym: disabled; raw client anon IDs will be stored');
+    return;
+  }
+  if (!salts.base && !salts.years.size) throw new Error('PSEUDONYMIZE is on but YEARLY_SALT is empty');
+  if (salts.base === DEFAULT_SALT || [...salts.years.values()].includes(DEFAULT_SALT)) {
+    throw new Error(`PSEUDONYMIZE is on but YEARLY_SALT is ${CONFIG.YEARLY_SALT ? 'the public default' : 'not set'}; set a secret value`);
+  }
+  log.info('pseudonym: init', { crossYear: CONFIG.PSEUDONYM_CROSS_YEAR, explicitYears: [...salts.years.keys()].sort() });
+}
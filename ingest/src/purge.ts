@@ -0,0 +1,144 @@
+import fs from 'fs';
+import path from 'path';
+import { CONFIG } from './config.js';
+import { dbPurgeEnqueue, dbPurgeClaim, dbPurgeDone, dbPurgeRetry } from './db.js';
+import { useDb } from './storage.js';
+import { storedIdsFor, pseudonymize } from './pseudonym.js';
+import { eraseIds } from './subjects.js';
+import { log } from './logger.js';
+
+// Background erasure for CONSENT_PURGE_ON_OPTOUT. An optout only records a purge job on the ingest
+// path; a worker runs the erasure (eraseIds) and retries a failed one with backoff until it succeeds.
+// Jobs live in telemetry_purge_jobs (pg) or LOG_DIR/purge-jobs.json (file backend), so neither a
+// restart nor a failed erasure loses them; one that cannot be saved is kept in memory and saved on
+// the next tick. A saved job holds only the install's current stored ID: the list of every ID it may
+// be stored under (storedIdsFor) would link its pseudonyms across years, so that list is kept in
+// memory until the job is done. With PSEUDONYMIZE off the saved ID is the raw one and the list can be
+// worked out again; otherwise a job run after a restart erases the saved ID only.
+
+export interface PurgeJob {
+  id: string;
+  subject: string;
+  attempts: number;
+}
+
+interface FileJob extends PurgeJob { nextAt: number; lastError: string | null; }
+
+const TICK_MS = 30000;
+const LEASE_MS = 15 * 60000;
+const MAX_BACKOFF_MS = 3600000;
+const CLAIM = 10;
+
+let unsaved: string[] = [];
+// subject → every ID its events may be stored under, for jobs not yet done
+const held = new Map<string, string[]>();
+let running = false;
+
+function jobsFile() { return path.join(CONFIG.LOG_DIR, 'purge-jobs.json'); }
+
+function readJobsFile(): FileJob[] {
+  try { return JSON.parse(fs.readFileSync(jobsFile(), 'utf8')); } catch { return []; }
+}
+
+function writeJobsFile(jobs: FileJob[]) {
+  fs.mkdirSync(path.dirname(jobsFile()), { recursive: true });
+  const tmp = jobsFile() + '.tmp';
+  fs.writeFileSync(tmp, JSON.stringify(jobs, null, 2));
+  fs.renameSync(tmp, jobsFile());
+}
+
+async function save(subjects: string[]) {
+  if (useDb()) return dbPurgeEnqueue(subjects);
+  const all = readJobsFile();
+  let id = all.reduce((n, j) => Math.max(n, Number(j.id)), 0);
+  for (const subject of subjects) all.push({ id: String(++id), subject, attempts: 0, nextAt: 0, lastError: null });
+  writeJobsFile(all);
+}
+
+async function claim(now: number): Promise<PurgeJob[]> {
+  if (useDb()) return dbPurgeClaim(CLAIM, LEASE_MS);
+  const all = readJobsFile();
+  const due = all.filter(j => j.nextAt <= now).slice(0, CLAIM);
+  for (const j of due) { j.attempts++; j.nextAt = now + LEASE_MS; }
+  if (due.length) writeJobsFile(all);
+  return due;
+}
+
+async function done(id: string) {
+  if (useDb()) return dbPurgeDone(id);
+  writeJobsFile(readJobsFile().filter(j => j.id !== id));
+}
+
+async function retry(id: string, delayMs: number, error: string) {
+  if (useDb()) return dbPurgeRetry(id, delayMs, error);
+  const all = readJobsFile();
+  const j = all.find(x => x.id === id);
+  if (!j) return;
+  j.nextAt = Date.now() + delayMs;
+  j.lastError = error;
+  writeJobsFile(all);
+}
+
+function idsFor(subject: string): string[] {
+  if (!CONFIG.PSEUDONYMIZE) return storedIdsFor(subject);
+  const ids = held.get(subject);
+  if (ids) return ids;
+  log.warn('purge: other IDs of this install were lost in a restart; erasing the saved one only', { subject });
+  return [subject];
+}
+
+// Record a purge for each client anon ID and start the worker. Only the save is awaited, never the erasure.
+export async function enqueuePurges(anons: string[]): Promise<void> {
+  if (!anons.length) return;
+  const subjects = anons.map(anon => {
+    const subject = pseudonymize(anon, Date.now());
+    held.set(subject, storedIdsFor(anon));
+    return subject;
+  });
+  try {
+    await save([...unsaved, ...subjects]);
+    unsaved = [];
+  } catch (e: any) {
+    unsaved.push(...subjects);
+    log.error('purge: saving jobs failed, will retry', { unsaved: unsaved.length, error: String(e?.message || e) });
+  }
+  runPurges().catch(() => {});
+}
+
+// Save held-back jobs, then erase due ones until none are left
+export async function runPurges(): Promise<void> {
+  if (running) return;
+  running = true;
+  try {
+    if (unsaved.length) {
+      await save(unsaved);
+      unsaved = [];
+    }
+    for (;;) {
+      const jobs = await claim(Date.now());
+      if (!jobs.length) break;
+      for (const j of jobs) {
+        try {
+          await eraseIds(idsFor(j.subject), j.subject, { actor: 'consent', reason: 'telemetry.optout' });
+          await done(j.id);
+          held.delete(j.subject);
+        } catch (e: any) {
+          const delay = Math.min(MAX_BACKOFF_MS, TICK_MS * 2 ** (j.attempts - 1));
+          const error = String(e?.message || e);
+          log.error('purge: erasure failed, will retry', { subject: j.subject, attempts: j.attempts, retryInMs: delay, error });
+          await retry(j.id, delay, error);
+        }
+      }
+    }
+  } catch (e: any) {
+    log.error('purge: run failed', { error: String(e?.message || e) });
+  } finally {
+    running = false;
+  }
+}
+
+export function initPurge() {
+  if (!CONFIG.CONSENT_PURGE_ON_OPTOUT) return;
+  runPurges().catch(() => {});
+  setInterval(() => { runPurges().catch(() => {}); }, TICK_MS).unref();
+}
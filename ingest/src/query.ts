@@ -0,0 +1,144 @@
+import { dbQuery } from './db.js';
+import { useDb } from './storage.js';
+import { readEventsInRange, eventTime, percentile } from './stats.js';
+import { periodStart } from './partitions.js';
+
+// Ad-hoc metric queries: one metric over [from, to), optionally filtered by and grouped on event
+// dimensions and bucketed by hour, day or ISO week (UTC). Dimensions, metrics and granularities are
+// closed lists, so dbQuery only ever interpolates names from its own tables; filter values are
+// bound parameters. Dimensions are normalised as in the rollups: missing os/ext/vscode/country are
+// 'Unknown', exit_code is set for java.run.completed only and error_phase for java.run.error only.
+
+export const QUERY_METRICS = ['count', 'uniques', 'duration_p50', 'duration_p90', 'duration_p95', 'duration_p99', 'exit_rate'] as const;
+export type QueryMetric = typeof QUERY_METRICS[number];
+
+export const QUERY_DIMENSIONS = ['evt', 'os', 'ext', 'vscode', 'country', 'exit_code', 'error_phase'] as const;
+export type QueryDimension = typeof QUERY_DIMENSIONS[number];
+
+export const GRANULARITIES = ['hour', 'day', 'week'] as const;
+export type Granularity = typeof GRANULARITIES[number];
+
+export interface MetricQuery {
+  metric: QueryMetric;
+  from: Date;
+  to: Date;
+  filters: Partial<Record<QueryDimension, string[]>>;
+  groupBy: QueryDimension[];
+  granularity: Granularity | null;   // null: one bucket for the whole range
+  exit: string[];                    // exit_rate: the exit codes counted as hits
+  limit: number;
+}
+
+export interface QueryRow {
+  t?: string;                        // bucket start, with a granularity
+  [dim: string]: string | number | null | undefined;
+  value: number | null;
+  n?: number;                        // completed runs behind a rate or percentile
+}
+
+export const MAX_QUERY_ROWS = 10000;
+const MAX_DAYS: Record<Granularity | 'none', number> = { hour: 31, day: 366, week: 366, none: 366 };
+
+// Query-string form: metric, from/to via the caller's range, group=os,ext, granularity=day,
+// a comma list per filter dimension (evt=java.run.started,java.run.completed), exit=130 and limit
+export function parseMetricQuery(q: any, range: { from: Date; to: Date }): MetricQuery | { error: string; [k: string]: any } {
+  const metric = q.metric || 'count';
+  if (!QUERY_METRICS.includes(metric)) return { error: 'bad_metric', allowed: QUERY_METRICS };
+  const list = (v: any) => (typeof v === 'string' ? v.split(',').map(s => s.trim()).filter(Boolean) : []);
+  const groupBy = [...new Set(list(q.group))] as QueryDimension[];
+  if (groupBy.some(d => !QUERY_DIMENSIONS.includes(d))) return { error: 'bad_group', allowed: QUERY_DIMENSIONS };
+  const granularity = q.granularity && q.granularity !== 'none' ? q.granularity : null;
+  if (granularity && !GRANULARITIES.includes(granularity)) return { error: 'bad_granularity', allowed: [...GRANULARITIES, 'none'] };
+  const maxDays = MAX_DAYS[(granularity || 'none') as Granularity | 'none'];
+  if (range.to.getTime() - range.from.getTime() > maxDays * 86400000) return { error: 'bad_range', message: `at most ${maxDays} days at this granularity` };
+  const filters: MetricQuery['filters'] = {};
+  for (const d of QUERY_DIMENSIONS) {
+    const values = list(q[d]);
+    if (values.length) filters[d] = values;
+  }
+  const exit = list(q.exit);
+  if (metric === 'exit_rate' ? !exit.length || exit.some(c => !/^-?\d+$/.test(c)) : exit.length) {
+    return { error: 'bad_exit', message: 'exit_rate needs exit=<code>[,<code>]; other metrics take none' };
+  }
+  const limit = q.limit === undefined ? 1000 : Number(q.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_QUERY_ROWS) return { error: 'bad_limit', max: MAX_QUERY_ROWS };
+  return { metric, ...range, filters, groupBy, granularity, exit, limit };
+}
+
+export const percentileOf = (m: QueryMetric) => (m.startsWith('duration_p') ? Number(m.slice(10)) / 100 : null);
+
+export async function runQuery(q: MetricQuery): Promise<{ rows: QueryRow[]; truncated: boolean }> {
+  let rows: QueryRow[];
+  if (useDb()) {
+    // One extra row tells whether the limit cut the result
+    rows = (await dbQuery({ ...q, limit: q.limit + 1 })).map(r => {
+      const out = keyOf(q, r);
+      out.value = r.value === null ? null : Number(r.value);
+      if (r.n !== undefined) out.n = Number(r.n);
+      return out;
+    });
+  } else {
+    rows = fileQuery(q);
+  }
+  return { rows: rows.slice(0, q.limit), truncated: rows.length > q.limit };
+}
+
+// Bucket and group values first, so rows read in the order they are grouped
+function keyOf(q: MetricQuery, src: any): QueryRow {
+  const row = {} as QueryRow;
+  if (q.granularity) row.t = src.t;
+  for (const d of q.groupBy) row[d] = src[d];
+  row.value = null;
+  return row;
+}
+
+function bucketOf(ms: number, g: Granularity): string {
+  const start = g === 'hour' ? Math.floor(ms / 3600000) * 3600000 : periodStart(ms, g);
+  return new Date(start).toISOString().replace('.000Z', 'Z');
+}
+
+// File backend: the same normalisation and ordering as dbQuery (bucket, value descending, dimensions)
+function fileQuery(q: MetricQuery): QueryRow[] {
+  const p = percentileOf(q.metric);
+  const groups = new Map<string, { row: QueryRow; hits: number; n: number; anons: Set<string>; durations: number[] }>();
+  for (const e of readEventsInRange(q.from.getTime(), q.to.getTime())) {
+    const m = e.m || {};
+    const done = e.evt === 'java.run.completed';
+    const dims: Record<QueryDimension, string> = {
+      evt: String(e.evt || 'unknown'),
+      os: e.os || 'Unknown', ext: e.ext || 'Unknown', vscode: e.vscode || 'Unknown', country: e.country || 'Unknown',
+      exit_code: done ? String(m.exit ?? 0) : '',
+      error_phase: e.evt === 'java.run.error' ? String(m.phase || '') : ''
+    };
+    if (Object.entries(q.filters).some(([d, values]) => !values!.includes(dims[d as QueryDimension]))) continue;
+    if (q.metric !== 'count' && q.metric !== 'uniques' && !done) continue;
+    const t = q.granularity ? bucketOf(eventTime(e), q.granularity) : undefined;
+    const key = JSON.stringify([t, ...q.groupBy.map(d => dims[d])]);
+    if (!groups.has(key)) groups.set(key, { row: keyOf(q, { ...dims, t }), hits: 0, n: 0, anons: new Set(), durations: [] });
+    const g = groups.get(key)!;
+    g.n++;
+    if (q.exit.includes(dims.exit_code)) g.hits++;
+    if (typeof e.anon === 'string') g.anons.add(e.anon);
+    const dur = Number(m.durationMs);
+    if (p !== null && m.durationMs !== undefined && m.durationMs !== null && isFinite(dur)) g.durations.push(dur);
+  }
+  // Like SQL, an aggregate over the whole range is one row even when nothing matched
+  const whole = !q.granularity && !q.groupBy.length;
+  if (whole && !groups.size) groups.set('', { row: keyOf(q, {}), hits: 0, n: 0, anons: new Set(), durations: [] });
+  const rows: QueryRow[] = [];
+  for (const g of groups.values()) {
+    if (q.metric === 'count') g.row.value = g.n;
+    else if (q.metric === 'uniques') g.row.value = g.anons.size;
+    else if (q.metric === 'exit_rate') { g.row.value = g.n ? +(g.hits / g.n).toFixed(4) : null; g.row.n = g.n; }
+    else {
+      if (!g.durations.length && !whole) continue;
+      g.row.value = percentile(g.durations.sort((a, b) => a - b), p!);
+      g.row.n = g.durations.length;
+    }
+    rows.push(g.row);
+  }
+  // Byte order, like collate "C" in dbQuery
+  const cmp = (x: string, y: string) => (x < y ? -1 : x > y ? 1 : 0);
+  return rows.sort((a, b) => cmp(a.t || '', b.t || '') || (b.value ?? -1) - (a.value ?? -1)
+    || q.groupBy.reduce((c, d) => c || cmp(String(a[d]), String(b[d])), 0)).slice(0, q.limit + 1);
+}
@@ -0,0 +1,135 @@
+import fs from 'fs';
+import { CONFIG } from './config.js';
+import { log } from './logger.js';
+
+// Declarative event registry: which event names are accepted and what may appear in their `m` payload.
+// Loaded from CONFIG.EVENT_REGISTRY at boot so new extension events only need a registry edit.
+
+type FieldType = 'string' | 'number' | 'integer' | 'boolean';
+type UnknownFields = 'keep' | 'drop' | 'reject';
+
+export interface FieldSpec {
+  type: FieldType;
+  required?: boolean;
+  min?: number;
+  max?: number;
+  maxLength?: number;
+  enum?: Array<string | number>;
+}
+
+export interface EventSpec {
+  m?: Record<string, FieldSpec>;
+  unknownFields?: UnknownFields;
+}
+
+export interface Registry {
+  unknownFields: UnknownFields;
+  events: Record<string, EventSpec>;
+}
+
+export type MetricsCheck =
+  | { ok: true; m: any }
+  | { ok: false; field: string; reason: string };
+
+const TYPES = new Set<FieldType>(['string', 'number', 'integer', 'boolean']);
+const UNKNOWN = new Set<UnknownFields>(['keep', 'drop', 'reject']);
+
+let current: Registry = { unknownFields: 'keep', events: {} };
+
+function parseRegistry(raw: any): Registry {
+  if (!raw || typeof raw !== 'object' || !raw.events || typeof raw.events !== 'object') {
+    throw new Error('registry: missing "events" object');
+  }
+  const unknownFields: UnknownFields = raw.unknownFields ?? 'keep';
+  if (!UNKNOWN.has(unknownFields)) throw new Error(`registry: bad unknownFields "${raw.unknownFields}"`);
+  const events: Record<string, EventSpec> = {};
+  for (const [name, spec] of Object.entries<any>(raw.events)) {
+    const ev: EventSpec = spec || {};
+    if (ev.unknownFields !== undefined && !UNKNOWN.has(ev.unknownFields)) {
+      throw new Error(`registry: ${name}: bad unknownFields "${ev.unknownFields}"`);
+    }
+    for (const [field, f] of Object.entries(ev.m || {})) {
+      if (!f || !TYPES.has(f.type)) throw new Error(`registry: ${name}.m.${field}: bad type "${f?.type}"`);
+      if (f.enum !== undefined && !Array.isArray(f.enum)) throw new Error(`registry: ${name}.m.${field}: enum must be an array`);
+    }
+    events[name] = ev;
+  }
+  return { unknownFields, events };
+}
+
+export function loadRegistry(file: string = CONFIG.EVENT_REGISTRY): Registry {
+  const reg = parseRegistry(JSON.parse(fs.readFileSync(file, 'utf8')));
+  current = reg;
+  log.info('registry: loaded', { file, events: Object.keys(reg.events).length });
+  return reg;
+}
+
+export function initRegistry() {
+  loadRegistry();
+  // Re-read on SIGHUP; keep the previous registry if the new file is broken
+  process.on('SIGHUP', () => {
+    try { loadRegistry(); } catch (e) { log.error('registry: reload failed', String(e)); }
+  });
+}
+
+export function isKnownEvent(evt: string): boolean {
+  return Object.prototype.hasOwnProperty.call(current.events, evt);
+}
+
+function coerce(v: any, f: FieldSpec): any {
+  if ((f.type === 'number' || f.type === 'integer') && typeof v === 'string' && v.trim() !== '') {
+    const n = Number(v);
+    return isFinite(n) ? n : v;
+  }
+  if (f.type === 'boolean' && (v === 'true' || v === 'false')) return v === 'true';
+  return v;
+}
+
+function checkField(v: any, f: FieldSpec): string | null {
+  switch (f.type) {
+    case 'string':
+      if (typeof v !== 'string') return 'type';
+      if (f.maxLength !== undefined && v.length > f.maxLength) return 'too_long';
+      break;
+    case 'number':
+    case 'integer':
+      if (typeof v !== 'number' || !isFinite(v)) return 'type';
+      if (f.type === 'integer' && !Number.isInteger(v)) return 'type';
+      if (f.min !== undefined && v < f.min) return 'range';
+      if (f.max !== undefined && v > f.max) return 'range';
+      break;
+    case 'boolean':
+      if (typeof v !== 'boolean') return 'type';
+      break;
+  }
+  if (f.enum && !(f.enum as any[]).includes(v)) return 'enum';
+  return null;
+}
+
+// Validate and coerce an event's `m` payload against its registry entry.
+export function checkMetrics(evt: string, m: any): MetricsCheck {
+  const spec = current.events[evt];
+  if (!spec) return { ok: false, field: 'evt', reason: 'unknown_event' };
+  if (m === undefined || m === null) m = {};
+  if (typeof m !== 'object' || Array.isArray(m)) return { ok: false, field: 'm', reason: 'type' };
+  const fields = spec.m || {};
+  const unknown = spec.unknownFields ?? current.unknownFields;
+  const out: any = {};
+  for (const [k, v] of Object.entries(m)) {
+    const f = fields[k];
+    if (!f) {
+      if (unknown === 'reject') return { ok: false, field: k, reason: 'unknown_field' };
+      if (unknown === 'keep') out[k] = v;
+      continue;
+    }
+    if (v === null || v === undefined) continue;
+    const cv = coerce(v, f);
+    const bad = checkField(cv, f);
+    if (bad) return { ok: false, field: k, reason: bad };
+    out[k] = cv;
+  }
+  for (const [k, f] of Object.entries(fields)) {
+    if (f.required && out[k] === undefined) return { ok: false, field: k, reason: 'required' };
+  }
+  return { ok: true, m: out };
+}
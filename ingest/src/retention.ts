@@ -0,0 +1,93 @@
+import { dbRetention } from './db.js';
+import { useDb } from './storage.js';
+import { readEventsInRange, eventTime } from './stats.js';
+import { periodStart, nextPeriod } from './partitions.js';
+
+// Install cohort retention: students grouped by the UTC day or ISO week of their first
+// install.created, and for each later period the share of the cohort that was active in it
+// (any event, or a java.run.started). Period 0 is the install period itself.
+
+export type CohortPeriod = 'week' | 'day';
+export type CohortActivity = 'any' | 'run';
+
+export interface RetentionQuery {
+  period: CohortPeriod;
+  activity: CohortActivity;
+  from: Date;        // first cohort's period start
+  to: Date;          // exclusive; last cohort starts before this
+  periods: number;   // columns per cohort, including period 0
+}
+
+export interface CohortRow {
+  cohort: string;                   // YYYY-MM-DD start of the install period
+  size: number;
+  active: Array<number | null>;     // null for periods that have not started yet
+  rates: Array<number | null>;
+}
+
+export const MAX_PERIODS: Record<CohortPeriod, number> = { week: 52, day: 90 };
+
+function dayOf(ms: number): string { return new Date(ms).toISOString().slice(0, 10); }
+
+export async function retention(q: RetentionQuery): Promise<{ cohorts: CohortRow[]; average: Array<number | null> }> {
+  // cohort start day → [size, period 0 count, period 1 count, ...]
+  const counts = new Map<string, number[]>();
+  const get = (c: string) => {
+    if (!counts.has(c)) counts.set(c, new Array(q.periods + 1).fill(0));
+    return counts.get(c)!;
+  };
+  if (useDb()) {
+    for (const r of await dbRetention(q)) get(dayOf(new Date(r.cohort).getTime()))[r.k + 1] = r.students;
+  } else {
+    fileRetention(q, get);
+  }
+  const now = Date.now();
+  const step = q.period === 'week' ? 7 : 1;
+  const cohorts: CohortRow[] = [];
+  // Every cohort in range gets a row, empty ones included, so the matrix has no gaps
+  for (let p = q.from.getTime(); p < q.to.getTime(); p = nextPeriod(p, q.period)) {
+    const c = counts.get(dayOf(p)) || new Array(q.periods + 1).fill(0);
+    const active = c.slice(1).map((n, k) => (p + k * step * 86400000 <= now ? n : null));
+    cohorts.push({
+      cohort: dayOf(p),
+      size: c[0],
+      active,
+      rates: active.map(n => (n === null ? null : c[0] ? +(n / c[0]).toFixed(4) : 0))
+    });
+  }
+  // Size-weighted mean over the cohorts that have reached each period
+  const average = new Array(q.periods).fill(0).map((_, k) => {
+    let n = 0, size = 0;
+    for (const c of cohorts) if (c.active[k] !== null) { n += c.active[k]!; size += c.size; }
+    return size ? +(n / size).toFixed(4) : null;
+  });
+  return { cohorts, average };
+}
+
+// File backend: first install.created per student across all files, then their activity days
+function fileRetention(q: RetentionQuery, get: (cohort: string) => number[]) {
+  const installed = new Map<string, number>();
+  for (const e of readEventsInRange(0, q.to.getTime(), l => l.includes('install.created'))) {
+    if (e.evt !== 'install.created' || typeof e.anon !== 'string') continue;
+    const t = eventTime(e), prev = installed.get(e.anon);
+    if (prev === undefined || t < prev) installed.set(e.anon, t);
+  }
+  const cohortOf = new Map<string, number>();
+  for (const [anon, t] of installed) {
+    if (t < q.from.getTime()) continue;
+    const c = periodStart(t, q.period);
+    cohortOf.set(anon, c);
+    get(dayOf(c))[0]++;
+  }
+  const step = (q.period === 'week' ? 7 : 1) * 86400000;
+  const seen = new Set<string>();
+  const end = q.to.getTime() + q.periods * step;
+  for (const e of readEventsInRange(q.from.getTime(), end)) {
+    const c = cohortOf.get(e.anon);
+    if (c === undefined || (q.activity === 'run' && e.evt !== 'java.run.started')) continue;
+    const k = Math.floor((periodStart(eventTime(e), q.period) - c) / step);
+    if (k < 0 || k >= q.periods || seen.has(`${e.anon} ${k}`)) continue;
+    seen.add(`${e.anon} ${k}`);
+    get(dayOf(c))[k + 1]++;
+  }
+}
@@ -0,0 +1,306 @@
+import type { PoolClient } from 'pg';
+
+// Incremental rollups of telemetry_events for /stats.
+//
+// A background job folds raw rows into three tables, tracking progress by event id (not by t) so
+// late or replayed events are still counted:
+//   telemetry_rollup_hourly     additive counts per hour × evt/os/ext/vscode/country/exit/output/phase/exception
+//   telemetry_rollup_durations  completed-run counts per hour × log-scaled duration key (for percentiles)
+//   telemetry_rollup_daily_anon one row per day × anon × country with a 24-bit mask of active UTC hours (for uniques)
+// Readers combine the rollups with raw rows whose id is above the watermark (the not-yet-rolled tail).
+// The watermark only passes an id once no transaction that could still insert a lower id is open.
+
+export const ROLLUP_DDL = `
+  create table if not exists telemetry_rollup_hourly (
+    bucket timestamptz not null,
+    evt text not null,
+    os text not null,
+    ext text not null,
+    vscode text not null,
+    country text not null,
+    exit_code text not null,
+    out_bucket text not null,
+    error_phase text not null,
+    exception_hash text not null,
+    hits bigint not null,
+    dur_count bigint not null,
+    wait_sum bigint not null,
+    wait_count bigint not null,
+    interactive bigint not null,
+    truncated bigint not null,
+    b0 bigint not null, b1 bigint not null, b2 bigint not null, b3 bigint not null,
+    b4 bigint not null, b5 bigint not null, b6 bigint not null, b7 bigint not null,
+    primary key (bucket, evt, os, ext, vscode, country, exit_code, out_bucket, error_phase, exception_hash)
+  );
+  create index if not exists idx_rollup_hourly_evt on telemetry_rollup_hourly (evt, bucket);
+  create table if not exists telemetry_rollup_durations (
+    bucket timestamptz not null,
+    dur_key integer not null,
+    runs bigint not null,
+    primary key (bucket, dur_key)
+  );
+  create table if not exists telemetry_rollup_daily_anon (
+    day date not null,
+    anon text not null,
+    country text not null,
+    hour_mask integer not null,
+    primary key (day, anon, country)
+  );
+  create table if not exists telemetry_rollup_state (
+    name text primary key,
+    last_id bigint not null default 0,
+    pending_id bigint not null default 0,
+    pending_xmax xid8,
+    updated_at timestamptz not null default now()
+  );
+`;
+
+const KEY_COLS = 'bucket, evt, os, ext, vscode, country, exit_code, out_bucket, error_phase, exception_hash';
+const SUM_COLS = ['hits', 'dur_count', 'wait_sum', 'wait_count', 'interactive', 'truncated', 'b0', 'b1', 'b2', 'b3', 'b4', 'b5', 'b6', 'b7'];
+export const HOURLY_COLS = `${KEY_COLS}, ${SUM_COLS.join(', ')}`;
+
+const DUR = `coalesce(duration_ms, (m->>'durationMs')::bigint)`;
+const WAIT = `coalesce(wait_ms_total, (m->>'waitMsTotal')::bigint)`;
+const DONE = `evt='java.run.completed'`;
+// ~1% resolution: key = round(100·ln(1+ms))
+const DUR_KEY = `round(ln(1 + greatest(${DUR}, 0)) * 100)::int`;
+
+// Raw rows matching `where`, grouped into telemetry_rollup_hourly's column order
+export function hourlyFromRaw(where: string): string {
+  return `
+    select date_trunc('hour', t) as bucket,
+           evt,
+           coalesce(os,'Unknown') as os,
+           coalesce(ext,'Unknown') as ext,
+           coalesce(vscode,'Unknown') as vscode,
+           coalesce(country,'Unknown') as country,
+           case when ${DONE} then coalesce(exit_code::text, m->>'exit', '0') else '' end as exit_code,
+           case when ${DONE} then coalesce(out_bytes_bucket, m->>'cumulativeBytesBucket', '-') else '' end as out_bucket,
+           case when evt='java.run.error' then coalesce(error_phase, m->>'phase', '') else '' end as error_phase,
+           case when evt='java.run.error' then coalesce(exception_hash, m->>'exceptionHash', '') else '' end as exception_hash,
+           count(*) as hits,
+           count(*) filter (where ${DONE} and ${DUR} is not null) as dur_count,
+           coalesce(sum(${WAIT}) filter (where ${DONE} and ${DUR} is not null), 0) as wait_sum,
+           count(${WAIT}) filter (where ${DONE} and ${DUR} is not null) as wait_count,
+           count(*) filter (where ${DONE} and coalesce(scanner_usage, (m->>'scannerUsage')::boolean)) as interactive,
+           count(*) filter (where ${DONE} and coalesce(truncated_output, (m->>'truncatedOutput')::boolean)) as truncated,
+           count(*) filter (where ${DONE} and ${DUR} >= 0 and ${DUR} < 500) as b0,
+           count(*) filter (where ${DONE} and ${DUR} >= 500 and ${DUR} < 1000) as b1,
+           count(*) filter (where ${DONE} and ${DUR} >= 1000 and ${DUR} < 3000) as b2,
+           count(*) filter (where ${DONE} and ${DUR} >= 3000 and ${DUR} < 10000) as b3,
+           count(*) filter (where ${DONE} and ${DUR} >= 10000 and ${DUR} < 30000) as b4,
+           count(*) filter (where ${DONE} and ${DUR} >= 30000 and ${DUR} < 60000) as b5,
+           count(*) filter (where ${DONE} and ${DUR} >= 60000 and ${DUR} < 120000) as b6,
+           count(*) filter (where ${DONE} and ${DUR} >= 120000) as b7
+    from telemetry_events
+    where ${where}
+    group by 1,2,3,4,5,6,7,8,9,10`;
+}
+
+// Raw events with src's dimension columns, plus t, anon and duration_ms, for what the rollups
+// cannot answer (distinct students, exact percentiles)
+export function eventsFromRaw(where: string): string {
+  return `
+    select t, anon, evt,
+           coalesce(os,'Unknown') as os,
+           coalesce(ext,'Unknown') as ext,
+           coalesce(vscode,'Unknown') as vscode,
+           coalesce(country,'Unknown') as country,
+           case when ${DONE} then coalesce(exit_code::text, m->>'exit', '0') else '' end as exit_code,
+           case when evt='java.run.error' then coalesce(error_phase, m->>'phase', '') else '' end as error_phase,
+           ${DUR} as duration_ms
+    from telemetry_events
+    where ${where}`;
+}
+
+function durationsFromRaw(where: string): string {
+  return `
+    select date_trunc('hour', t) as bucket, ${DUR_KEY} as dur_key, count(*) as runs
+    from telemetry_events
+    where ${where} and ${DONE} and ${DUR} is not null
+    group by 1,2`;
+}
+
+function anonFromRaw(where: string): string {
+  return `
+    select date(t) as day, anon, coalesce(country,'Unknown') as country,
+           bit_or(1 << extract(hour from t at time zone 'utc')::int) as hour_mask
+    from telemetry_events
+    where ${where}
+    group by 1,2,3`;
+}
+
+// CTEs for stats readers. Params: $1 from, $2 to, $3 watermark id (0 = rollups unused, read everything raw).
+// `src` has telemetry_rollup_hourly's shape; `anon_src` has telemetry_rollup_daily_anon's.
+export const SRC_CTE = `
+  src as (
+    select ${HOURLY_COLS} from telemetry_rollup_hourly where $3::bigint > 0 and bucket >= $1 and bucket < $2
+    union all
+    ${hourlyFromRaw('id > $3 and t >= $1 and t < $2')}
+  )`;
+
+export const ANON_CTE = `
+  anon_src as (
+    select day, anon, country, hour_mask from telemetry_rollup_daily_anon
+    where $3::bigint > 0 and day >= ($1::timestamptz)::date and day <= ($2::timestamptz)::date
+    union all
+    ${anonFromRaw('id > $3 and t >= $1 and t < $2')}
+  )`;
+
+export const DURATIONS_SQL = `
+  with d as (
+    select dur_key, runs from telemetry_rollup_durations where $3::bigint > 0 and bucket >= $1 and bucket < $2
+    union all
+    select ${DUR_KEY}, 1 from telemetry_events where id > $3 and t >= $1 and t < $2 and ${DONE} and ${DUR} is not null
+  )
+  select dur_key, sum(runs)::bigint as runs from d group by 1 order by 1
+`;
+
+// percentile_disc over the duration histogram: smallest value whose cumulative share reaches p
+export function durationPercentile(rows: Array<{ dur_key: number; runs: number | string }>, p: number): number {
+  const total = rows.reduce((n, r) => n + Number(r.runs), 0);
+  if (!total) return 0;
+  let cum = 0;
+  for (const r of rows) {
+    cum += Number(r.runs);
+    if (cum >= p * total) return Math.round(Math.exp(Number(r.dur_key) / 100) - 1);
+  }
+  return Math.round(Math.exp(Number(rows[rows.length - 1].dur_key) / 100) - 1);
+}
+
+// Ids above this have not been rolled up yet
+export async function rollupWatermark(client: PoolClient): Promise<number> {
+  const r = await client.query(`select last_id from telemetry_rollup_state where name='events'`);
+  return Number(r.rows[0]?.last_id || 0);
+}
+
+interface FoldRange { lastId: number; hi: number; pendingId: number; settled: boolean; }
+
+// The ids a step of progress row `name` may fold: (last_id, hi]. Ids come from a sequence, so a row
+// can commit after rows with higher ids. pending_id is the highest id the previous step could see and
+// pending_xmax the xid horizon of that read: once every transaction below it has ended, no row with an
+// id up to pending_id can still appear, and the range is complete. Until then nothing is folded.
+async function foldRange(client: PoolClient, name: string, maxIds: number): Promise<FoldRange> {
+  await client.query(`insert into telemetry_rollup_state (name) values ($1) on conflict do nothing`, [name]);
+  const st = (await client.query(`
+    select last_id, pending_id, pending_xmax is null or pg_snapshot_xmin(pg_current_snapshot()) >= pending_xmax as settled
+    from telemetry_rollup_state where name = $1 for update
+  `, [name])).rows[0];
+  const lastId = Number(st.last_id), pendingId = Number(st.pending_id);
+  return { lastId, pendingId, settled: !!st.settled, hi: st.settled ? Math.min(pendingId, lastId + maxIds) : lastId };
+}
+
+// Record a folded range. Once it reaches pending_id, the next target is the highest id visible now,
+// together with the horizon that has to pass before it can be folded.
+async function saveProgress(client: PoolClient, name: string, r: FoldRange): Promise<{ lastId: number; pendingId: number; backlog: boolean }> {
+  if (r.settled && r.hi >= r.pendingId) {
+    const p = (await client.query(`select coalesce(max(id),0) as m, pg_snapshot_xmax(pg_current_snapshot()) as x from telemetry_events`)).rows[0];
+    const pendingId = Number(p?.m || 0);
+    await client.query(`update telemetry_rollup_state set last_id=$2, pending_id=$3, pending_xmax=$4, updated_at=now() where name=$1`, [name, r.hi, pendingId, p.x]);
+    return { lastId: r.hi, pendingId, backlog: false };
+  }
+  await client.query(`update telemetry_rollup_state set last_id=$2, updated_at=now() where name=$1`, [name, r.hi]);
+  return { lastId: r.hi, pendingId: r.pendingId, backlog: r.settled };
+}
+
+// Fold up to `maxIds` more rows into the rollups, in one transaction under an advisory lock so
+// replicas don't double count. Only complete id ranges are folded (see foldRange). Returns null if
+// another replica holds the lock.
+export async function rollupStep(client: PoolClient, maxIds = 250000): Promise<{ lastId: number; pendingId: number; backlog: boolean } | null> {
+  await client.query('begin');
+  try {
+    const lock = await client.query(`select pg_try_advisory_xact_lock(hashtext('telemetry_rollup')) as ok`);
+    if (!lock.rows[0]?.ok) { await client.query('rollback'); return null; }
+    const range = await foldRange(client, 'events', maxIds);
+    const { lastId, hi } = range;
+    if (hi > lastId) {
+      const where = 'id > $1 and id <= $2';
+      await client.query(`
+        insert into telemetry_rollup_hourly (${HOURLY_COLS}) ${hourlyFromRaw(where)}
+        on conflict (${KEY_COLS}) do update set ${SUM_COLS.map(c => `${c} = telemetry_rollup_hourly.${c} + excluded.${c}`).join(', ')}
+      `, [lastId, hi]);
+      await client.query(`
+        insert into telemetry_rollup_durations (bucket, dur_key, runs) ${durationsFromRaw(where)}
+        on conflict (bucket, dur_key) do update set runs = telemetry_rollup_durations.runs + excluded.runs
+      `, [lastId, hi]);
+      await client.query(`
+        insert into telemetry_rollup_daily_anon (day, anon, country, hour_mask) ${anonFromRaw(where)}
+        on conflict (day, anon, country) do update set hour_mask = telemetry_rollup_daily_anon.hour_mask | excluded.hour_mask
+      `, [lastId, hi]);
+    }
+    const out = await saveProgress(client, 'events', range);
+    await client.query('commit');
+    return out;
+  } catch (e) {
+    try { await client.query('rollback'); } catch {}
+    throw e;
+  }
+}
+
+// Exception catalog (telemetry_exceptions and friends), folded from java.run.error rows like the
+// rollups but with its own progress row, so it runs whether or not ROLLUPS_ENABLED is set.
+// An occurrence at least `gapDays` after the previous known one counts as a regression.
+export async function exceptionCatalogStep(client: PoolClient, gapDays: number, maxIds = 250000): Promise<{ lastId: number; pendingId: number; backlog: boolean } | null> {
+  await client.query('begin');
+  try {
+    const lock = await client.query(`select pg_try_advisory_xact_lock(hashtext('telemetry_exception_catalog')) as ok`);
+    if (!lock.rows[0]?.ok) { await client.query('rollback'); return null; }
+    const range = await foldRange(client, 'exceptions', maxIds);
+    const { lastId, hi } = range;
+    if (hi > lastId) {
+      const occ = `
+        occ as (
+          select coalesce(exception_hash, m->>'exceptionHash') as hash, t, anon,
+                 coalesce(ext,'Unknown') as ext, coalesce(os,'Unknown') as os, coalesce(error_phase, m->>'phase') as phase
+          from telemetry_events
+          where id > $1 and id <= $2 and evt='java.run.error' and coalesce(exception_hash, m->>'exceptionHash', '') <> ''
+        )`;
+      const gap = `$3::int * interval '1 day'`;
+      await client.query(`
+        with ${occ}, gaps as (
+          select *, t - lag(t) over (partition by hash order by t) >= ${gap} as regressed from occ
+        ), agg as (
+          select hash, min(t) as first_seen, max(t) as last_seen, count(*) as events,
+                 (array_agg(ext order by t))[1] as first_ext,
+                 (array_agg(phase order by t desc))[1] as phase,
+                 count(*) filter (where regressed)::int as regressions,
+                 max(t) filter (where regressed) as regressed_at
+          from gaps group by hash
+        )
+        insert into telemetry_exceptions as e (hash, first_seen, last_seen, events, first_ext, phase, regressions, regressed_at)
+        select hash, first_seen, last_seen, events, first_ext, phase, regressions, regressed_at from agg
+        on conflict (hash) do update set
+          regressions = e.regressions + excluded.regressions + (excluded.first_seen - e.last_seen >= ${gap})::int,
+          regressed_at = greatest(e.regressed_at, excluded.regressed_at,
+                                  case when excluded.first_seen - e.last_seen >= ${gap} then excluded.first_seen end),
+          first_ext = case when excluded.first_seen < e.first_seen then excluded.first_ext else e.first_ext end,
+          phase = case when excluded.last_seen >= e.last_seen then excluded.phase else e.phase end,
+          first_seen = least(e.first_seen, excluded.first_seen),
+          last_seen = greatest(e.last_seen, excluded.last_seen),
+          events = e.events + excluded.events
+      `, [lastId, hi, gapDays]);
+      await client.query(`
+        with ${occ}
+        insert into telemetry_exception_breakdown as b (hash, dim, value, first_seen, last_seen, events)
+        select hash, 'ext', ext, min(t), max(t), count(*) from occ group by 1, 3
+        union all
+        select hash, 'os', os, min(t), max(t), count(*) from occ group by 1, 3
+        on conflict (hash, dim, value) do update set
+          first_seen = least(b.first_seen, excluded.first_seen),
+          last_seen = greatest(b.last_seen, excluded.last_seen),
+          events = b.events + excluded.events
+      `, [lastId, hi]);
+      await client.query(`
+        with ${occ}
+        insert into telemetry_exception_users as u (hash, anon, last_seen) select hash, anon, max(t) from occ group by 1, 2
+        on conflict (hash, anon) do update set last_seen = greatest(u.last_seen, excluded.last_seen)
+      `, [lastId, hi]);
+    }
+    const out = await saveProgress(client, 'exceptions', range);
+    await client.query('commit');
+    return out;
+  } catch (e) {
+    try { await client.query('rollback'); } catch {}
+    throw e;
+  }
+}
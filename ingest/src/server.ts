@@ -1,9 +1,32 @@
+import { Readable } from 'stream';
 import Fastify, { FastifyInstance, FastifyReply, FastifyRequest } from 'fastify';
 import rateLimit from '@fastify/rate-limit';
 import { CONFIG } from './config.js';
-import { validateEnvelope, validateEvent, normalizeEvent } from './validate.js';
-import { initGeo, lookup } from './geo.js';
-import { dbEnabled, dbInit, dbInsertEvent, dbReadStats, dbHealth, dbRecent, dbCounts } from './db.js';
+import { validateEvent, normalizeEvent, Rejection } from './validate.js';
+import { readEnvelope, SUPPORTED_SCHEMAS } from './envelope.js';
+import { initGeo, lookup, geoLookups } from './geo.js';
+import { initRegistry, isKnownEvent } from './registry.js';
+import { initPseudonyms, pseudonymizeEvent } from './pseudonym.js';
+import { dbRecent, dbCounts, dbUnavailable, dbStartRollups, dbStartPartitionMaintenance, dbStartExceptionCatalog } from './db.js';
+import { getStorage } from './storage.js';
+import { initSpool, spoolEnabled, spoolEvents, spoolStatus } from './spool.js';
+import { applyConsent, consentCounts } from './consent.js';
+import { enqueuePurges, initPurge } from './purge.js';
+import { cachedStats, etagMatches, invalidateStats } from './statscache.js';
+import { publishEvents, subscribe, liveClients } from './live.js';
+import { exportSubject, eraseSubject, subjectCsv } from './subjects.js';
+import { registerAuth, requestKey } from './auth.js';
+import { listSessions, getSession, SESSION_OUTCOMES, SessionOutcome } from './sessions.js';
+import { funnel, parseStep, parseWindow, FunnelStep, MAX_STEPS, MAX_WINDOW_MS } from './funnel.js';
+import { retention, CohortPeriod, CohortActivity, MAX_PERIODS } from './retention.js';
+import { periodStart, nextPeriod } from './partitions.js';
+import { compareVersions } from './compare.js';
+import { listExceptions, getException, labelException, EXCEPTION_SORTS, EXCEPTION_SOURCES, ExceptionSort, ExceptionSource } from './exceptions.js';
+import { parseMetricQuery, runQuery } from './query.js';
+import { parseExportFormat, parseEventExport, eventExport, statsExport, encodeExport, EXPORT_FORMATS, EXPORT_TABLES, EXPORT_CONTENT_TYPES, ExportFormat, ExportSource } from './dataexport.js';
+import { detectAnomalies, AnomalyKind, AnomalyDirection } from './anomalies.js';
+import { startAlerts, alertStatus, testAlert } from './alerts.js';
+import { counter, histogram, renderMetrics } from './metrics.js';
 import { log } from './logger.js';
 
 function h(req: FastifyRequest, name: string): string | undefined {
@@ -46,40 +69,86 @@ function extractGeoFromHeaders(req: FastifyRequest): { country?: string; region?
 function resolveGeo(req: FastifyRequest, ip: string): { country: string; region: string } {
   const hdr = extractGeoFromHeaders(req);
   if (hdr.country) {
+    geoLookups.inc({ result: 'header' });
     return { country: hdr.country, region: hdr.region || '' };
   }
   const g = lookup(ip) as any; // MaxMind lookup
   return { country: g?.country || '', region: g?.region || '' };
 }
 
+const httpSeconds = histogram('jwc_http_request_duration_seconds', 'HTTP request duration by method, route template and status code.');
+const rateLimited = counter('jwc_rate_limited_total', 'Requests rejected with 429 by the rate limiter, by route.');
+const ingestAccepted = counter('jwc_ingest_events_accepted_total', 'Events POST /t stored or spooled, by event.');
+const ingestSkipped = counter('jwc_ingest_events_skipped_total', 'Events POST /t rejected, by event and reason (see Rejection Reasons).');
+const ingestSpooled = counter('jwc_ingest_events_spooled_total', 'Accepted events written to the disk spool instead of PostgreSQL.');
+
+// Accepted events passed validation, so evt is a registry name
+function countAccepted(evs: any[]) {
+  for (const e of evs) ingestAccepted.inc({ evt: e.evt });
+}
+
 async function main() {
   const app: FastifyInstance = Fastify({ logger: false, bodyLimit: CONFIG.MAX_BODY, trustProxy: true });
   // Global and per-request logging
   process.on('uncaughtException', (e) => log.error('uncaughtException', String(e)));
   process.on('unhandledRejection', (e) => log.error('unhandledRejection', String(e)));
   app.addHook('onRequest', async (req) => { log.info('req', { method: req.method, url: req.url, ip: (req as any).ip }); });
-  app.addHook('onResponse', async (req, reply) => { log.info('res', { method: req.method, url: req.url, status: reply.statusCode }); });
+  app.addHook('onResponse', async (req, reply) => {
+    log.info('res', { method: req.method, url: req.url, status: reply.statusCode });
+    httpSeconds.observe({ method: req.method, route: req.routeOptions.url || 'unmatched', status_code: String(reply.statusCode) }, reply.elapsedTime / 1000);
+  });
   log.info('boot.start', { port: CONFIG.PORT });
   await initGeo();
-  await dbInit();
-  log.info('boot.dbInit.done', { enabled: dbEnabled() });
+  initRegistry();
+  initPseudonyms();
+  const store = getStorage();
+  try {
+    await store.init();
+  } catch (e) {
+    // Boot anyway when the spool can hold events until the DB comes back
+    if (!spoolEnabled()) throw e;
+    log.error('boot.dbInit.failed; spooling until DB is reachable', String(e));
+  }
+  log.info('boot.dbInit.done', { backend: store.name, enabled: store.enabled() });
+  initSpool();
+  initPurge();
+  if (store.name === 'pg') {
+    dbStartRollups();
+    dbStartExceptionCatalog();
+    dbStartPartitionMaintenance();
+  }
+  startAlerts();
 
   log.info('boot.register.rateLimit.start');
-  await app.register(rateLimit, { max: CONFIG.RATE_LIMIT_MAX, timeWindow: CONFIG.RATE_LIMIT_TIME_WINDOW });
+  await app.register(rateLimit, {
+    max: CONFIG.RATE_LIMIT_MAX,
+    timeWindow: CONFIG.RATE_LIMIT_TIME_WINDOW,
+    onExceeded: (req) => rateLimited.inc({ route: req.routeOptions.url || 'unmatched' })
+  });
   log.info('boot.register.rateLimit.done');
+  registerAuth(app);
 
-  app.get('/health', async () => ({ ok: true, ts: Date.now() }));
+  app.get('/health', { config: { scope: 'public' } }, async () => ({ ok: true, ts: Date.now() }));
 
-  app.get('/dbhealth', async () => { try { return await dbHealth(); } catch (e) { return { enabled: dbEnabled(), error: String(e) }; } });
+  // Prometheus exposition format; scrape with a read-stats key as the bearer token. Exempt from the
+  // rate limit so scrapes keep working while clients on the same address are being limited.
+  app.get('/metrics', { config: { scope: 'read-stats', rateLimit: false } }, async (_req, reply) => {
+    return reply.type('text/plain; version=0.0.4; charset=utf-8').send(renderMetrics());
+  });
+
+  app.get('/dbhealth', { config: { scope: 'read-stats' } }, async () => {
+    try { return { ...(await store.health()), spool: spoolStatus() }; }
+    catch (e) { return { enabled: store.enabled(), error: String(e), spool: spoolStatus() }; }
+  });
 
   // Debug: write to log file and return path
-  app.get('/debug/logping', async () => {
+  app.get('/debug/logping', { config: { scope: 'admin' } }, async () => {
     log.info('debug.logping', { when: new Date().toISOString() });
     return { ok: true, file: (log as any).file, level: (log as any).level };
   });
 
   // Debug: show non-sensitive env for process
-  app.get('/debug/env', async () => {
+  app.get('/debug/env', { config: { scope: 'admin' } }, async () => {
     return {
       node: process.version,
       port: CONFIG.PORT,
@@ -99,39 +168,337 @@ async function main() {
     };
   });
 
-  app.get('/debug/recent', async (req, reply) => {
-    if (CONFIG.STATS_SECRET) {
-      const key = (req.headers['x-stats-key'] as string) || (req.query as any)?.key;
-      if (key !== CONFIG.STATS_SECRET) return reply.code(401).send({ error: 'unauthorized' });
-    }
+  app.get('/debug/recent', { config: { scope: 'read-raw' } }, async (req) => {
     const lim = Number((req.query as any)?.limit||50);
     return { rows: await dbRecent(lim) };
   });
 
-  app.get('/debug/counts', async (req, reply) => {
-    if (CONFIG.STATS_SECRET) {
-      const key = (req.headers['x-stats-key'] as string) || (req.query as any)?.key;
-      if (key !== CONFIG.STATS_SECRET) return reply.code(401).send({ error: 'unauthorized' });
-    }
+  app.get('/debug/counts', { config: { scope: 'read-raw' } }, async (req) => {
     const hrs = Number((req.query as any)?.hours||24);
     return await dbCounts(hrs);
   });
 
-  app.get('/stats', async (req: FastifyRequest, reply: FastifyReply) => {
+  // Data-subject export/erasure (admin keys only)
+  const subjectAnon = (req: FastifyRequest, reply: FastifyReply): string | null => {
+    const anon = String((req.params as any)?.anon || '').toLowerCase();
+    if (!/^[a-f0-9]{32}$/.test(anon)) { reply.code(400).send({ error: 'bad_anon' }); return null; }
+    return anon;
+  };
+  const subjectReq = (req: FastifyRequest) => ({
+    actor: `${requestKey(req)?.name || 'unknown'}@${pickClientIp(req)}`,
+    reason: h(req, 'x-request-reason') || (typeof (req.query as any)?.reason === 'string' ? (req.query as any).reason : undefined)
+  });
+
+  app.get('/subjects/:anon', { config: { scope: 'admin' } }, async (req, reply) => {
+    const anon = subjectAnon(req, reply);
+    if (!anon) return reply;
+    const out = await exportSubject(anon, subjectReq(req));
+    if ((req.query as any)?.format === 'csv') {
+      return reply
+        .header('content-type', 'text/csv; charset=utf-8')
+        .header('content-disposition', `attachment; filename="subject-${out.subject}.csv"`)
+        .send(subjectCsv(out.events));
+    }
+    return out;
+  });
+
+  app.delete('/subjects/:anon', { config: { scope: 'admin' } }, async (req, reply) => {
+    const anon = subjectAnon(req, reply);
+    if (!anon) return reply;
+    return { ok: true, ...(await eraseSubject(anon, subjectReq(req))) };
+  });
+
+  // ?from=&to= (YYYY-MM-DD, inclusive) as [from, to); defaults to the last STATS_WINDOW_DAYS days
+  const dayRange = (q: any, reply: FastifyReply): { from: Date; to: Date } | null => {
+    const day = (v: any) => (typeof v === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(v) ? Date.parse(v + 'T00:00:00Z') : NaN);
+    const today = Date.parse(new Date().toISOString().slice(0, 10) + 'T00:00:00Z');
+    const toMs = q.to ? day(q.to) + 86400000 : today + 86400000;
+    const fromMs = q.from ? day(q.from) : toMs - CONFIG.STATS_WINDOW_DAYS * 86400000;
+    if (isNaN(fromMs) || isNaN(toMs) || fromMs >= toMs) { reply.code(400).send({ error: 'bad_range' }); return null; }
+    return { from: new Date(fromMs), to: new Date(toMs) };
+  };
+  const str = (v: any) => (typeof v === 'string' && v ? v : undefined);
+
+  // Sessions (read-raw), selected by session start
+  app.get('/sessions', { config: { scope: 'read-raw' } }, async (req, reply) => {
+    if (!store.enabled()) return reply.code(503).send({ error: 'db_disabled' });
+    const q: any = req.query || {};
+    const range = dayRange(q, reply);
+    if (!range) return reply;
+    const outcome = typeof q.outcome === 'string' ? q.outcome.split(',').filter(Boolean) as SessionOutcome[] : undefined;
+    if (outcome?.some(o => !SESSION_OUTCOMES.includes(o))) return reply.code(400).send({ error: 'bad_outcome', allowed: SESSION_OUTCOMES });
+    return listSessions({
+      ...range,
+      outcome,
+      student: str(q.student),
+      os: str(q.os),
+      ext: str(q.ext),
+      country: str(q.country)?.toUpperCase(),
+      minDurationMs: Math.max(0, Number(q.minDurationMs) || 0),
+      limit: Math.max(1, Math.min(200, Number(q.limit) || 50)),
+      offset: Math.max(0, Math.floor(Number(q.offset) || 0))
+    });
+  });
+
+  app.get('/sessions/:id', { config: { scope: 'read-raw' } }, async (req, reply) => {
+    if (!store.enabled()) return reply.code(503).send({ error: 'db_disabled' });
+    const out = await getSession(String((req.params as any).id));
+    if (!out) return reply.code(404).send({ error: 'not_found' });
+    return out;
+  });
+
+  // Ordered funnel (read-stats): ?steps=install.created,lifecycle.activate,java.run.completed:exit=0&window=7d
+  app.get('/analytics/funnel', { config: { scope: 'read-stats' } }, async (req, reply) => {
+    if (!store.enabled()) return reply.code(503).send({ error: 'db_disabled' });
+    const q: any = req.query || {};
+    const range = dayRange(q, reply);
+    if (!range) return reply;
+    const raw = ([] as string[]).concat(q.steps || []).flatMap(s => String(s).split(',')).filter(s => s.trim());
+    const steps = raw.map(parseStep);
+    if (steps.length < 2 || steps.length > MAX_STEPS || steps.some(s => !s)) {
+      return reply.code(400).send({ error: 'bad_steps', message: `2-${MAX_STEPS} comma-separated steps: evt, evt:exit=N or evt:phase=P` });
+    }
+    const windowMs = q.window ? parseWindow(String(q.window)) : 7 * 86400000;
+    if (!(windowMs > 0 && windowMs <= MAX_WINDOW_MS)) return reply.code(400).send({ error: 'bad_window', message: 'e.g. 30m, 24h, 7d; at most 90d' });
+    const query = { ...range, steps: steps as FunnelStep[], windowMs, os: str(q.os), ext: str(q.ext), country: str(q.country)?.toUpperCase() };
+    return {
+      from: range.from.toISOString().slice(0, 10),
+      to: new Date(range.to.getTime() - 86400000).toISOString().slice(0, 10),
+      windowMs,
+      filters: { os: query.os || null, ext: query.ext || null, country: query.country || null },
+      ...(await funnel(query))
+    };
+  });
+
+  // Install cohort retention (read-stats): ?period=week|day&activity=any|run&periods=12
+  app.get('/analytics/retention', { config: { scope: 'read-stats' } }, async (req, reply) => {
+    if (!store.enabled()) return reply.code(503).send({ error: 'db_disabled' });
+    const q: any = req.query || {};
+    const period: CohortPeriod = q.period === 'day' ? 'day' : 'week';
+    const activity: CohortActivity = q.activity === 'run' ? 'run' : 'any';
+    if ((q.period && q.period !== period) || (q.activity && q.activity !== activity)) {
+      return reply.code(400).send({ error: 'bad_query', message: 'period is week or day; activity is any or run' });
+    }
+    const periods = q.periods ? Math.floor(Number(q.periods)) : period === 'week' ? 12 : 14;
+    if (!(periods >= 1 && periods <= MAX_PERIODS[period])) return reply.code(400).send({ error: 'bad_periods', max: MAX_PERIODS[period] });
+    // Without ?from, show as many cohorts as columns
+    const step = (period === 'week' ? 7 : 1) * 86400000;
+    const from = q.from || new Date(periodStart(Date.now(), period) - (periods - 1) * step).toISOString().slice(0, 10);
+    const range = dayRange({ from, to: q.to }, reply);
+    if (!range) return reply;
+    // Whole periods only: a partial first or last week would understate its cohort
+    const query = {
+      period, activity, periods,
+      from: new Date(periodStart(range.from.getTime(), period)),
+      to: new Date(nextPeriod(periodStart(range.to.getTime() - 1, period), period))
+    };
+    return {
+      period, activity, periods,
+      from: query.from.toISOString().slice(0, 10),
+      to: new Date(query.to.getTime() - 86400000).toISOString().slice(0, 10),
+      ...(await retention(query))
+    };
+  });
+
+  // Two extension versions side by side (read-stats): ?a=1.4.0&b=1.5.0[&alpha=0.05]
+  app.get('/analytics/compare', { config: { scope: 'read-stats' } }, async (req, reply) => {
+    if (!store.enabled()) return reply.code(503).send({ error: 'db_disabled' });
+    const q: any = req.query || {};
+    const a = str(q.a)?.trim(), b = str(q.b)?.trim();
+    if (!a || !b || a === b) return reply.code(400).send({ error: 'bad_versions', message: 'pass two different versions as ?a=&b=' });
+    const alpha = q.alpha ? Number(q.alpha) : 0.05;
+    if (!(alpha > 0 && alpha < 0.5)) return reply.code(400).send({ error: 'bad_alpha' });
+    const range = dayRange(q, reply);
+    if (!range) return reply;
+    return {
+      from: range.from.toISOString().slice(0, 10),
+      to: new Date(range.to.getTime() - 86400000).toISOString().slice(0, 10),
+      ...(await compareVersions(a, b, range.from, range.to, alpha))
+    };
+  });
+
+  // Hours whose event volume or run outcome rate is unusual for that hour of the week
+  app.get('/analytics/anomalies', { config: { scope: 'read-stats' } }, async (req, reply) => {
+    if (!store.enabled()) return reply.code(503).send({ error: 'db_disabled' });
+    const q: any = req.query || {};
+    const range = dayRange(q, reply);
+    if (!range) return reply;
+    if (range.to.getTime() - range.from.getTime() > 31 * 86400000) return reply.code(400).send({ error: 'bad_range', message: 'at most 31 days' });
+    const z = q.z ? Number(q.z) : CONFIG.ANOMALY_Z;
+    if (!(z >= 2 && z <= 20)) return reply.code(400).send({ error: 'bad_z', message: 'z must be between 2 and 20' });
+    if (q.kind && !['volume', 'rate'].includes(q.kind)) return reply.code(400).send({ error: 'bad_kind', allowed: ['volume', 'rate'] });
+    if (q.direction && !['spike', 'drop'].includes(q.direction)) return reply.code(400).send({ error: 'bad_direction', allowed: ['spike', 'drop'] });
+    return {
+      from: range.from.toISOString().slice(0, 10),
+      to: new Date(range.to.getTime() - 86400000).toISOString().slice(0, 10),
+      ...(await detectAnomalies({ ...range, z, evt: str(q.evt), kind: str(q.kind) as AnomalyKind | undefined, direction: str(q.direction) as AnomalyDirection | undefined }))
+    };
+  });
+
+  // One metric, filtered, grouped and bucketed on request (see query.ts)
+  app.get('/query', { config: { scope: 'read-stats' } }, async (req, reply) => {
+    if (!store.enabled()) return reply.code(503).send({ error: 'db_disabled' });
+    const q: any = req.query || {};
+    const range = dayRange(q, reply);
+    if (!range) return reply;
+    const mq = parseMetricQuery(q, range);
+    if ('error' in mq) return reply.code(400).send(mq);
+    return {
+      metric: mq.metric,
+      from: range.from.toISOString().slice(0, 10),
+      to: new Date(range.to.getTime() - 86400000).toISOString().slice(0, 10),
+      granularity: mq.granularity,
+      groupBy: mq.groupBy,
+      filters: mq.filters,
+      ...(mq.metric === 'exit_rate' ? { exit: mq.exit } : {}),
+      ...(await runQuery(mq))
+    };
+  });
+
+  // Downloads (see dataexport.ts). The first chunk is produced before the headers go out, so a failing
+  // query is still a 500; after that an error aborts the download.
+  let activeExports = 0;
+  const sendExport = async (reply: FastifyReply, format: ExportFormat, name: string, src: ExportSource) => {
+    const it = encodeExport(format, src);
+    activeExports++;
+    let first: IteratorResult<string | Uint8Array>;
+    try { first = await it.next(); } catch (e) { activeExports--; throw e; }
+    const body = Readable.from((async function* () {
+      if (first.done) return;
+      yield first.value;
+      yield* it;
+    })());
+    // Also ends the cursor when the client goes away before the rest was pulled
+    body.on('close', () => { activeExports--; void it.return(undefined).catch(() => {}); });
+    return reply
+      .header('content-type', EXPORT_CONTENT_TYPES[format])
+      .header('content-disposition', `attachment; filename="${name}.${format}"`)
+      .send(body);
+  };
+
+  // Raw events for a range (read-raw): format=csv|ndjson|parquet, filters as comma lists
+  app.get('/export', { config: { scope: 'read-raw' } }, async (req, reply) => {
+    if (!store.enabled()) return reply.code(503).send({ error: 'db_disabled' });
+    const q: any = req.query || {};
+    const format = parseExportFormat(q.format);
+    if (!format) return reply.code(400).send({ error: 'bad_format', allowed: EXPORT_FORMATS });
+    const range = dayRange(q, reply);
+    if (!range) return reply;
+    const eq = parseEventExport(q, range);
+    if ('error' in eq) return reply.code(400).send(eq);
+    if (activeExports >= CONFIG.EXPORT_MAX_CONCURRENT) return reply.code(503).send({ error: 'too_many_exports' });
+    const day = (d: Date) => d.toISOString().slice(0, 10);
+    return sendExport(reply, format, `events-${day(range.from)}-${day(new Date(range.to.getTime() - 86400000))}`, eventExport(eq));
+  });
+
+  // One /stats table (read-stats) for the same from/to as /stats
+  app.get('/export/:table', { config: { scope: 'read-stats' } }, async (req, reply) => {
+    if (!store.enabled()) return reply.code(503).send({ error: 'db_disabled' });
+    const { table } = req.params as { table: string };
+    if (!EXPORT_TABLES.includes(table)) return reply.code(404).send({ error: 'unknown_table', allowed: EXPORT_TABLES });
+    const q: any = req.query || {};
+    const format = parseExportFormat(q.format);
+    if (!format) return reply.code(400).send({ error: 'bad_format', allowed: EXPORT_FORMATS });
+    const stats = await store.readStats(CONFIG.STATS_WINDOW_DAYS, str(q.from), str(q.to));
+    if (!stats) return reply.code(204).send();
+    return sendExport(reply, format, `${table}-${stats.from}-${stats.to}`, statsExport(table, stats));
+  });
+
+  // Exception catalog (read-stats); labels need an admin key
+  app.get('/exceptions', { config: { scope: 'read-stats' } }, async (req, reply) => {
+    if (!store.enabled()) return reply.code(503).send({ error: 'db_disabled' });
+    const q: any = req.query || {};
+    let range: { from: Date; to: Date } | null = null;
+    if (q.from || q.to) {
+      range = dayRange(q, reply);
+      if (!range) return reply;
+    }
+    const sort = (str(q.sort) || 'last_seen') as ExceptionSort;
+    if (!EXCEPTION_SORTS.includes(sort)) return reply.code(400).send({ error: 'bad_sort', allowed: EXCEPTION_SORTS });
+    const source = str(q.source) as ExceptionSource | 'unlabeled' | undefined;
+    if (source && source !== 'unlabeled' && !EXCEPTION_SOURCES.includes(source)) return reply.code(400).send({ error: 'bad_source', allowed: [...EXCEPTION_SOURCES, 'unlabeled'] });
+    return listExceptions({
+      ...(range || {}),
+      version: str(q.version),
+      os: str(q.os),
+      newIn: str(q.new_in),
+      regressed: q.regressed === 'true' ? true : q.regressed === 'false' ? false : undefined,
+      source,
+      q: str(q.q),
+      sort,
+      limit: Math.max(1, Math.min(200, Number(q.limit) || 50)),
+      offset: Math.max(0, Math.floor(Number(q.offset) || 0))
+    });
+  });
+
+  app.get('/exceptions/:hash', { config: { scope: 'read-stats' } }, async (req, reply) => {
+    if (!store.enabled()) return reply.code(503).send({ error: 'db_disabled' });
+    const out = await getException(String((req.params as any).hash));
+    if (!out) return reply.code(404).send({ error: 'not_found' });
+    return out;
+  });
+
+  // Body: { label: string | null, source: 'extension' | 'student' | 'unknown' | null }; both null clears
+  app.put('/exceptions/:hash/label', { config: { scope: 'admin' } }, async (req, reply) => {
+    const body: any = req.body || {};
+    const label = typeof body.label === 'string' && body.label.trim() ? body.label.trim().slice(0, 200) : null;
+    const source = body.source ?? null;
+    if (source !== null && !EXCEPTION_SOURCES.includes(source)) return reply.code(400).send({ error: 'bad_source', allowed: EXCEPTION_SOURCES });
+    const out = await labelException(String((req.params as any).hash), label, source, requestKey(req)?.name || 'unknown');
+    if (!out) return reply.code(404).send({ error: 'not_found' });
+    return out;
+  });
+
+  // Alert rules with their state (ok, pending, firing), latest value and last notification
+  app.get('/alerts', { config: { scope: 'read-stats' } }, async () => alertStatus());
+
+  // Send a test notification to a rule's webhooks
+  app.post('/alerts/:id/test', { config: { scope: 'admin' } }, async (req, reply) => {
+    const out = await testAlert(String((req.params as any).id));
+    if (!out) return reply.code(404).send({ error: 'not_found' });
+    if (!out.webhooks) return reply.code(400).send({ error: 'no_webhooks' });
+    return out;
+  });
+
+  // Server-Sent Events: `hello`, then a `tick` every second and a `run` per run outcome (see live.ts)
+  app.get('/stream', { config: { scope: 'read-stats' } }, async (req, reply) => {
+    if (!store.enabled()) return reply.code(503).send({ error: 'db_disabled' });
+    if (liveClients() >= CONFIG.STREAM_MAX_CLIENTS) return reply.code(503).send({ error: 'too_many_streams' });
+    reply.hijack();
+    reply.raw.writeHead(200, {
+      ...(reply.getHeaders() as Record<string, string>),
+      'content-type': 'text/event-stream; charset=utf-8',
+      'cache-control': 'no-cache',
+      'connection': 'keep-alive',
+      // Proxies such as nginx would otherwise hold events back
+      'x-accel-buffering': 'no'
+    });
+    const unsubscribe = subscribe(reply.raw);
+    req.raw.on('close', unsubscribe);
+  });
+
+  app.get('/stats', { config: { scope: 'read-stats' } }, async (req: FastifyRequest, reply: FastifyReply) => {
     try {
-      // Public stats endpoint: DB is the single source of truth.
-      if (!dbEnabled()) {
-        return reply.code(503).send({ error: 'db_disabled', message: 'Database not configured. Stats require DB-only mode.' });
+      // Stats endpoint (read-stats key unless STATS_PUBLIC): the configured storage backend is the single source of truth.
+      if (!store.enabled()) {
+        return reply.code(503).send({ error: 'db_disabled', message: 'Database not configured. Set DATABASE_URL or STORAGE_BACKEND=file.' });
       }
       const q: any = (req as any).query || {};
       const from = typeof q.from === 'string' ? q.from : undefined;
       const to = typeof q.to === 'string' ? q.to : undefined;
-      const data = await dbReadStats(CONFIG.STATS_WINDOW_DAYS, from, to);
-      if (CONFIG.DEBUG_STATS_TRACE && q.debug === '1') {
-        log.info('stats.trace', { from, to, trace: (data as any)?._trace });
-      }
-      if (data) return data; // DB-backed stats
-      return reply.code(204).send();
+      const trace = CONFIG.DEBUG_STATS_TRACE && q.debug === '1';
+      // Traced requests bypass the cache so every one of them is logged
+      const stats = await cachedStats(trace ? null : `${from || ''}|${to || ''}`, async () => {
+        const data = await store.readStats(CONFIG.STATS_WINDOW_DAYS, from, to);
+        if (trace) log.info('stats.trace', { from, to, trace: (data as any)?._trace });
+        if (!data) return null;
+        const toEnd = new Date(Date.parse(data.to + 'T00:00:00Z') + 86400000);
+        return { ...data, consent: await consentCounts(new Date(data.from + 'T00:00:00Z'), toEnd) };
+      });
+      if (stats.body === null) return reply.code(204).send();
+      reply.header('etag', stats.etag).header('cache-control', 'private, no-cache');
+      if (etagMatches(h(req, 'if-none-match'), stats.etag)) return reply.code(304).send();
+      return reply.type('application/json; charset=utf-8').send(stats.body);
     } catch (e) {
       (req as any).log?.error?.(e);
       const today = new Date().toISOString().slice(0,10);
@@ -156,40 +523,102 @@ async function main() {
         exitCodes: {}, outputBuckets: {},
         interactiveRate: 0, truncationRate: 0, topExceptions: {},
         geo: { byContinent: {}, byCountry: {} },
-        tables: { eventsTop: [], extTop: [], vscodeTop: [], exitTop: [], exceptionsTop: [] }
+        tables: { eventsTop: [], extTop: [], vscodeTop: [], exitTop: [], exceptionsTop: [] },
+        consent: { optedOut: 0, optedIn: 0, optOutsWindow: 0, optInsWindow: 0 }
       } as any;
     }
   });
 
-  app.post('/t', async (req: FastifyRequest, reply: FastifyReply) => {
+  app.post('/t', { config: { scope: 'ingest' } }, async (req: FastifyRequest, reply: FastifyReply) => {
     try {
-      // Ingest requires DB; no file fallbacks.
-      if (!dbEnabled()) {
-        return reply.code(503).send({ error: 'db_disabled', message: 'Database not configured. Ingestion requires DB-only mode.' });
+      // Ingest requires a storage backend, or the disk spool to hold events until the DB is configured.
+      if (!store.enabled() && !spoolEnabled()) {
+        return reply.code(503).send({ error: 'db_disabled', message: 'Database not configured. Set DATABASE_URL or STORAGE_BACKEND=file.' });
       }
       const raw: any = (req as any).body;
-      const schema = typeof raw?.schema === 'string' ? raw.schema.trim().toLowerCase() : '';
-      if (schema !== 'jwc.v1') {
-  log.warn('schema not supported', { got: raw?.schema });
-        return reply.code(400).send({ error: 'schema_unsupported', expected: 'jwc.v1' });
+      const env = readEnvelope(raw);
+      if (!env.ok) {
+        log.warn('envelope rejected', { error: env.error, got: env.got });
+        return reply.code(400).send({ error: env.error, expected: SUPPORTED_SCHEMAS });
       }
 
       const ip = pickClientIp(req);
       const geo = resolveGeo(req, ip);
 
-      const batchRaw: any[] = Array.isArray(raw?.batch) ? raw.batch : [raw];
-      let accepted = 0, skipped = 0;
-      for (const evRaw of batchRaw) {
-        const ev = normalizeEvent(evRaw);
-        if (!ev || !validateEvent(ev)) { skipped++; log.warn('event skipped: invalid', { evRaw }); continue; }
-        try { await dbInsertEvent(ev, geo); accepted++; log.info('ingest: inserted', { ev, geo }); }
-        catch (e) {
-          log.error('db insert failed', { err: String(e), ev });
-          skipped++; continue;
+      const batchRaw: any[] = env.events;
+      // Opt-in verbose rejections (?verbose=1 or X-JWC-Verbose: 1) add the offending field and detail
+      const q: any = (req as any).query || {};
+      const verbose = q.verbose === '1' || h(req, 'x-jwc-verbose') === '1';
+      let accepted = 0;
+      const rejected: Array<{ index: number } & Rejection> = [];
+      const reject = (index: number, r: Rejection) => {
+        const evt = batchRaw[index]?.evt;
+        ingestSkipped.inc({ evt: typeof evt === 'string' && isKnownEvent(evt) ? evt : 'unknown', reason: r.reason });
+        rejected.push(verbose ? { index, reason: r.reason, field: r.field, detail: r.detail } : { index, reason: r.reason });
+      };
+      const checked: any[] = [];
+      const checkedIdx: number[] = [];
+      batchRaw.forEach((evRaw, index) => {
+        const n = normalizeEvent(evRaw);
+        const bad = n.ok ? validateEvent(n.ev) : n;
+        if (n.ok && !bad) { checked.push(n.ev); checkedIdx.push(index); return; }
+        reject(index, bad!);
+        log.warn('event skipped: invalid', { index, reason: bad!.reason, field: bad!.field, detail: bad!.detail });
+        log.debug('event skipped: raw', { evRaw: pseudonymizeEvent(evRaw) });
+      });
+      // Consent needs the client ID, so it runs before pseudonymization
+      const consent = await applyConsent(checked);
+      if (CONFIG.CONSENT_PURGE_ON_OPTOUT) await enqueuePurges(consent.optedOut);
+      const valid: any[] = [];
+      const validIdx: number[] = [];
+      const validUnresolved: Array<string | null> = [];
+      checked.forEach((ev, i) => {
+        if (!consent.keep[i]) { reject(checkedIdx[i], { reason: 'opted_out' }); return; }
+        // Pseudonymize before the event reaches storage, the spool or the logs
+        valid.push(pseudonymizeEvent(ev));
+        validIdx.push(checkedIdx[i]);
+        validUnresolved.push(consent.unresolved?.[i] ?? null);
+      });
+      let spooled = 0;
+      const spool = (reason: string) => {
+        if (spoolEvents(valid, geo, validUnresolved)) {
+          accepted += valid.length;
+          spooled = valid.length;
+          countAccepted(valid);
+          ingestSpooled.inc({}, valid.length);
+          publishEvents(valid);
+          log.warn('ingest: spooled batch', { count: valid.length, reason });
+        } else {
+          for (const index of validIdx) reject(index, { reason: 'spool_full', detail: reason });
+        }
+      };
+      if (!store.enabled()) {
+        spool('db_disabled');
+      } else {
+        try {
+          const res = await store.insertEvents(valid, geo);
+          accepted += res.inserted;
+          if (res.inserted) invalidateStats();
+          const failed = new Set(res.failed.map(f => f.index));
+          const stored = valid.filter((_, i) => !failed.has(i));
+          countAccepted(stored);
+          publishEvents(stored);
+          for (const f of res.failed) {
+            reject(validIdx[f.index], { reason: 'db_error', detail: f.error });
+            log.error('db insert failed', { err: f.error, ev: valid[f.index] });
+          }
+          log.info('ingest: inserted', { count: res.inserted, geo });
+        } catch (e) {
+          // Transaction rolled back (atomic mode or lost connection): nothing from this batch was written
+          log.error('db batch insert failed', { err: String(e), count: valid.length });
+          if (dbUnavailable(e) && spoolEnabled()) spool(String(e));
+          else for (const index of validIdx) reject(index, { reason: 'db_error', detail: String(e) });
         }
       }
+      rejected.sort((a, b) => a.index - b.index);
+      const skipped = rejected.length;
       log.info('ingest: batch result', { accepted, skipped });
-      return { ok: true, accepted, skipped };
+      return { ok: true, accepted, skipped, spooled, rejected };
     } catch (e) {
       log.error('server_error', e);
       return reply.code(500).send({ error: 'server_error' });
@@ -0,0 +1,222 @@
+import { dbListSessions, dbSessionEvents } from './db.js';
+import { useDb } from './storage.js';
+import { readEventsInRange, eventTime } from './stats.js';
+
+// Sessions rebuilt from events sharing a session_id: first and last event, every run
+// start/complete/error in order, and an outcome taken from the last completed or errored run.
+// dbListSessions computes the same summary as buildSession in SQL; keep the two in step.
+
+export type SessionOutcome =
+  | 'success'        // last run exited 0
+  | 'frustrated'     // last run stopped with Ctrl+C (130)
+  | 'killed'         // last run terminated (143)
+  | 'crashed'        // last run exited with any other code
+  | 'compile_error'
+  | 'runtime_error'
+  | 'active'         // no finished run yet, activity in the last 10 minutes
+  | 'abandoned';     // no finished run and no recent activity
+
+export const SESSION_OUTCOMES: SessionOutcome[] = ['success', 'frustrated', 'killed', 'crashed', 'compile_error', 'runtime_error', 'active', 'abandoned'];
+
+export interface SessionSummary {
+  id: string;
+  student: string;          // stored (pseudonymous) anon id
+  startedAt: string;
+  endedAt: string;
+  durationMs: number;       // wall time between first and last event
+  events: number;
+  runs: { started: number; completed: number; errors: number; compileErrors: number; runtimeErrors: number };
+  runMs: number;            // sum of completed run durations
+  outcome: SessionOutcome;
+  lastExit: number | null;
+  interactive: boolean;
+  truncated: boolean;
+  os: string | null;
+  ext: string | null;
+  vscode: string | null;
+  country: string | null;
+}
+
+export interface SessionEvent {
+  t: string;
+  offsetMs: number;         // since the session's first event
+  evt: string;
+  durationMs?: number;
+  waitMs?: number;
+  exit?: number;
+  phase?: string;
+  exceptionHash?: string;
+  outputBucket?: string;
+  interactive?: boolean;
+  truncated?: boolean;
+  m?: any;
+}
+
+export interface SessionFilter {
+  from: Date;
+  to: Date;                 // exclusive; sessions are selected by start time
+  outcome?: SessionOutcome[];
+  student?: string;
+  os?: string;
+  ext?: string;
+  country?: string;
+  minDurationMs?: number;
+  limit: number;
+  offset: number;
+}
+
+export interface SessionPage { total: number; limit: number; offset: number; nextOffset: number | null; sessions: SessionSummary[]; }
+
+// dbListSessions uses the same window
+const ACTIVE_MS = 10 * 60 * 1000;
+
+// A stored row (pg columns) or JSONL event (m fields), read the same way
+function fields(r: any) {
+  const m = r.m || {};
+  const t = r.t instanceof Date ? r.t.getTime() : eventTime(r);
+  const num = (v: any) => (v === null || v === undefined || v === '' ? undefined : Number(v));
+  const bool = (v: any) => (v === null || v === undefined ? undefined : v === true || v === 'true');
+  return {
+    t,
+    evt: String(r.evt || 'unknown'),
+    anon: r.anon || '',
+    durationMs: num(r.duration_ms ?? m.durationMs),
+    waitMs: num(r.wait_ms_total ?? m.waitMsTotal),
+    exit: num(r.exit_code ?? m.exit),
+    phase: r.error_phase ?? m.phase ?? undefined,
+    exceptionHash: r.exception_hash ?? m.exceptionHash ?? undefined,
+    outputBucket: r.out_bytes_bucket ?? m.cumulativeBytesBucket ?? undefined,
+    interactive: bool(r.scanner_usage ?? m.scannerUsage),
+    truncated: bool(r.truncated_output ?? m.truncatedOutput),
+    os: r.os ?? null, ext: r.ext ?? null, vscode: r.vscode ?? null, country: r.country ?? null,
+    m: r.m
+  };
+}
+
+function sessionIdOf(r: any): string | null {
+  const sid = r.session_id ?? r.sessionId ?? r.m?.sessionId;
+  return typeof sid === 'string' && sid ? sid : null;
+}
+
+function sessionOutcome(lastFinished: { evt: string; exit?: number; phase?: string } | null, endedAt: number, now = Date.now()): SessionOutcome {
+  if (lastFinished?.evt === 'java.run.completed') {
+    const code = lastFinished.exit ?? 0;  // older clients omit exit on success
+    return code === 0 ? 'success' : code === 130 ? 'frustrated' : code === 143 ? 'killed' : 'crashed';
+  }
+  if (lastFinished?.evt === 'java.run.error') return lastFinished.phase === 'compile' ? 'compile_error' : 'runtime_error';
+  return endedAt >= now - ACTIVE_MS ? 'active' : 'abandoned';
+}
+
+// Summary plus ordered timeline of one session's events (any order in)
+export function buildSession(id: string, rows: any[]): { session: SessionSummary; timeline: SessionEvent[] } {
+  const evs = rows.map(fields).sort((a, b) => a.t - b.t);
+  const first = evs[0], last = evs[evs.length - 1];
+  const firstOf = (k: 'os' | 'ext' | 'vscode' | 'country') => evs.find(e => e[k])?.[k] ?? null;
+  const completed = evs.filter(e => e.evt === 'java.run.completed');
+  const errors = evs.filter(e => e.evt === 'java.run.error');
+  const finished = evs.filter(e => e.evt === 'java.run.completed' || e.evt === 'java.run.error').pop() || null;
+  const session: SessionSummary = {
+    id,
+    student: first.anon,
+    startedAt: new Date(first.t).toISOString(),
+    endedAt: new Date(last.t).toISOString(),
+    durationMs: last.t - first.t,
+    events: evs.length,
+    runs: {
+      started: evs.filter(e => e.evt === 'java.run.started').length,
+      completed: completed.length,
+      errors: errors.length,
+      compileErrors: errors.filter(e => e.phase === 'compile').length,
+      runtimeErrors: errors.filter(e => e.phase !== 'compile').length
+    },
+    runMs: completed.reduce((n, e) => n + (e.durationMs || 0), 0),
+    outcome: sessionOutcome(finished, last.t),
+    lastExit: finished?.evt === 'java.run.completed' ? (finished.exit ?? 0) : null,
+    interactive: completed.some(e => e.interactive),
+    truncated: completed.some(e => e.truncated),
+    os: firstOf('os'), ext: firstOf('ext'), vscode: firstOf('vscode'), country: firstOf('country')
+  };
+  const timeline: SessionEvent[] = evs.map(e => {
+    const out: SessionEvent = { t: new Date(e.t).toISOString(), offsetMs: e.t - first.t, evt: e.evt };
+    for (const k of ['durationMs', 'waitMs', 'exit', 'phase', 'exceptionHash', 'outputBucket', 'interactive', 'truncated', 'm'] as const) {
+      if (e[k] !== undefined && e[k] !== null) (out as any)[k] = e[k];
+    }
+    return out;
+  });
+  return { session, timeline };
+}
+
+function matchesFilter(s: SessionSummary, f: SessionFilter): boolean {
+  const start = Date.parse(s.startedAt);
+  if (start < f.from.getTime() || start >= f.to.getTime()) return false;
+  if (f.outcome?.length && !f.outcome.includes(s.outcome)) return false;
+  if (f.student && s.student !== f.student) return false;
+  if (f.os && s.os !== f.os) return false;
+  if (f.ext && s.ext !== f.ext) return false;
+  if (f.country && s.country !== f.country) return false;
+  if (f.minDurationMs && s.durationMs < f.minDurationMs) return false;
+  return true;
+}
+
+function page(all: SessionSummary[], total: number, f: SessionFilter): SessionPage {
+  const next = f.offset + all.length;
+  return { total, limit: f.limit, offset: f.offset, nextOffset: next < total ? next : null, sessions: all };
+}
+
+// pg summary row → SessionSummary
+function fromRow(r: any): SessionSummary {
+  return {
+    id: r.session_id,
+    student: r.anon,
+    startedAt: new Date(r.started_at).toISOString(),
+    endedAt: new Date(r.ended_at).toISOString(),
+    durationMs: new Date(r.ended_at).getTime() - new Date(r.started_at).getTime(),
+    events: r.events,
+    runs: { started: r.runs_started, completed: r.runs_completed, errors: r.run_errors, compileErrors: r.compile_errors, runtimeErrors: r.run_errors - r.compile_errors },
+    runMs: Number(r.run_ms || 0),
+    outcome: r.outcome,
+    lastExit: r.last_evt === 'java.run.completed' ? (r.last_exit ?? 0) : null,
+    interactive: !!r.interactive,
+    truncated: !!r.truncated,
+    os: r.os, ext: r.ext, vscode: r.vscode, country: r.country
+  };
+}
+
+// Sessions with any event in [from, to) whose first event is also in range, newest first
+export async function listSessions(f: SessionFilter): Promise<SessionPage> {
+  if (useDb()) {
+    const { rows, total } = await dbListSessions(f);
+    return page(rows.map(fromRow), total, f);
+  }
+  return fileListSessions(f);
+}
+
+export async function getSession(id: string): Promise<{ session: SessionSummary; timeline: SessionEvent[] } | null> {
+  if (useDb()) {
+    const rows = await dbSessionEvents(id);
+    return rows.length ? buildSession(id, rows) : null;
+  }
+  return fileGetSession(id);
+}
+
+// File backend: group JSONL events by session. Reads a day either side of the range so sessions
+// crossing its edges are complete (and those started before it are recognised as such).
+function fileListSessions(f: SessionFilter): SessionPage {
+  const groups = new Map<string, any[]>();
+  for (const e of readEventsInRange(f.from.getTime() - 86400000, f.to.getTime() + 86400000, l => l.includes('essionId'))) {
+    const sid = sessionIdOf(e);
+    if (!sid) continue;
+    if (!groups.has(sid)) groups.set(sid, []);
+    groups.get(sid)!.push(e);
+  }
+  const all = [...groups].map(([id, rows]) => buildSession(id, rows).session)
+    .filter(s => matchesFilter(s, f))
+    .sort((a, b) => b.startedAt.localeCompare(a.startedAt) || a.id.localeCompare(b.id));
+  return page(all.slice(f.offset, f.offset + f.limit), all.length, f);
+}
+
+// File backend: every event of one session, searched across all days
+function fileGetSession(id: string): { session: SessionSummary; timeline: SessionEvent[] } | null {
+  const rows = readEventsInRange(0, Number.MAX_SAFE_INTEGER, l => l.includes(id)).filter(e => sessionIdOf(e) === id);
+  return rows.length ? buildSession(id, rows) : null;
+}
@@ -0,0 +1,169 @@
+import fs from 'fs';
+import path from 'path';
+import { CONFIG } from './config.js';
+import { appendJsonLine } from './transform.js';
+import { dbEnabled, dbHealth, dbInit, dbInsertEvents, dbReady } from './db.js';
+import { invalidateStats } from './statscache.js';
+import { optedOutSubjects } from './consent.js';
+import { log } from './logger.js';
+import { gauge } from './metrics.js';
+
+// Write-ahead spool for events that could not be written to PostgreSQL.
+// Records are appended as JSONL segments under SPOOL_DIR; a background replayer drains closed
+// segments oldest-first once the DB is healthy again. A `<segment>.pos` sidecar records how many
+// lines have been replayed so a crash or DB drop mid-segment does not insert them twice.
+// A record is { ev, geo } plus, when the install's consent could not be checked at ingest, its
+// `consent` ID: replay drops the event if that install has opted out since.
+
+type Geo = { country: string; region: string };
+
+const SEGMENT_MAX_BYTES = 4 * 1024 * 1024;
+const REPLAY_CHUNK = 500;
+
+let segment: string | null = null;
+// Serializes segment replay with subject erasure (see withSpoolLock)
+let lock: Promise<unknown> = Promise.resolve();
+let bytes = 0;
+let replaying = false;
+let lastReplayAt: string | null = null;
+let lastReplayError: string | null = null;
+let replayedTotal = 0;
+let droppedTotal = 0;
+
+function dir(): string { return CONFIG.SPOOL_DIR || path.join(CONFIG.LOG_DIR, 'spool'); }
+function maxBytes(): number { return Math.max(1, CONFIG.SPOOL_MAX_MB) * 1024 * 1024; }
+
+gauge('jwc_spool_bytes', 'Bytes of events waiting in the disk spool.', () => (spoolEnabled() ? bytes : []));
+gauge('jwc_spool_replayed_events_total', 'Spooled events written to PostgreSQL.', () => (spoolEnabled() ? replayedTotal : []), 'counter');
+gauge('jwc_spool_dropped_events_total', 'Spooled events dropped during replay.', () => (spoolEnabled() ? droppedTotal : []), 'counter');
+
+function segments(): string[] {
+  try { return fs.readdirSync(dir()).filter(f => /^spool-\d+\.jsonl$/.test(f)).sort(); } catch { return []; }
+}
+
+function sizeOf(name: string): number {
+  try { return fs.statSync(path.join(dir(), name)).size; } catch { return 0; }
+}
+
+function rotate() {
+  segment = `spool-${String(Date.now()).padStart(15, '0')}.jsonl`;
+}
+
+// The spool only fronts PostgreSQL; the file backend already writes to disk
+export function spoolEnabled(): boolean {
+  return CONFIG.SPOOL_ENABLED && CONFIG.STORAGE_BACKEND === 'pg';
+}
+
+// Append events to the spool. Returns false (nothing written) if the spool is disabled or full.
+// `consent` is applyConsent's `unresolved`, aligned with `evs`.
+export function spoolEvents(evs: any[], geo?: Geo, consent?: Array<string | null> | null): boolean {
+  if (!spoolEnabled() || !evs.length) return false;
+  const recs = evs.map((ev, i) => (consent?.[i] ? { ev, geo: geo || null, consent: consent[i] } : { ev, geo: geo || null }));
+  const size = recs.reduce((n, r) => n + Buffer.byteLength(JSON.stringify(r)) + 1, 0);
+  if (bytes + size > maxBytes()) {
+    log.warn('spool: full, dropping events', { count: evs.length, bytes, maxBytes: maxBytes() });
+    return false;
+  }
+  if (!segment || sizeOf(segment) > SEGMENT_MAX_BYTES) rotate();
+  for (const r of recs) appendJsonLine(dir(), segment!, r);
+  bytes += size;
+  log.info('spool: appended', { count: evs.length, segment, bytes });
+  return true;
+}
+
+// Run fn once no segment is being replayed; replay holds the lock for a whole segment. Erasure uses it
+// so it never rewrites lines a replay has already read, which the replay would then insert anyway.
+export function withSpoolLock<T>(fn: () => Promise<T>): Promise<T> {
+  const run = lock.then(fn, fn);
+  lock = run.catch(() => {});
+  return run;
+}
+
+async function replaySegment(name: string): Promise<void> {
+  const file = path.join(dir(), name);
+  const posFile = file + '.pos';
+  const lines = fs.readFileSync(file, 'utf8').split('\n').filter(Boolean);
+  let pos = 0;
+  try { pos = parseInt(fs.readFileSync(posFile, 'utf8'), 10) || 0; } catch {}
+
+  while (pos < lines.length) {
+    // Group consecutive records sharing a geo so each chunk is one dbInsertEvents call
+    const recs: Array<{ ev: any; geo: Geo | null; consent?: string }> = [];
+    let key: string | null = null;
+    for (let i = pos; i < lines.length && recs.length < REPLAY_CHUNK; i++) {
+      let rec: any;
+      try { rec = JSON.parse(lines[i]); } catch { rec = { ev: null, geo: null }; }
+      const k = JSON.stringify(rec.geo);
+      if (key !== null && k !== key) break;
+      key = k;
+      recs.push(rec);
+    }
+    const live = recs.filter(r => r.ev);
+    const optedOut = await optedOutSubjects(live.flatMap(r => (r.consent ? [r.consent] : [])));
+    const evs = live.filter(r => !(r.consent && optedOut.has(r.consent))).map(r => r.ev);
+    if (evs.length < live.length) log.info('spool: dropped events of opted-out installs', { count: live.length - evs.length });
+    const res = await dbInsertEvents(evs, recs[0]?.geo || undefined, 'best-effort');
+    for (const f of res.failed) log.error('spool: replay row failed, dropping', { err: f.error, ev: evs[f.index] });
+    replayedTotal += res.inserted;
+    if (res.inserted) invalidateStats();
+    droppedTotal += res.failed.length + (recs.length - evs.length);
+    pos += recs.length;
+    fs.writeFileSync(posFile, String(pos));
+  }
+  const size = sizeOf(name);
+  fs.rmSync(file, { force: true });
+  fs.rmSync(posFile, { force: true });
+  bytes = Math.max(0, bytes - size);
+  log.info('spool: segment replayed', { segment: name, lines: lines.length });
+}
+
+// Drain every closed segment into telemetry_events. No-op while the DB is unreachable.
+export async function spoolReplay(): Promise<void> {
+  if (replaying || !dbEnabled()) return;
+  if (!segments().length) return;
+  replaying = true;
+  try {
+    const health = await dbHealth();
+    if (!health?.ok) return;
+    // Boot may have happened while the DB was down; make sure the schema exists first
+    if (!dbReady()) await dbInit();
+    // Close the active segment so new writes land in a fresh file while we drain
+    rotate();
+    for (const name of segments()) {
+      if (name === segment) continue;
+      await withSpoolLock(() => replaySegment(name));
+    }
+    lastReplayAt = new Date().toISOString();
+    lastReplayError = null;
+  } catch (e: any) {
+    lastReplayError = String(e?.message || e);
+    log.error('spool: replay failed', { error: lastReplayError });
+  } finally {
+    replaying = false;
+  }
+}
+
+export function initSpool() {
+  if (!spoolEnabled()) return;
+  bytes = segments().reduce((n, f) => n + sizeOf(f), 0);
+  log.info('spool: init', { dir: dir(), segments: segments().length, bytes });
+  const timer = setInterval(() => { spoolReplay().catch(() => {}); }, Math.max(1000, CONFIG.SPOOL_REPLAY_INTERVAL_MS));
+  timer.unref();
+}
+
+export function spoolStatus() {
+  const segs = segments();
+  return {
+    enabled: spoolEnabled(),
+    dir: dir(),
+    segments: segs.length,
+    bytes,
+    maxBytes: maxBytes(),
+    full: bytes >= maxBytes(),
+    replaying,
+    lastReplayAt,
+    lastReplayError,
+    replayedTotal,
+    droppedTotal
+  };
+}
@@ -2,7 +2,17 @@ import fs from 'fs';
 import path from 'path';
 import { CONFIG } from './config.js';
 
-export interface TopRow { key: string; count: number; pct: number; }
+export interface TopRow {
+  key: string;
+  count: number;
+  pct: number;
+  percent?: number;
+  // Same value as `key`, named for the table it appears in (matches dbReadStats)
+  event?: string;
+  version?: string;
+  code?: string;
+  exceptionHash?: string;
+}
 
 export interface WindowStatsResult {
   from: string;
@@ -47,6 +57,23 @@ export interface WindowStatsResult {
     successTop: Array<TopSession>;
     frustratedTop: Array<TopSession>;
   };
+  activeSessions?: number;
+  installsTotal?: number;
+  installsWindow?: number;
+  sessionsRecent?: Array<RecentSession>;
+  // Added by /stats from the consent store (consent.ts)
+  consent?: { optedOut: number; optedIn: number; optOutsWindow: number; optInsWindow: number };
+}
+
+export interface RecentSession {
+  id: string;
+  student: string;         // raw anon id
+  startedAt: string;
+  lastAt: string;
+  completed: boolean;
+  exit: number;            // -1 when the session has no completed run
+  durationMs: number;
+  interactive: boolean;
 }
 
 export interface TopSession {
@@ -68,38 +95,108 @@ const CONTINENT: Record<string,string> = {
   ZA:'AF', NG:'AF', EG:'AF', MA:'AF', KE:'AF', ET:'AF', DZ:'AF', GH:'AF', TZ:'AF', CI:'AF', SN:'AF'
 };
 
-function readJsonLines(file: string): any[] {
+export function continentOf(country?: string): string {
+  if (!country) return 'Unknown';
+  return CONTINENT[country.toUpperCase()] || 'Unknown';
+}
+
+function readJsonLines(file: string, filter?: (line: string) => boolean): any[] {
   if (!fs.existsSync(file)) return [];
   const out: any[] = [];
   const lines = fs.readFileSync(file, 'utf8').split(/\r?\n/);
   for (const line of lines) {
     if (!line) continue;
+    if (filter && !filter(line)) continue;
     try { out.push(JSON.parse(line)); } catch {}
   }
   return out;
 }
 
-function percentile(sorted: number[], p: number): number {
-  if (!sorted.length) return 0;
-  const idx = Math.ceil((p / 100) * sorted.length) - 1;
-  return sorted[Math.max(0, Math.min(sorted.length - 1, idx))];
+// The p quantile (0-1) of ascending values, null if there are none. Interpolates between the closest
+// ranks like percentile_cont; `discrete` takes the nearest rank like percentile_disc instead.
+export function percentile(sorted: number[], p: number, discrete = false): number | null {
+  if (!sorted.length) return null;
+  if (discrete) return sorted[Math.max(0, Math.min(sorted.length - 1, Math.ceil(p * sorted.length) - 1))];
+  const pos = p * (sorted.length - 1), lo = Math.floor(pos);
+  return Math.round(sorted[lo] + (sorted[Math.min(lo + 1, sorted.length - 1)] - sorted[lo]) * (pos - lo));
 }
 
-function toTopRows(obj: Record<string, number>, denom: number, limit = 20): TopRow[] {
+function toTopRows(obj: Record<string, number>, denom: number, label: 'event' | 'version' | 'code' | 'exceptionHash', limit = 20): TopRow[] {
   return Object.entries(obj || {})
     .sort((a, b) => b[1] - a[1])
     .slice(0, limit)
-    .map(([key, count]) => ({ key, count, pct: denom ? count / denom : 0 }));
+    .map(([key, count]) => {
+      const pct = denom ? count / denom : 0;
+      return { key, [label]: key, count, pct, percent: Math.round(pct * 1000) / 10 };
+    });
+}
+
+function dayOf(ts: number): string { return new Date(ts).toISOString().slice(0, 10); }
+function shiftDay(day: string, n: number): string { return dayOf(Date.parse(day + 'T00:00:00Z') + n * 86400000); }
+
+// YYYY-MM-DD names of the JSONL files written by appendJsonEvent, oldest first
+export function listEventDays(baseDir: string = path.join(CONFIG.LOG_DIR, 'json')): string[] {
+  try {
+    return fs.readdirSync(baseDir)
+      .filter(f => /^\d{4}-\d{2}-\d{2}\.jsonl$/.test(f))
+      .map(f => f.slice(0, 10))
+      .sort();
+  } catch { return []; }
+}
+
+export function eventTime(e: any): number {
+  let ts = typeof e.t === 'number' ? e.t : Date.parse(e.t);
+  if (ts && ts < 1e12) ts = ts * 1000; // seconds → ms safeguard
+  return ts || 0;
 }
 
-export function readWindowStats(): WindowStatsResult {
-  const now = new Date();
+// Events from LOG_DIR/json whose own timestamp is in [fromMs, toMs), one day file at a time.
+// `filter` is a cheap per-line prefilter.
+export function* eventsInRangeByDay(fromMs: number, toMs: number, filter?: (line: string) => boolean): Generator<any[]> {
   const baseDir = path.join(CONFIG.LOG_DIR, 'json');
-  const days: string[] = [];
-  for (let i = CONFIG.STATS_WINDOW_DAYS - 1; i >= 0; i--) {
-    const d = new Date(now.getTime() - i * 86400000).toISOString().slice(0, 10);
-    days.push(d);
+  // Events land in the file of the day they were received, so read one day either side
+  const lo = dayOf(fromMs - 86400000), hi = dayOf(Math.min(toMs, 4102444800000) + 86400000);
+  for (const day of listEventDays(baseDir)) {
+    if (day < lo || day > hi) continue;
+    const evs = readJsonLines(path.join(baseDir, `${day}.jsonl`), filter).filter(e => {
+      const ts = eventTime(e);
+      return ts >= fromMs && ts < toMs;
+    });
+    if (evs.length) yield evs;
+  }
+}
+
+export function readEventsInRange(fromMs: number, toMs: number, filter?: (line: string) => boolean): any[] {
+  const out: any[] = [];
+  for (const evs of eventsInRangeByDay(fromMs, toMs, filter)) for (const e of evs) out.push(e);
+  return out;
+}
+
+// File-backed equivalent of dbReadStats over LOG_DIR/json/*.jsonl.
+// With from/to (YYYY-MM-DD, inclusive) events are filtered by their own timestamp; without, all files are read.
+export function readWindowStats(windowDays: number = CONFIG.STATS_WINDOW_DAYS, fromS?: string, toS?: string): WindowStatsResult {
+  const nowMs = Date.now();
+  const baseDir = path.join(CONFIG.LOG_DIR, 'json');
+  const files = listEventDays(baseDir);
+  const today = dayOf(nowMs);
+
+  let from = new Date('1970-01-01T00:00:00Z');
+  let to = new Date('2099-12-31T23:59:59Z');
+  let ranged = false;
+  if (fromS && toS) {
+    const ft = new Date(fromS + 'T00:00:00Z');
+    const tt = new Date(toS + 'T23:59:59Z');
+    if (!isNaN(ft.getTime()) && !isNaN(tt.getTime()) && ft <= tt) { from = ft; to = tt; ranged = true; }
   }
+  const firstDay = ranged ? dayOf(from.getTime()) : (files[0] && files[0] < today ? files[0] : today);
+  const lastDay = ranged ? dayOf(to.getTime()) : (files.length && files[files.length - 1] > today ? files[files.length - 1] : today);
+  const days: string[] = [];
+  for (let d = firstDay; d <= lastDay; d = shiftDay(d, 1)) days.push(d);
+  const dayIdx = new Map(days.map((d, i) => [d, i] as [string, number]));
+  // Events land in the file of the day they were received, so read one day either side of the range
+  const inRead = (d: string) => !ranged || (d >= shiftDay(firstDay, -1) && d <= shiftDay(lastDay, 1));
+  // Same session-list window as dbReadStats
+  const sessionFrom = Math.max(from.getTime(), Math.min(to.getTime(), nowMs) - CONFIG.STATS_SESSION_DAYS * 86400000);
 
   const byEvent: Record<string, number> = {};
   const byOs: Record<string, number> = {};
@@ -116,7 +213,7 @@ export function readWindowStats(): WindowStatsResult {
   let started = 0, completed = 0;
   let compileErr = 0, runtimeErr = 0;
   const durations: number[] = [];
-  let waitMsSum = 0;
+  let waitMsSum = 0, waitCount = 0;
   let interactive = 0;
   let truncations = 0;
   const exitCodes: Record<string | number, number> = {};
@@ -125,115 +222,132 @@ export function readWindowStats(): WindowStatsResult {
   const hourlyVisitors = new Array(24).fill(0);
   const byCountry: Record<string, { hits: number; visitors: number }> = {};
   const byContinent: Record<string, { hits: number; visitors: number }> = {};
+  const countryAnon = new Map<string, Set<string>>();
   const seenHourAnon = new Map<number, Set<string>>();
   const dailyLearningOutcomes: Record<string, Record<string, number>> = {};
+  let installsTotal = 0, installsWindow = 0;
 
   const sessionsSuccess: TopSession[] = [];
   const sessionsFrustrated: TopSession[] = [];
+  const recent = new Map<string, { anon: string; start: number; last: number; completed: boolean; exit: number | null; dur: number | null; inter: boolean }>();
+  const active = new Map<string, boolean>(); // sessionId -> completed, last 10 minutes
 
   const mask = (anon?: string) => {
     if (!anon || anon.length < 6) return 'Student #—';
     return `Student #${anon.slice(-6)}`;
   };
 
-  for (let di = 0; di < days.length; di++) {
-    const day = days[di];
-    const file = path.join(baseDir, `${day}.jsonl`);
-    const arr = readJsonLines(file);
+  for (const file of files) {
+    const full = inRead(file);
+    // Outside the window only lifetime installs and live sessions matter
+    const arr = readJsonLines(path.join(baseDir, `${file}.jsonl`), full ? undefined : (l => l.includes('install.created') || file >= dayOf(nowMs - 86400000)));
     for (const e of arr) {
-      total++;
       const evt = e.evt || 'unknown';
-      const os = e.os || 'unknown';
-      const ext = e.ext || '0.0.0';
-      const vsc = e.vscode || 'unknown';
-      let ts = typeof e.t === 'number' ? e.t : Date.parse(e.t);
-      if (ts && ts < 1e12) ts = ts * 1000; // seconds → ms safeguard
-      const dt = new Date(ts || Date.now());
+      const ts = eventTime(e);
+      const sid = typeof e.sessionId === 'string' ? e.sessionId : (typeof e.m?.sessionId === 'string' ? e.m.sessionId : '');
+      if (evt === 'install.created') installsTotal++;
+      if (sid && ts >= nowMs - 600000) active.set(sid, (active.get(sid) || false) || evt === 'java.run.completed');
+      if (!full || ts < from.getTime() || ts >= to.getTime()) continue;
+
+      total++;
+      const os = e.os || 'Unknown';
+      const ext = e.ext || 'Unknown';
+      const vsc = e.vscode || 'Unknown';
+      const dt = new Date(ts);
+      const day = dayOf(ts);
+      const di = dayIdx.get(day);
       const h = dt.getUTCHours();
-      const dwi = dt.getUTCDay();
       hourly[h]++;
-      dow[dwi]++;
+      dow[dt.getUTCDay()]++;
+      if (evt === 'install.created') installsWindow++;
 
       byEvent[evt] = (byEvent[evt] || 0) + 1;
       byOs[os] = (byOs[os] || 0) + 1;
       byExt[ext] = (byExt[ext] || 0) + 1;
       byVscode[vsc] = (byVscode[vsc] || 0) + 1;
 
-      if (!dailyOsSeries.has(os)) dailyOsSeries.set(os, new Array(days.length).fill(0));
-      dailyOsSeries.get(os)![di]++;
-
       const anon = e.anon || '';
-      if (anon) { dayUniques[di].add(anon); globalUniques.add(anon); }
-      dayHits[di]++;
-
-      const country = (e.country || '-').toUpperCase();
-      const cont = CONTINENT[country] || (country === '-' ? 'UN' : 'UN');
+      if (anon) globalUniques.add(anon);
+      if (di !== undefined) {
+        if (!dailyOsSeries.has(os)) dailyOsSeries.set(os, new Array(days.length).fill(0));
+        dailyOsSeries.get(os)![di]++;
+        if (anon) dayUniques[di].add(anon);
+        dayHits[di]++;
+      }
 
+      const country = e.country ? String(e.country).toUpperCase() : 'Unknown';
       byCountry[country] = byCountry[country] || { hits: 0, visitors: 0 };
-      byContinent[cont] = byContinent[cont] || { hits: 0, visitors: 0 };
       byCountry[country].hits++;
-      byContinent[cont].hits++;
-
-      // unique visitors per country/continent (by anon within window)
-      if (e.anon) {
-        // per-country unique
-        const keyC = `c:${country}`;
-        (global as any)[keyC] = (global as any)[keyC] || new Set();
-        const setC: Set<string> = (global as any)[keyC];
-        if (!setC.has(e.anon)) { setC.add(e.anon); byCountry[country].visitors++; }
-        // per-continent unique
-        const keyT = `t:${cont}`;
-        (global as any)[keyT] = (global as any)[keyT] || new Set();
-        const setT: Set<string> = (global as any)[keyT];
-        if (!setT.has(e.anon)) { setT.add(e.anon); byContinent[cont].visitors++; }
+      if (anon) {
+        if (!countryAnon.has(country)) countryAnon.set(country, new Set());
+        const setC = countryAnon.get(country)!;
+        if (!setC.has(anon)) { setC.add(anon); byCountry[country].visitors++; }
       }
 
       // hourly visitors (unique anon per hour bucket)
-      const hour = dt.getUTCHours();
-      if (!seenHourAnon.has(hour)) seenHourAnon.set(hour, new Set());
-      const sh = seenHourAnon.get(hour)!;
-      if (e.anon && !sh.has(e.anon)) { sh.add(e.anon); hourlyVisitors[hour]++; }
+      if (!seenHourAnon.has(h)) seenHourAnon.set(h, new Set());
+      const sh = seenHourAnon.get(h)!;
+      if (anon && !sh.has(anon)) { sh.add(anon); hourlyVisitors[h]++; }
+
+      const m = e.m || {};
+      if (sid && ts >= sessionFrom) {
+        const r = recent.get(sid) || { anon, start: ts, last: ts, completed: false, exit: null, dur: null, inter: false };
+        r.start = Math.min(r.start, ts);
+        r.last = Math.max(r.last, ts);
+        if (evt === 'java.run.completed') r.completed = true;
+        if (typeof m.exit === 'number') r.exit = r.exit === null ? m.exit : Math.max(r.exit, m.exit);
+        if (typeof m.durationMs === 'number') r.dur = r.dur === null ? m.durationMs : Math.max(r.dur, m.durationMs);
+        if (m.scannerUsage === true) r.inter = true;
+        recent.set(sid, r);
+      }
 
       if (evt === 'java.run.started') started++;
       if (evt === 'java.run.completed') {
         completed++;
-        const dur = Number(e.m?.durationMs) || 0;
-        if (dur > 0) durations.push(dur);
-        waitMsSum += Number(e.m?.waitMsTotal) || 0;
-        const exit = e.m?.exit ?? 0; exitCodes[exit] = (exitCodes[exit] || 0) + 1;
-        const bucket = e.m?.cumulativeBytesBucket || '-'; outputBuckets[bucket] = (outputBuckets[bucket] || 0) + 1;
-        if (e.m?.scannerUsage === true) interactive++;
-        if (e.m?.truncatedOutput === true) truncations++;
+        const dur = typeof m.durationMs === 'number' ? m.durationMs : null;
+        if (dur !== null) durations.push(dur);
+        if (typeof m.waitMsTotal === 'number') { waitMsSum += m.waitMsTotal; waitCount++; }
+        const exit = m.exit ?? 0; exitCodes[exit] = (exitCodes[exit] || 0) + 1;
+        const bucket = m.cumulativeBytesBucket || '-'; outputBuckets[bucket] = (outputBuckets[bucket] || 0) + 1;
+        if (m.scannerUsage === true) interactive++;
+        if (m.truncatedOutput === true) truncations++;
 
         // Aggregate daily learning outcomes
-        const keyDay = day; // current loop day string
         const exKey = String(exit);
-        if (!dailyLearningOutcomes[keyDay]) dailyLearningOutcomes[keyDay] = {};
-        dailyLearningOutcomes[keyDay][exKey] = (dailyLearningOutcomes[keyDay][exKey] || 0) + 1;
+        if (!dailyLearningOutcomes[day]) dailyLearningOutcomes[day] = {};
+        dailyLearningOutcomes[day][exKey] = (dailyLearningOutcomes[day][exKey] || 0) + 1;
 
         // Collect ranked session candidates
         const sess: TopSession = {
-          student: mask(e.anon),
-          ts: new Date(dt.getTime()).toISOString(),
-          durationMs: dur,
-          interactive: e.m?.scannerUsage === true,
+          student: mask(anon),
+          ts: dt.toISOString(),
+          durationMs: dur || 0,
+          interactive: m.scannerUsage === true,
           exit: Number(exit),
-          outputBucket: bucket
+          outputBucket: m.cumulativeBytesBucket || undefined
         };
-        if (sess.exit === 0) sessionsSuccess.push(sess);
-        if (sess.exit === 130) sessionsFrustrated.push(sess);
+        if (ts >= sessionFrom && sess.exit === 0) sessionsSuccess.push(sess);
+        if (ts >= sessionFrom && sess.exit === 130) sessionsFrustrated.push(sess);
       }
       if (evt === 'java.run.error') {
-        const phase = e.m?.phase || 'runtime';
-        if (phase === 'compile') compileErr++; else runtimeErr++;
-        const ex = e.m?.exceptionHash; if (ex) topExceptions[ex] = (topExceptions[ex] || 0) + 1;
+        // Same rule as dbReadStats: errors without a phase count as neither compile nor runtime
+        if (m.phase === 'compile') compileErr++; else if (m.phase) runtimeErr++;
+        const ex = m.exceptionHash; if (ex) topExceptions[ex] = (topExceptions[ex] || 0) + 1;
       }
     }
   }
 
+  for (const [cc, v] of Object.entries(byCountry)) {
+    const cont = continentOf(cc === 'Unknown' ? undefined : cc);
+    if (!byContinent[cont]) byContinent[cont] = { hits: 0, visitors: 0 };
+    byContinent[cont].hits += v.hits;
+    byContinent[cont].visitors += v.visitors;
+  }
+
   durations.sort((a, b) => a - b);
-  const med = percentile(durations, 50);
-  const p90 = percentile(durations, 90);
+  // Nearest rank, like the rollup histogram behind dbReadStats
+  const med = percentile(durations, 0.5, true) ?? 0;
+  const p90 = percentile(durations, 0.9, true) ?? 0;
   const histEdges = [0, 500, 1000, 3000, 10000, 30000, 60000, 120000];
   const histVals = new Array(histEdges.length).fill(0);
   for (const d of durations) {
@@ -244,9 +358,8 @@ export function readWindowStats(): WindowStatsResult {
   const histLabels = histEdges.map((v, i) => (i < histEdges.length - 1 ? `${v}-${histEdges[i + 1]}ms` : `≥${histEdges[i]}ms`));
 
   const daily = { dates: days, hits: dayHits, uniques: dayUniques.map(s => s.size) };
-  const compRateDen = Math.max(1, started);
-  const errors = { compile: compileErr, runtime: runtimeErr, compileRate: compileErr / compRateDen, runtimeRate: runtimeErr / compRateDen };
-  const durationsOut = { count: durations.length, median: med, p90, hist: { labels: histLabels, values: histVals }, avgWaitMs: completed ? waitMsSum / completed : 0 };
+  const errors = { compile: compileErr, runtime: runtimeErr, compileRate: started ? compileErr / started : 0, runtimeRate: started ? runtimeErr / started : 0 };
+  const durationsOut = { count: durations.length, median: med, p90, hist: { labels: histLabels, values: histVals }, avgWaitMs: waitCount ? waitMsSum / waitCount : 0 };
   const interactiveRate = completed ? interactive / completed : 0;
   const truncationRate = completed ? truncations / completed : 0;
 
@@ -266,10 +379,24 @@ export function readWindowStats(): WindowStatsResult {
     return a.durationMs - b.durationMs; // shortest durations first
   });
 
+  const sessionsRecent: RecentSession[] = Array.from(recent.entries())
+    .sort((a, b) => b[1].last - a[1].last)
+    .slice(0, 100)
+    .map(([id, r]) => ({
+      id,
+      student: r.anon,
+      startedAt: new Date(r.start).toISOString(),
+      lastAt: new Date(r.last).toISOString(),
+      completed: r.completed,
+      exit: r.exit ?? -1,
+      durationMs: r.dur || 0,
+      interactive: r.inter
+    }));
+
   return {
     from: days[0],
     to: days[days.length - 1],
-    windowDays: CONFIG.STATS_WINDOW_DAYS,
+    windowDays,
     total,
     uniques: globalUniques.size,
     osTypes: Object.keys(byOs).length,
@@ -282,6 +409,7 @@ export function readWindowStats(): WindowStatsResult {
     byExt,
     byVscode,
     hourly,
+    hourlyVisitors,
     dow,
     runs: { started, completed },
     errors,
@@ -292,18 +420,21 @@ export function readWindowStats(): WindowStatsResult {
     truncationRate,
     topExceptions,
     geo: { byContinent, byCountry },
-    hourlyVisitors,
+    activeSessions: Array.from(active.values()).filter(c => !c).length,
+    installsTotal,
+    installsWindow,
+    sessionsRecent,
     dailyLearningOutcomes,
     sessions: {
       successTop: sessionsSuccess.slice(0, 20),
       frustratedTop: sessionsFrustrated.slice(0, 20)
     },
     tables: {
-      eventsTop: toTopRows(byEvent, total),
-      extTop: toTopRows(byExt, total),
-      vscodeTop: toTopRows(byVscode, total),
-      exitTop: toTopRows(Object.fromEntries(Object.entries(exitCodes).map(([k, v]) => [String(k), v])), total),
-      exceptionsTop: toTopRows(topExceptions, total)
+      eventsTop: toTopRows(byEvent, total, 'event'),
+      extTop: toTopRows(byExt, total, 'version'),
+      vscodeTop: toTopRows(byVscode, total, 'version'),
+      exitTop: toTopRows(Object.fromEntries(Object.entries(exitCodes).map(([k, v]) => [String(k), v])), total, 'code'),
+      exceptionsTop: toTopRows(topExceptions, total, 'exceptionHash')
     }
-  } as any;
-}
\ No newline at end of file
+  };
+}
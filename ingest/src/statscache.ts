@@ -0,0 +1,72 @@
+import crypto from 'crypto';
+import { CONFIG } from './config.js';
+
+// In-process cache for GET /stats bodies, keyed by the query. Concurrent misses for one key share a
+// single computation. An entry is served for STATS_CACHE_TTL_MS, or only STATS_CACHE_MIN_AGE_MS once
+// events have been written after it started computing, so a busy classroom still sees new runs within
+// seconds while each tab's 15s poll is answered from memory (or with a 304). Writes are only seen by
+// this process: other replicas pick them up when their entries expire.
+
+export interface CachedStats {
+  body: string | null;         // serialized response; null when there is no data (204)
+  etag: string;
+  computedAt: number;
+}
+
+interface Entry extends CachedStats { generation: number; }
+
+const MAX_ENTRIES = 100;
+
+const entries = new Map<string, Entry>();
+const inflight = new Map<string, Promise<Entry>>();
+let generation = 0;
+
+// Called after anything that changes what /stats reports: inserted events, replayed spool, erasure
+export function invalidateStats(): void {
+  generation++;
+}
+
+function fresh(e: Entry, now: number): boolean {
+  const age = now - e.computedAt;
+  if (age >= CONFIG.STATS_CACHE_TTL_MS) return false;
+  return e.generation === generation || age < CONFIG.STATS_CACHE_MIN_AGE_MS;
+}
+
+function entryOf(data: unknown, computedAt: number, gen: number): Entry {
+  const body = data === null || data === undefined ? null : JSON.stringify(data);
+  const etag = '"' + crypto.createHash('sha1').update(body ?? '').digest('base64url') + '"';
+  return { body, etag, computedAt, generation: gen };
+}
+
+// A null key computes without the cache. Errors are not cached: a failed computation rejects every
+// caller waiting on it and the next request retries.
+export async function cachedStats(key: string | null, compute: () => Promise<unknown>): Promise<CachedStats> {
+  if (key === null || CONFIG.STATS_CACHE_TTL_MS <= 0) return entryOf(await compute(), Date.now(), generation);
+  const hit = entries.get(key);
+  if (hit && fresh(hit, Date.now())) return hit;
+  let p = inflight.get(key);
+  if (!p) {
+    // Events written while this runs leave the result stale, so it takes the generation from before
+    const gen = generation, started = Date.now();
+    p = compute()
+      .then(data => {
+        const e = entryOf(data, started, gen);
+        entries.delete(key);
+        entries.set(key, e);
+        if (entries.size > MAX_ENTRIES) entries.delete(entries.keys().next().value!);
+        return e;
+      })
+      .finally(() => inflight.delete(key));
+    inflight.set(key, p);
+  }
+  return p;
+}
+
+// If-None-Match: a list of (possibly weak) tags, or *
+export function etagMatches(header: string | undefined, etag: string): boolean {
+  if (!header) return false;
+  return header.split(',').some(t => {
+    const tag = t.trim().replace(/^W\//, '');
+    return tag === '*' || tag === etag;
+  });
+}
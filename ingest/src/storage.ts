@@ -0,0 +1,67 @@
+import fs from 'fs';
+import path from 'path';
+import { CONFIG } from './config.js';
+import { dbEnabled, dbInit, dbInsertEvents, dbReadStats, dbHealth, BatchInsertResult } from './db.js';
+import { appendJsonEvent } from './transform.js';
+import { readWindowStats, listEventDays, WindowStatsResult } from './stats.js';
+import { log } from './logger.js';
+
+type Geo = { country: string; region: string };
+
+// Where accepted events are written and where /stats reads them back from.
+// `pg` is the PostgreSQL store in db.ts; `file` appends JSONL under LOG_DIR/json for DB-less installs.
+export interface StorageBackend {
+  name: 'pg' | 'file';
+  enabled(): boolean;
+  init(): Promise<void>;
+  insertEvents(evs: any[], geo?: Geo): Promise<BatchInsertResult>;
+  readStats(windowDays: number, from?: string, to?: string): Promise<WindowStatsResult | null>;
+  health(): Promise<any>;
+}
+
+const pgBackend: StorageBackend = {
+  name: 'pg',
+  enabled: dbEnabled,
+  init: dbInit,
+  insertEvents: (evs, geo) => dbInsertEvents(evs, geo),
+  readStats: dbReadStats,
+  health: dbHealth
+};
+
+const fileBackend: StorageBackend = {
+  name: 'file',
+  enabled: () => true,
+  async init() {
+    fs.mkdirSync(path.join(CONFIG.LOG_DIR, 'json'), { recursive: true });
+  },
+  async insertEvents(evs, geo) {
+    const out: BatchInsertResult = { inserted: 0, failed: [] };
+    evs.forEach((ev, index) => {
+      try { appendJsonEvent(ev, geo); out.inserted++; }
+      catch (e: any) { out.failed.push({ index, error: String(e?.message || e) }); }
+    });
+    return out;
+  },
+  async readStats(windowDays, from, to) {
+    return readWindowStats(windowDays, from, to);
+  },
+  async health() {
+    const dir = path.join(CONFIG.LOG_DIR, 'json');
+    try {
+      fs.accessSync(dir, fs.constants.W_OK);
+      return { enabled: true, ok: true, backend: 'file', dir, days: listEventDays(dir).length };
+    } catch (e: any) {
+      log.error('[file] health error', { error: String(e?.message || e) });
+      return { enabled: true, ok: false, backend: 'file', dir, error: String(e?.message || e) };
+    }
+  }
+};
+
+// Whether feature modules should read and write PostgreSQL; otherwise they use their LOG_DIR files
+export function useDb(): boolean {
+  return CONFIG.STORAGE_BACKEND === 'pg' && dbEnabled();
+}
+
+export function getStorage(): StorageBackend {
+  return CONFIG.STORAGE_BACKEND === 'file' ? fileBackend : pgBackend;
+}
@@ -0,0 +1,246 @@
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { CONFIG } from './config.js';
+import { dbSubjectEvents, dbEraseSubject, dbAuditSubjectRequest } from './db.js';
+import { useDb } from './storage.js';
+import { storedIdsFor, pseudonymize } from './pseudonym.js';
+import { invalidateStats } from './statscache.js';
+import { withSpoolLock } from './spool.js';
+import { appendJsonLine } from './transform.js';
+import { log } from './logger.js';
+
+// Data-subject requests: export or erase every event for one client anon ID.
+// The client ID is expanded to every ID its events may be stored under (see storedIdsFor), then
+// matched in PostgreSQL and in the files under LOG_DIR, SPOOL_DIR and RETENTION_ARCHIVE_DIR:
+// JSONL events, spool segments, retention archives and the legacy text logs.
+// Each request is audited, keyed by the subject's current pseudonym rather than the raw ID.
+// Files are streamed line by line; erasure rewrites a file through a temporary copy.
+
+export interface SubjectEvent {
+  source: string;
+  t: string;
+  anon: string;
+  evt: string;
+  os: string | null;
+  ext: string | null;
+  vscode: string | null;
+  country: string | null;
+  region: string | null;
+  session_id: string | null;
+  m: any;
+}
+
+export interface SubjectRequest { actor?: string; reason?: string; }
+
+const AUDIT_DIR = 'audit';
+const CSV_COLS: Array<keyof SubjectEvent> = ['source', 't', 'anon', 'evt', 'os', 'ext', 'vscode', 'country', 'region', 'session_id', 'm'];
+
+// Directories whose files may hold raw events, without duplicates or the audit log
+function eventDirs(): string[] {
+  const dirs = [
+    CONFIG.LOG_DIR,
+    CONFIG.SPOOL_DIR || path.join(CONFIG.LOG_DIR, 'spool'),
+    CONFIG.RETENTION_ARCHIVE_DIR || path.join(CONFIG.LOG_DIR, 'archive')
+  ].map(d => path.resolve(d));
+  return dirs.filter((d, i) => !dirs.slice(0, i).some(p => d === p || d.startsWith(p + path.sep)));
+}
+
+function eventFiles(): string[] {
+  const out: string[] = [];
+  const audit = path.resolve(CONFIG.LOG_DIR, AUDIT_DIR);
+  const walk = (dir: string) => {
+    let entries: fs.Dirent[] = [];
+    try { entries = fs.readdirSync(dir, { withFileTypes: true }); } catch { return; }
+    for (const e of entries) {
+      const p = path.join(dir, e.name);
+      if (e.isDirectory()) { if (p !== audit) walk(p); }
+      else if (/\.(jsonl|log)$/.test(e.name)) out.push(p);
+    }
+  };
+  eventDirs().forEach(walk);
+  return out.sort();
+}
+
+function toIso(t: any): string {
+  if (t instanceof Date) return t.toISOString();
+  const n = typeof t === 'number' ? t : Date.parse(t);
+  return Number.isFinite(n) ? new Date(n < 1e12 ? n * 1000 : n).toISOString() : String(t);
+}
+
+function fromRecord(r: any, source: string): SubjectEvent {
+  return {
+    source,
+    t: toIso(r.t),
+    anon: r.anon,
+    evt: r.evt,
+    os: r.os ?? null,
+    ext: r.ext ?? null,
+    vscode: r.vscode ?? null,
+    country: r.country ?? null,
+    region: r.region ?? null,
+    session_id: r.session_id ?? r.sessionId ?? null,
+    m: r.m ?? null
+  };
+}
+
+// The event on one line of a file under LOG_DIR, if it belongs to one of `ids`.
+// Spool lines wrap the event as { ev, geo }; .log lines are `t anon evt ...`.
+function matchLine(file: string, line: string, ids: Set<string>): any | null {
+  if (!line || ![...ids].some(id => line.includes(id))) return null;
+  if (file.endsWith('.log')) {
+    const parts = line.split(' ');
+    return ids.has(parts[1]) ? { t: parts[0] + 'Z', anon: parts[1], evt: parts[2], os: parts[3], ext: parts[4], vscode: parts[5] } : null;
+  }
+  let rec: any;
+  try { rec = JSON.parse(line); } catch { return null; }
+  if (rec?.ev !== undefined && rec?.anon === undefined) {
+    return rec.ev && ids.has(rec.ev.anon) ? { ...rec.ev, country: rec.geo?.country, region: rec.geo?.region } : null;
+  }
+  return ids.has(rec?.anon) ? rec : null;
+}
+
+function isSpool(file: string) {
+  return /^spool-\d+\.jsonl$/.test(path.basename(file));
+}
+
+// Lines of a file, up to byte `end` (inclusive); nothing if the file is gone (a replayed spool segment)
+async function* fileLines(file: string, end?: number): AsyncGenerator<string> {
+  const input = fs.createReadStream(file, { encoding: 'utf8', end });
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  try {
+    for await (const line of lines) yield line;
+  } catch (e: any) {
+    if (e?.code !== 'ENOENT') throw e;
+  } finally {
+    lines.close();
+    input.destroy();
+  }
+}
+
+async function hasMatch(file: string, ids: Set<string>): Promise<boolean> {
+  for await (const line of fileLines(file)) if (matchLine(file, line, ids)) return true;
+  return false;
+}
+
+// Rewrite `file` without the subject's lines; returns how many were removed. The file is copied to a
+// temporary file and renamed over it. Lines appended while the copy ran (today's JSONL, the active
+// spool segment) are filtered and added in one synchronous step right before the rename, so none are lost.
+async function eraseInFile(file: string, ids: Set<string>): Promise<number> {
+  if (!(await hasMatch(file, ids))) return 0;
+  let size: number;
+  try { size = (await fs.promises.stat(file)).size; } catch (e: any) {
+    if (e?.code === 'ENOENT') return 0;
+    throw e;
+  }
+  if (!size) return 0;
+  let n = 0;
+  // Spool replay tracks progress by line number, so blank the record instead of removing the line
+  const blank = JSON.stringify({ ev: null, geo: null });
+  const keep = (line: string): string | null => {
+    if (!matchLine(file, line, ids)) return line;
+    n++;
+    return isSpool(file) ? blank : null;
+  };
+  const tmp = file + '.erase-tmp';
+  const out = await fs.promises.open(tmp, 'w');
+  try {
+    let buf: string[] = [];
+    for await (const line of fileLines(file, size - 1)) {
+      const k = keep(line);
+      if (k !== null) buf.push(k + '\n');
+      if (buf.length >= 1000) {
+        await out.write(buf.join(''));
+        buf = [];
+      }
+    }
+    if (buf.length) await out.write(buf.join(''));
+    await out.sync();
+  } catch (e) {
+    await out.close();
+    await fs.promises.rm(tmp, { force: true });
+    throw e;
+  }
+  await out.close();
+  let fd: number;
+  try { fd = fs.openSync(file, 'r'); } catch (e: any) {
+    fs.rmSync(tmp, { force: true });
+    if (e?.code === 'ENOENT') return 0;
+    throw e;
+  }
+  try {
+    const grown = fs.fstatSync(fd).size - size;
+    if (grown > 0) {
+      const b = Buffer.alloc(grown);
+      fs.readSync(fd, b, 0, grown, size);
+      const tail = b.toString('utf8').split('\n').filter(Boolean).map(keep).filter((l): l is string => l !== null);
+      if (tail.length) fs.appendFileSync(tmp, tail.join('\n') + '\n');
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tmp, file);
+  return n;
+}
+
+export async function exportSubject(anon: string, req: SubjectRequest = {}): Promise<{ subject: string; count: number; events: SubjectEvent[] }> {
+  const ids = storedIdsFor(anon);
+  const idSet = new Set(ids);
+  const events: SubjectEvent[] = [];
+  if (useDb()) {
+    for (const r of await dbSubjectEvents(ids)) events.push(fromRecord(r, 'telemetry_events'));
+  }
+  for (const file of eventFiles()) {
+    const source = path.relative(CONFIG.LOG_DIR, file);
+    for await (const line of fileLines(file)) {
+      const rec = matchLine(file, line, idSet);
+      if (rec) events.push(fromRecord(rec, source));
+    }
+  }
+  events.sort((a, b) => a.t.localeCompare(b.t));
+  const subject = pseudonymize(anon, Date.now());
+  await audit({ action: 'export', subject, ...req, result: { events: events.length } });
+  return { subject, count: events.length, events };
+}
+
+// Remove the subject's events everywhere. Aggregate rollups keep their counts: they hold no IDs.
+// Files go first: a spool segment is erased only while it is not being replayed, and whatever a
+// running replay inserted is then caught by the database erase.
+export async function eraseSubject(anon: string, req: SubjectRequest = {}): Promise<{ subject: string; db: { events: number; rollupDays: number }; files: Record<string, number> }> {
+  return eraseIds(storedIdsFor(anon), pseudonymize(anon, Date.now()), req);
+}
+
+// eraseSubject for IDs that were expanded earlier, audited as `subject` (a queued consent purge)
+export async function eraseIds(ids: string[], subject: string, req: SubjectRequest = {}): Promise<{ subject: string; db: { events: number; rollupDays: number }; files: Record<string, number> }> {
+  const idSet = new Set(ids);
+  const files: Record<string, number> = {};
+  for (const file of eventFiles()) {
+    const n = isSpool(file) ? await withSpoolLock(() => eraseInFile(file, idSet)) : await eraseInFile(file, idSet);
+    if (n) files[path.relative(CONFIG.LOG_DIR, file)] = n;
+  }
+  const db = useDb() ? await dbEraseSubject(ids) : { events: 0, rollupDays: 0 };
+  invalidateStats();
+  await audit({ action: 'erase', subject, ...req, result: { db, files } });
+  log.info('subject: erased', { subject, db, files: Object.keys(files).length });
+  return { subject, db, files };
+}
+
+async function audit(rec: { action: string; subject: string; actor?: string; reason?: string; result?: any }) {
+  if (useDb()) {
+    await dbAuditSubjectRequest(rec);
+  } else {
+    appendJsonLine(path.join(CONFIG.LOG_DIR, AUDIT_DIR), 'subject-requests.jsonl', { at: new Date().toISOString(), ...rec });
+  }
+}
+
+export function csvCell(v: any): string {
+  if (v === null || v === undefined) return '';
+  const s = typeof v === 'object' ? JSON.stringify(v) : String(v);
+  return /[",\n\r]/.test(s) ? '"' + s.replace(/"/g, '""') + '"' : s;
+}
+
+export function subjectCsv(events: SubjectEvent[]): string {
+  const rows = [CSV_COLS.join(',')];
+  for (const e of events) rows.push(CSV_COLS.map(c => csvCell(e[c])).join(','));
+  return rows.join('\n') + '\n';
+}
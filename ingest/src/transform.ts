@@ -21,11 +21,15 @@ export function appendLine(line: string) {
   fs.appendFileSync(file, line + '\n');
 }
 
+// Append one JSON record per line to dir/name, creating the directory on first use
+export function appendJsonLine(dir: string, name: string, obj: any) {
+  const file = path.join(dir, name);
+  fs.mkdirSync(dir, { recursive: true });
+  fs.appendFileSync(file, JSON.stringify(obj) + '\n');
+}
+
 export function appendJsonEvent(e: any, geo?: { country: string; region: string }) {
   const day = new Date().toISOString().slice(0, 10);
-  const dir = path.join(CONFIG.LOG_DIR, 'json');
-  const file = path.join(dir, `${day}.jsonl`);
-  fs.mkdirSync(dir, { recursive: true });
   const out = geo ? { ...e, country: geo.country, region: geo.region } : e;
-  fs.appendFileSync(file, JSON.stringify(out) + '\n');
-}
\ No newline at end of file
+  appendJsonLine(path.join(CONFIG.LOG_DIR, 'json'), `${day}.jsonl`, out);
+}
@@ -1,22 +1,33 @@
-const EVENTS = new Set([
-  'lifecycle.activate','lifecycle.deactivate','extension.upgraded',
-  'java.run.started','java.run.completed','java.run.error',
-  'feature.webview.open','feature.theme.change',
-  'feature.customCss.enable','feature.customCss.disable',
-  'settings.changed','error.unhandled','telemetry.optout','telemetry.optin',
-  'test.ping','install.created'
-]);
-
-export function validateEnvelope(body: any): body is { schema: string; sentAt: number; batch: any[] } {
-  return !!body && body.schema === 'jwc.v1' && Array.isArray(body.batch);
+import { isKnownEvent, checkMetrics } from './registry.js';
+
+// Machine-readable reasons an event is not stored; returned per batch index by POST /t
+export type RejectReason =
+  | 'bad_event'
+  | 'bad_timestamp'
+  | 'bad_anon'
+  | 'unknown_event'
+  | 'field_too_long'
+  | 'bad_metric'
+  | 'db_error'
+  | 'spool_full'
+  | 'opted_out';
+
+export interface Rejection { reason: RejectReason; field?: string; detail?: string; }
+
+export type NormalizeResult = { ok: true; ev: any } | ({ ok: false } & Rejection);
+
+function metricRejection(mc: { field: string; reason: string }): Rejection {
+  if (mc.reason === 'unknown_event') return { reason: 'unknown_event', field: 'evt' };
+  if (mc.reason === 'too_long') return { reason: 'field_too_long', field: `m.${mc.field}` };
+  return { reason: 'bad_metric', field: mc.field === 'm' ? 'm' : `m.${mc.field}`, detail: mc.reason };
 }
 
-export function normalizeEvent(e: any): any | null {
-  if (!e) return null;
+export function normalizeEvent(e: any): NormalizeResult {
+  if (!e || typeof e !== 'object') return { ok: false, reason: 'bad_event' };
   const out: any = { ...e };
   // Coerce timestamp to ms
   if (typeof out.t === 'string') out.t = Number(out.t);
-  if (typeof out.t !== 'number' || !isFinite(out.t)) return null;
+  if (typeof out.t !== 'number' || !isFinite(out.t)) return { ok: false, reason: 'bad_timestamp', field: 't' };
   if (out.t < 1e12) out.t = out.t * 1000; // seconds → ms
 
   // Defaults
@@ -25,18 +36,37 @@ export function normalizeEvent(e: any): any | null {
   if (typeof out.os !== 'string') out.os = 'unknown';
 
   // Basic checks
-  if (typeof out.anon !== 'string' || !/^[a-f0-9]{32}$/.test(out.anon)) return null;
-  if (typeof out.evt !== 'string' || !EVENTS.has(out.evt)) return null;
-  if (out.ext.length > 30 || out.vscode.length > 30 || out.os.length > 30) return null;
-  return out;
+  if (typeof out.anon !== 'string' || !/^[a-f0-9]{32}$/.test(out.anon)) return { ok: false, reason: 'bad_anon', field: 'anon' };
+  if (typeof out.evt !== 'string' || !isKnownEvent(out.evt)) return { ok: false, reason: 'unknown_event', field: 'evt' };
+  for (const k of ['ext', 'vscode', 'os']) {
+    if (out[k].length > 30) return { ok: false, reason: 'field_too_long', field: k };
+  }
+  if (out.sessionId === null) delete out.sessionId;
+  if (out.sessionId !== undefined) {
+    if (typeof out.sessionId !== 'string') return { ok: false, reason: 'bad_event', field: 'sessionId' };
+    if (out.sessionId.length > 64) return { ok: false, reason: 'field_too_long', field: 'sessionId' };
+  }
+
+  // Metrics payload per the event registry (coerces numeric/boolean strings)
+  const mc = checkMetrics(out.evt, out.m);
+  if (!mc.ok) return { ok: false, ...metricRejection(mc) };
+  out.m = mc.m;
+  return { ok: true, ev: out };
 }
 
-export function validateEvent(e: any): boolean {
-  if (!e || typeof e.t !== 'number') return false;
-  if (typeof e.anon !== 'string' || !/^[a-f0-9]{32}$/.test(e.anon)) return false;
-  if (typeof e.evt !== 'string' || !EVENTS.has(e.evt)) return false;
-  if (typeof e.ext !== 'string' || e.ext.length > 30) return false;
-  if (typeof e.vscode !== 'string' || e.vscode.length > 30) return false;
-  if (typeof e.os !== 'string' || e.os.length > 30) return false;
-  return true;
-}
\ No newline at end of file
+// Returns null when the (already normalized) event is valid, otherwise why it is not.
+export function validateEvent(e: any): Rejection | null {
+  if (!e || typeof e !== 'object') return { reason: 'bad_event' };
+  if (typeof e.t !== 'number') return { reason: 'bad_timestamp', field: 't' };
+  if (typeof e.anon !== 'string' || !/^[a-f0-9]{32}$/.test(e.anon)) return { reason: 'bad_anon', field: 'anon' };
+  if (typeof e.evt !== 'string' || !isKnownEvent(e.evt)) return { reason: 'unknown_event', field: 'evt' };
+  for (const k of ['ext', 'vscode', 'os']) {
+    if (typeof e[k] !== 'string') return { reason: 'bad_event', field: k };
+    if (e[k].length > 30) return { reason: 'field_too_long', field: k };
+  }
+  if (e.sessionId !== undefined && (typeof e.sessionId !== 'string' || e.sessionId.length > 64)) {
+    return { reason: typeof e.sessionId === 'string' ? 'field_too_long' : 'bad_event', field: 'sessionId' };
+  }
+  const mc = checkMetrics(e.evt, e.m);
+  return mc.ok ? null : metricRejection(mc);
+}
@@ -0,0 +1,114 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { tmp, writeEvents, clearEvents } from './env.mjs';
+import { CONFIG } from '../dist/config.js';
+import { loadAlertRules, evaluateAlerts, alertStatus } from '../dist/alerts.js';
+
+const MIN = 60000;
+const now = Date.UTC(2026, 0, 5, 12);
+const rulesFile = path.join(tmp, 'alert-rules.json');
+const stateFile = path.join(tmp, 'alert-state.json');
+
+// Two webhook receivers; `failing` ones answer 500
+const received = [];
+const failing = new Set();
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', c => (body += c));
+  req.on('end', () => {
+    received.push({ path: req.url, ...JSON.parse(body) });
+    res.writeHead(failing.has(req.url) ? 500 : 200).end();
+  });
+});
+let hookA, hookB;
+
+const rules = list => fs.writeFileSync(rulesFile, JSON.stringify(list));
+const events = n => writeEvents(Array.from({ length: n }, (_, i) => ({ t: now - 10 * MIN + i, anon: 'a'.repeat(32), evt: 'java.run.started', os: 'linux', ext: '1.0', vscode: '1.90' })));
+const sent = () => received.splice(0).map(r => [r.path, r.status, r.alert.id]);
+const state = id => JSON.parse(fs.readFileSync(stateFile, 'utf8')).find(s => s.ruleId === id);
+
+before(async () => {
+  await new Promise(r => server.listen(0, '127.0.0.1', r));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  hookA = `${base}/a/secret-a`;
+  hookB = `${base}/b/secret-b`;
+});
+after(() => server.close());
+beforeEach(() => {
+  clearEvents();
+  failing.clear();
+  received.length = 0;
+  CONFIG.ALERT_WEBHOOK_URLS = [];
+});
+
+test('invalid rules are skipped with a reason', () => {
+  rules([
+    { id: 'ok', metric: 'events', op: '<', threshold: 1, webhooks: ['https://hooks.example.com/x'] },
+    { id: 'bad-url', metric: 'events', op: '<', threshold: 1, webhooks: ['http://'] },
+    { id: 'ftp', metric: 'events', op: '<', threshold: 1, webhooks: ['ftp://example.com/x'] },
+    { id: 'ok', metric: 'events', op: '<', threshold: 1 },
+    { id: 'metric', metric: 'cpu', op: '<', threshold: 1 },
+    { id: 'window', metric: 'events', op: '<', threshold: 1, window: '1w' }
+  ]);
+  const { rules: ok, errors } = loadAlertRules();
+  assert.deepEqual(ok.map(r => r.id), ['ok']);
+  assert.deepEqual(errors, [
+    'rule 1 (bad-url): webhooks must be http(s) URLs',
+    'rule 2 (ftp): webhooks must be http(s) URLs',
+    'rule 3 (ok): duplicate id ok',
+    'rule 4 (metric): metric must be one of runtime_error_rate, compile_error_rate, success_rate, ctrl_c_rate, events, events_change, db_healthy, spool_bytes',
+    'rule 5 (window): window must look like 30m, 1h or 1d'
+  ]);
+});
+
+test('a rule fires after `for`, is delivered once per webhook, and resolves', async () => {
+  rules([{ id: 'busy', metric: 'events', op: '>', threshold: 2, for: '10m', webhooks: [hookA, hookB] }]);
+  events(3);
+  await evaluateAlerts(now);
+  assert.equal(state('busy').state, 'pending');
+  assert.deepEqual(sent(), []);
+  // B is down: A is told, B is retried on the next evaluation, and A is not told twice
+  failing.add('/b/secret-b');
+  await evaluateAlerts(now + 10 * MIN);
+  assert.deepEqual(sent(), [['/a/secret-a', 'firing', 'busy'], ['/b/secret-b', 'firing', 'busy']]);
+  assert.equal(state('busy').notified, null);
+  failing.clear();
+  await evaluateAlerts(now + 11 * MIN);
+  assert.deepEqual(sent(), [['/b/secret-b', 'firing', 'busy']]);
+  assert.equal(state('busy').notified, 'firing');
+  await evaluateAlerts(now + 12 * MIN);
+  assert.deepEqual(sent(), []);
+  clearEvents();
+  await evaluateAlerts(now + 13 * MIN);
+  assert.deepEqual(sent(), [['/a/secret-a', 'resolved', 'busy'], ['/b/secret-b', 'resolved', 'busy']]);
+  assert.deepEqual(state('busy'), { ...state('busy'), state: 'ok', notified: 'resolved', delivering: null, rule: null });
+});
+
+test('webhook URLs are not stored or shown', async () => {
+  rules([{ id: 'quiet', metric: 'events', op: '<', threshold: 1, webhooks: [hookA] }]);
+  await evaluateAlerts(now);
+  assert.deepEqual(sent(), [['/a/secret-a', 'firing', 'quiet']]);
+  assert.ok(!fs.readFileSync(stateFile, 'utf8').includes('secret-a'));
+  assert.equal(state('quiet').rule.webhookKeys.length, 1);
+  const status = await alertStatus();
+  assert.deepEqual(status.alerts.map(a => [a.id, a.state, a.webhooks]), [['quiet', 'firing', [new URL(hookA).host]]]);
+  assert.ok(!JSON.stringify(status).includes('secret-a'));
+});
+
+test('a removed firing rule is resolved at the webhooks still configured', async () => {
+  rules([{ id: 'gone', metric: 'events', op: '<', threshold: 1, webhooks: [hookA, hookB] }]);
+  await evaluateAlerts(now);
+  // 'quiet' from the last test is resolved here too, being removed
+  assert.deepEqual(sent(), [['/a/secret-a', 'firing', 'gone'], ['/b/secret-b', 'firing', 'gone'], ['/a/secret-a', 'resolved', 'quiet']]);
+  // B is only known from the stored hash now, so it cannot be told
+  CONFIG.ALERT_WEBHOOK_URLS = [hookA];
+  rules([]);
+  await evaluateAlerts(now + MIN);
+  const [resolved, ...rest] = received.splice(0);
+  assert.deepEqual(rest, []);
+  assert.deepEqual([resolved.path, resolved.status, resolved.removed, resolved.text], ['/a/secret-a', 'resolved', true, '[RESOLVED] gone: rule removed']);
+  assert.equal(state('gone'), undefined);
+});
@@ -0,0 +1,73 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import Fastify from 'fastify';
+import { tmp } from './env.mjs';
+import { CONFIG } from '../dist/config.js';
+import { createApiKey, listApiKeys, revokeApiKey, registerAuth } from '../dist/auth.js';
+
+const app = Fastify();
+registerAuth(app);
+app.get('/health', { config: { scope: 'public' } }, async () => ({ ok: true }));
+app.post('/t', { config: { scope: 'ingest' } }, async () => ({ ok: true }));
+app.get('/stats', { config: { scope: 'read-stats' } }, async () => ({ ok: true }));
+app.get('/debug/recent', { config: { scope: 'read-raw' } }, async () => ({ ok: true }));
+app.get('/debug/env', async () => ({ ok: true }));
+
+const get = (url, key, header = 'authorization') =>
+  app.inject({ method: 'GET', url, headers: key ? { [header]: header === 'authorization' ? `Bearer ${key}` : key } : {} }).then(r => r.statusCode);
+
+let stats, admin;
+before(async () => {
+  stats = (await createApiKey('ta', ['read-stats'], null)).key;
+  admin = (await createApiKey('ops', ['admin'], null)).key;
+});
+after(() => app.close());
+
+test('routes need a key with their scope; admin has every scope', async () => {
+  assert.equal(await get('/health'), 200);
+  assert.equal(await get('/stats'), 401);
+  assert.equal(await get('/stats', stats), 200);
+  assert.equal(await get('/stats', stats, 'x-api-key'), 200);
+  assert.equal(await get('/debug/recent', stats), 403);
+  assert.equal(await get('/debug/env', stats), 403);
+  assert.equal(await get('/debug/recent', admin), 200);
+  assert.equal(await get('/debug/env', admin), 200);
+  // The old ?key= query parameter is not accepted
+  assert.equal(await get(`/stats?key=${stats}`), 401);
+});
+
+test('ingest and stats can be opened up by config', async () => {
+  assert.equal((await app.inject({ method: 'POST', url: '/t' })).statusCode, 200);
+  CONFIG.INGEST_REQUIRE_KEY = true;
+  CONFIG.STATS_PUBLIC = true;
+  try {
+    assert.equal((await app.inject({ method: 'POST', url: '/t' })).statusCode, 401);
+    assert.equal(await get('/stats'), 200);
+    assert.equal(await get('/debug/recent'), 401);
+  } finally {
+    CONFIG.INGEST_REQUIRE_KEY = false;
+    CONFIG.STATS_PUBLIC = false;
+  }
+});
+
+test('a wrong secret, a revoked key and an expired key are refused', async () => {
+  assert.equal(await get('/stats', stats.slice(0, -1) + (stats.endsWith('A') ? 'B' : 'A')), 401);
+  const { key, apiKey } = await createApiKey('leaver', ['read-stats'], null);
+  assert.equal(await get('/stats', key), 200);
+  assert.equal(await revokeApiKey(apiKey.id), true);
+  assert.equal(await revokeApiKey(apiKey.id), false);
+  assert.equal(await get('/stats', key), 401);
+  const expired = (await createApiKey('old', ['read-stats'], new Date(Date.now() - 1000))).key;
+  assert.equal(await get('/stats', expired), 401);
+});
+
+test('only hashes of the keys are stored', async () => {
+  await assert.rejects(createApiKey('bad', ['write'], null), /scopes must be some of/);
+  const file = fs.readFileSync(path.join(tmp, 'api-keys.json'), 'utf8');
+  assert.ok(!file.includes(stats) && !file.includes(admin));
+  const listed = await listApiKeys();
+  assert.deepEqual(listed.map(k => k.name), ['ta', 'ops', 'leaver', 'old']);
+  assert.ok(listed.every(k => !('hash' in k)));
+});
@@ -0,0 +1,50 @@
+import { test, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { db, reset } from './pglite.mjs';
+import { dbInit, dbInsertEvents } from '../dist/db.js';
+
+const anon = 'a'.repeat(32);
+const ev = (m = {}) => ({ t: Date.now(), anon, evt: 'java.run.completed', os: 'linux', ext: '1.0.0', vscode: '1.90.0', m });
+// exit_code is an integer column, so this row fails on insert
+const bad = ev({ exit: 1e20 });
+
+async function stored() {
+  return (await db.query('select exit_code from telemetry_events order by id')).rows.map(r => r.exit_code);
+}
+
+before(() => dbInit());
+beforeEach(() => reset());
+
+test('best-effort inserts the good rows and reports the failed ones by index', async () => {
+  const res = await dbInsertEvents([ev({ exit: 0 }), bad, ev({ exit: 130 })], undefined, 'best-effort');
+  assert.equal(res.inserted, 2);
+  assert.deepEqual(res.failed.map(f => f.index), [1]);
+  assert.match(res.failed[0].error, /out of range/);
+  assert.deepEqual(await stored(), [0, 130]);
+});
+
+test('best-effort keeps the rest of a failed chunk and the chunks after it', async () => {
+  // 1000 rows per multi-row insert: the first chunk falls back to single rows, the second goes in whole
+  const evs = Array.from({ length: 1500 }, (_, i) => (i === 10 ? bad : ev({ exit: 0 })));
+  const res = await dbInsertEvents(evs, undefined, 'best-effort');
+  assert.equal(res.inserted, 1499);
+  assert.deepEqual(res.failed.map(f => f.index), [10]);
+  assert.equal((await stored()).length, 1499);
+});
+
+test('atomic rolls back the whole batch and rethrows', async () => {
+  await assert.rejects(dbInsertEvents([ev({ exit: 0 }), bad], undefined, 'atomic'), /out of range/);
+  assert.deepEqual(await stored(), []);
+  const res = await dbInsertEvents([ev({ exit: 0 }), ev({ exit: 1 })], undefined, 'atomic');
+  assert.deepEqual(res, { inserted: 2, failed: [] });
+});
+
+test('geo and metrics land in their columns', async () => {
+  await dbInsertEvents([{ ...ev({ exit: 0, durationMs: 1200, phase: 'x' }), sessionId: 's1' }], { country: 'DE', region: 'BE' });
+  const { rows } = await db.query('select country, region, duration_ms, session_id, error_phase, m from telemetry_events');
+  assert.equal(rows.length, 1);
+  assert.deepEqual({ ...rows[0], duration_ms: Number(rows[0].duration_ms) }, {
+    country: 'DE', region: 'BE', duration_ms: 1200, session_id: 's1', error_phase: 'x',
+    m: { exit: 0, durationMs: 1200, phase: 'x' }
+  });
+});
@@ -0,0 +1,51 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { writeEvents, clearEvents } from './env.mjs';
+import { compareVersions } from '../dist/compare.js';
+
+const DAY = 86400000, MIN = 60000;
+const day0 = Date.UTC(2026, 0, 5);
+const ev = (anon, t, evt, m, extra) => ({ t, anon: anon.repeat(32), evt, os: 'linux', ext: '1.0', vscode: '1.90', ...(m && { m }), ...extra });
+
+beforeEach(() => clearEvents());
+
+test('compareVersions tests rates and durations between two versions', async () => {
+  const evs = [];
+  for (let i = 0; i < 40; i++) {
+    const t = day0 + i * MIN;
+    evs.push(ev('a', t, 'java.run.started', undefined, { ext: '1.0' }));
+    evs.push(ev('a', t, 'java.run.completed', { exit: i < 36 ? 0 : 1, durationMs: (i + 1) * 10 }, { ext: '1.0' }));
+    evs.push(ev(i % 2 ? 'b' : 'c', t, 'java.run.started', undefined, { ext: '2.0' }));
+    evs.push(ev(i % 2 ? 'b' : 'c', t, 'java.run.completed', { exit: i < 20 ? 0 : 130, durationMs: (i + 41) * 10 }, { ext: '2.0' }));
+  }
+  evs.push(ev('c', day0, 'java.run.error', { phase: 'compile', exceptionHash: 'h1' }, { ext: '2.0' }));
+  writeEvents(evs);
+  const res = await compareVersions('1.0', '2.0', new Date(day0), new Date(day0 + DAY));
+  assert.equal(res.a.students, 1);
+  assert.equal(res.b.students, 2);
+  assert.deepEqual(res.a.durations, { count: 40, p50: 205, p90: 361, p99: 396 });
+  assert.deepEqual(res.b.rates, { successRate: 0.5, ctrlCRate: 0.5, compileErrorRate: 0.025, runtimeErrorRate: 0 });
+  const byMetric = Object.fromEntries(res.tests.map(t => [t.metric, t]));
+  // Pooled z: (0.5 - 0.9) / sqrt(0.7 · 0.3 · (1/40 + 1/40))
+  assert.equal(byMetric.successRate.z, -3.904);
+  assert.equal(byMetric.successRate.significant, true);
+  assert.equal(byMetric.successRate.direction, 'worse');
+  // Every 2.0 run is longer than every 1.0 run: U = 40 · 40, z = 800 / sqrt(40 · 40 · 81 / 12)
+  assert.equal(byMetric.durationMs.z, 7.698);
+  assert.equal(byMetric.durationMs.direction, null);
+  // One compile error in 40 starts against none is not enough
+  assert.equal(byMetric.compileErrorRate.significant, false);
+  assert.deepEqual(res.exceptions.map(e => [e.hash, e.a, e.b]), [['h1', 0, 0.025]]);
+});
+
+test('compareVersions flags nothing below MIN_TRIALS', async () => {
+  writeEvents([
+    ...Array.from({ length: 10 }, (_, i) => ev('a', day0 + i, 'java.run.completed', { exit: 0 }, { ext: '1.0' })),
+    ...Array.from({ length: 10 }, (_, i) => ev('b', day0 + i, 'java.run.completed', { exit: 1 }, { ext: '2.0' }))
+  ]);
+  const res = await compareVersions('1.0', '2.0', new Date(day0), new Date(day0 + DAY));
+  const success = res.tests.find(t => t.metric === 'successRate');
+  assert.ok(success.p < 0.05);
+  assert.equal(success.significant, false);
+  assert.equal(success.direction, null);
+});
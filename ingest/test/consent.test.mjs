@@ -0,0 +1,83 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { tmp, writeEvents, clearEvents } from './env.mjs';
+import { CONFIG } from '../dist/config.js';
+import { initPseudonyms, pseudonymize, storedIdsFor } from '../dist/pseudonym.js';
+import { applyConsent, optedOutSubjects, consentCounts } from '../dist/consent.js';
+import { enqueuePurges } from '../dist/purge.js';
+import { exportSubject } from '../dist/subjects.js';
+
+const day0 = Date.UTC(2026, 0, 5);
+const ev = (anon, t, evt) => ({ t, anon: anon.repeat(32), evt });
+const jobsFile = path.join(tmp, 'purge-jobs.json');
+const jobs = () => JSON.parse(fs.readFileSync(jobsFile, 'utf8'));
+
+// enqueuePurges starts the worker without waiting for it
+async function purged() {
+  for (let i = 0; i < 100 && jobs().length; i++) await new Promise(r => setTimeout(r, 20));
+  assert.deepEqual(jobs(), []);
+}
+
+initPseudonyms();
+
+beforeEach(() => {
+  CONFIG.CONSENT_PURGE_ON_OPTOUT = false;
+  clearEvents();
+});
+
+test('events are dropped from an opt-out until the next opt-in', async () => {
+  const res = await applyConsent([
+    ev('a', day0, 'java.run.started'),
+    ev('a', day0 + 1, 'telemetry.optout'),
+    ev('a', day0 + 2, 'java.run.started'),
+    ev('b', day0 + 2, 'java.run.started')
+  ]);
+  assert.deepEqual(res.keep, [true, true, false, true]);
+  assert.deepEqual(res.optedOut, ['a'.repeat(32)]);
+  assert.equal(res.unresolved, null);
+  // The state outlives the batch; an older opt-in does not undo a newer opt-out
+  assert.deepEqual((await applyConsent([ev('a', day0, 'telemetry.optin'), ev('a', day0 + 3, 'lifecycle.activate')])).keep, [true, false]);
+  const back = await applyConsent([ev('a', day0 + 4, 'telemetry.optin'), ev('a', day0 + 5, 'lifecycle.activate')]);
+  assert.deepEqual(back.keep, [true, true]);
+  assert.deepEqual(back.optedOut, []);
+  assert.deepEqual(await consentCounts(new Date(day0), new Date(day0 + 86400000)), { optedOut: 0, optedIn: 1, optOutsWindow: 0, optInsWindow: 1 });
+});
+
+test('consent is kept by a year-independent ID, not the event pseudonym', async () => {
+  await applyConsent([ev('c', day0, 'telemetry.optout')]);
+  const lines = fs.readFileSync(path.join(tmp, 'consent.jsonl'), 'utf8');
+  assert.ok(!lines.includes('c'.repeat(32)));
+  assert.ok(!storedIdsFor('c'.repeat(32)).some(id => lines.includes(id)));
+  const subject = JSON.parse(lines.trim().split('\n').pop()).subject;
+  assert.deepEqual([...await optedOutSubjects([subject])], [subject]);
+  // Next year's events are dropped too
+  assert.deepEqual((await applyConsent([ev('c', Date.UTC(2027, 0, 1), 'java.run.started')])).keep, [false]);
+});
+
+test('with CONSENT_PURGE_ON_OPTOUT the batch before the opt-out is dropped and history is erased', async () => {
+  CONFIG.CONSENT_PURGE_ON_OPTOUT = true;
+  const anon = 'd'.repeat(32);
+  const stored = (t, evt) => ({ t, anon: pseudonymize(anon, t), evt, os: 'linux', ext: '1.0', vscode: '1.90' });
+  writeEvents([stored(day0 - 40 * 86400000, 'install.created'), stored(day0, 'java.run.started'), { ...stored(day0, 'java.run.started'), anon: 'e'.repeat(32) }]);
+  const res = await applyConsent([ev('d', day0 + 1, 'java.run.started'), ev('d', day0 + 2, 'telemetry.optout')]);
+  assert.deepEqual(res.keep, [false, true]);
+  await enqueuePurges(res.optedOut);
+  await purged();
+  assert.equal((await exportSubject(anon)).count, 0);
+  assert.equal((await exportSubject('e'.repeat(32))).count, 1);
+});
+
+test('a saved purge job holds only the current pseudonym', async () => {
+  CONFIG.CONSENT_PURGE_ON_OPTOUT = true;
+  const anon = 'f'.repeat(32);
+  await enqueuePurges([anon]);
+  // Read before the worker's first erasure finishes
+  const saved = fs.readFileSync(jobsFile, 'utf8');
+  assert.deepEqual(JSON.parse(saved).map(j => j.subject), [pseudonymize(anon, Date.now())]);
+  const others = storedIdsFor(anon).filter(id => id !== pseudonymize(anon, Date.now()));
+  assert.ok(others.length > 1);
+  assert.ok(!others.some(id => saved.includes(id)), saved);
+  await purged();
+});
@@ -0,0 +1,28 @@
+// Test setup shared by every file: the file backend over a throwaway LOG_DIR, and quiet logs.
+// Import it before anything from dist, because CONFIG reads the environment when it is first loaded.
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+export const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'jwc-test-'));
+
+process.env.LOG_DIR = tmp;
+process.env.LOG_FILE = path.join(tmp, 'ingest.log');
+process.env.LOG_LEVEL = 'error';
+process.env.YEARLY_SALT = 'test-salt';
+process.env.STORAGE_BACKEND = 'file';
+
+process.on('exit', () => fs.rmSync(tmp, { recursive: true, force: true }));
+
+// One JSONL day file per UTC day, as appendJsonEvent writes them
+export function writeEvents(evs) {
+  const dir = path.join(tmp, 'json');
+  fs.mkdirSync(dir, { recursive: true });
+  for (const e of evs) {
+    fs.appendFileSync(path.join(dir, new Date(e.t).toISOString().slice(0, 10) + '.jsonl'), JSON.stringify(e) + '\n');
+  }
+}
+
+export function clearEvents() {
+  fs.rmSync(path.join(tmp, 'json'), { recursive: true, force: true });
+}
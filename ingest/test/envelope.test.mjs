@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readEnvelope, SUPPORTED_SCHEMAS } from '../dist/envelope.js';
+
+test('unknown or missing schemas are refused', () => {
+  assert.deepEqual(SUPPORTED_SCHEMAS, ['jwc.v1', 'jwc.v2']);
+  assert.deepEqual(readEnvelope({ schema: 'jwc.v9', batch: [] }), { ok: false, error: 'schema_unsupported', got: 'jwc.v9' });
+  assert.deepEqual(readEnvelope({ batch: [] }), { ok: false, error: 'schema_unsupported', got: undefined });
+  assert.deepEqual(readEnvelope(null), { ok: false, error: 'schema_unsupported', got: undefined });
+});
+
+test('the schema name is matched case-insensitively', () => {
+  const res = readEnvelope({ schema: ' JWC.V2 ', batch: [] });
+  assert.deepEqual(res, { ok: true, schema: 'jwc.v2', events: [] });
+});
+
+test('v1 takes a batch or a single event and lifts sessionId out of m', () => {
+  assert.deepEqual(readEnvelope({ schema: 'jwc.v1', batch: {} }), { ok: false, error: 'batch_not_array', got: 'jwc.v1' });
+  const single = readEnvelope({ schema: 'jwc.v1', t: 1, evt: 'a', m: { sessionId: 7, exit: 0 } });
+  assert.deepEqual(single.events, [{ t: 1, evt: 'a', sessionId: '7', m: { exit: 0 } }]);
+  const { events } = readEnvelope({
+    schema: 'jwc.v1',
+    batch: [
+      { t: 1, evt: 'a', sessionId: 's', m: { sessionId: 'other' } },
+      { t: 2, evt: 'b', m: { sessionId: { nested: true } } },
+      'junk'
+    ]
+  });
+  // An explicit sessionId wins; a non-scalar one in m is dropped; non-objects pass through for validation
+  assert.deepEqual(events, [{ t: 1, evt: 'a', sessionId: 's', m: {} }, { t: 2, evt: 'b', m: {} }, 'junk']);
+});
+
+test('v2 fills envelope fields into each event unless the event overrides them', () => {
+  const res = readEnvelope({
+    schema: 'jwc.v2', anon: 'x', os: 'linux', ext: '1.0', vscode: '1.9', sessionId: 's',
+    batch: [{ t: 1, evt: 'a' }, { t: 2, evt: 'b', os: 'win', sessionId: 't', m: { exit: 0 } }]
+  });
+  assert.deepEqual(res.events, [
+    { t: 1, evt: 'a', anon: 'x', os: 'linux', ext: '1.0', vscode: '1.9', sessionId: 's', m: undefined },
+    { t: 2, evt: 'b', anon: 'x', os: 'win', ext: '1.0', vscode: '1.9', sessionId: 't', m: { exit: 0 } }
+  ]);
+  assert.deepEqual(readEnvelope({ schema: 'jwc.v2' }), { ok: false, error: 'batch_not_array', got: 'jwc.v2' });
+  assert.deepEqual(readEnvelope({ schema: 'jwc.v2', batch: [], os: 3 }), { ok: false, error: 'bad_os', got: 'jwc.v2' });
+});
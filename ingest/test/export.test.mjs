@@ -0,0 +1,82 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { parquetReadObjects } from 'hyparquet';
+import { writeEvents } from './env.mjs';
+import { parseExportFormat, parseEventExport, eventExport, statsExport, encodeExport } from '../dist/dataexport.js';
+
+const day0 = Date.UTC(2026, 0, 5);
+const range = { from: new Date(day0), to: new Date(day0 + 86400000) };
+const anon = 'a'.repeat(32);
+
+async function collect(format, src) {
+  const chunks = [];
+  for await (const c of encodeExport(format, src)) chunks.push(typeof c === 'string' ? Buffer.from(c) : c);
+  return Buffer.concat(chunks);
+}
+
+function events(filters = {}) {
+  const q = parseEventExport(filters, range);
+  assert.ok(!('error' in q));
+  return eventExport(q);
+}
+
+before(() => writeEvents([
+  { t: day0 + 2000, anon, evt: 'java.run.completed', os: 'linux', ext: '1.0', vscode: '1.90', country: 'DE', region: 'BE', sessionId: 's1', m: { exit: 0, durationMs: 1200, scannerUsage: true, note: 'a, "b"' } },
+  { t: day0 + 1000, anon, evt: 'java.run.error', os: 'linux', ext: '1.0', vscode: '1.90', country: 'DE', region: 'BE', m: { phase: 'compile', exceptionHash: 'h1' } },
+  { t: day0 - 1000, anon, evt: 'java.run.started', os: 'linux', ext: '1.0', vscode: '1.90' }
+]));
+
+test('formats and filters are parsed from the query string', () => {
+  assert.equal(parseExportFormat(undefined), 'csv');
+  assert.equal(parseExportFormat('parquet'), 'parquet');
+  assert.equal(parseExportFormat('xlsx'), null);
+  assert.deepEqual(parseEventExport({ evt: 'a, b,', exit_code: '0,130' }, range), { ...range, filters: { evt: ['a', 'b'], exit_code: ['0', '130'] } });
+  assert.deepEqual(parseEventExport({ exit_code: '0,ok' }, range), { error: 'bad_exit_code' });
+});
+
+test('csv has a header, quotes what needs it and orders events by time', async () => {
+  const lines = (await collect('csv', events())).toString().trim().split('\n');
+  assert.equal(lines[0], 't,anon,evt,os,ext,vscode,country,region,session_id,duration_ms,wait_ms_total,exit_code,out_bytes_bucket,scanner_usage,truncated_output,error_phase,exception_hash,m');
+  assert.equal(lines.length, 3);
+  assert.equal(lines[1], `2026-01-05T00:00:01.000Z,${anon},java.run.error,linux,1.0,1.90,DE,BE,,,,,,,,compile,h1,"{""phase"":""compile"",""exceptionHash"":""h1""}"`);
+  assert.equal(lines[2], `2026-01-05T00:00:02.000Z,${anon},java.run.completed,linux,1.0,1.90,DE,BE,s1,1200,,0,,true,,,,"{""exit"":0,""durationMs"":1200,""scannerUsage"":true,""note"":""a, \\""b\\""""}"`);
+});
+
+test('csv of an empty export is the header alone', async () => {
+  const out = (await collect('csv', events({ evt: 'install.created' }))).toString();
+  assert.equal(out.split('\n').length, 2);
+  assert.ok(out.startsWith('t,anon,evt,'));
+});
+
+test('ndjson keeps column types and parses m', async () => {
+  const rows = (await collect('ndjson', events({ evt: 'java.run.completed' }))).toString().trim().split('\n').map(l => JSON.parse(l));
+  assert.equal(rows.length, 1);
+  assert.deepEqual(rows[0], {
+    t: '2026-01-05T00:00:02.000Z', anon, evt: 'java.run.completed', os: 'linux', ext: '1.0', vscode: '1.90', country: 'DE', region: 'BE',
+    session_id: 's1', duration_ms: 1200, wait_ms_total: null, exit_code: 0, out_bytes_bucket: null, scanner_usage: true,
+    truncated_output: null, error_phase: null, exception_hash: null, m: { exit: 0, durationMs: 1200, scannerUsage: true, note: 'a, "b"' }
+  });
+});
+
+test('parquet reads back with the same rows', async () => {
+  const buf = await collect('parquet', events());
+  assert.equal(buf.subarray(0, 4).toString(), 'PAR1');
+  assert.equal(buf.subarray(-4).toString(), 'PAR1');
+  const file = buf.buffer.slice(buf.byteOffset, buf.byteOffset + buf.byteLength);
+  const rows = await parquetReadObjects({ file });
+  assert.deepEqual(rows.map(r => [r.evt, Number(r.t), r.duration_ms, r.exit_code, r.scanner_usage, r.error_phase]), [
+    ['java.run.error', day0 + 1000, null, null, null, 'compile'],
+    ['java.run.completed', day0 + 2000, 1200n, 0n, true, null]
+  ]);
+});
+
+test('stats tables flatten to rows', async () => {
+  const stats = {
+    tables: { eventsTop: [{ key: 'java.run.started', count: 3, pct: 0.75 }, { key: 'x,y', count: 1, pct: 0.25 }] },
+    daily: { dates: ['2026-01-05', '2026-01-06'], hits: [3, 1], uniques: [2, 1] },
+    dailyOs: { labels: ['2026-01-05'], series: [{ key: 'linux', data: [3] }, { key: 'win32', data: [0] }] }
+  };
+  assert.equal((await collect('csv', statsExport('eventsTop', stats))).toString(), 'key,count,pct\njava.run.started,3,0.75\n"x,y",1,0.25\n');
+  assert.equal((await collect('csv', statsExport('daily', stats))).toString(), 'date,hits,uniques\n2026-01-05,3,2\n2026-01-06,1,1\n');
+  assert.equal((await collect('ndjson', statsExport('dailyOs', stats))).toString(), '{"date":"2026-01-05","os":"linux","hits":3}\n{"date":"2026-01-05","os":"win32","hits":0}\n');
+});
@@ -0,0 +1,48 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { writeEvents, clearEvents } from './env.mjs';
+import { funnel, parseStep, parseWindow } from '../dist/funnel.js';
+
+const DAY = 86400000, MIN = 60000;
+const day0 = Date.UTC(2026, 0, 5);
+const ev = (anon, t, evt, m, extra) => ({ t, anon: anon.repeat(32), evt, os: 'linux', ext: '1.0', vscode: '1.90', ...(m && { m }), ...extra });
+
+beforeEach(() => clearEvents());
+
+test('funnel steps and windows parse', () => {
+  assert.deepEqual(parseStep('java.run.completed:exit=0'), { evt: 'java.run.completed', exit: 0 });
+  assert.deepEqual(parseStep('java.run.error:phase=compile'), { evt: 'java.run.error', phase: 'compile' });
+  assert.equal(parseStep('java.run.completed:exit=zero'), null);
+  assert.equal(parseStep('a b'), null);
+  assert.deepEqual(['7d', '24h', '30m', '1500'].map(parseWindow), [7 * DAY, DAY, 30 * MIN, 1500]);
+  assert.ok(isNaN(parseWindow('1w')));
+});
+
+test('funnel counts students through ordered steps within the window', async () => {
+  const t0 = day0 + 9 * 3600000;
+  writeEvents([
+    // a: all three steps
+    ev('a', t0, 'install.created'), ev('a', t0 + 10 * MIN, 'java.run.started'), ev('a', t0 + 20 * MIN, 'java.run.completed', { exit: 0 }),
+    // b: the run fails
+    ev('b', t0, 'install.created'), ev('b', t0 + 30 * MIN, 'java.run.started'), ev('b', t0 + 40 * MIN, 'java.run.completed', { exit: 1 }),
+    // c: runs after the window has closed
+    ev('c', t0, 'install.created'), ev('c', t0 + 2 * 60 * MIN, 'java.run.started'),
+    // d: never enters the funnel
+    ev('d', t0, 'java.run.started'),
+    // e: completes before it starts, so only the first two steps count
+    ev('e', t0, 'install.created'), ev('e', t0 + 5 * MIN, 'java.run.completed', { exit: 0 }), ev('e', t0 + 10 * MIN, 'java.run.started'),
+    // f: another OS
+    ev('f', t0, 'install.created', undefined, { os: 'win32' })
+  ]);
+  const steps = ['install.created', 'java.run.started', 'java.run.completed:exit=0'].map(parseStep);
+  const res = await funnel({ steps, from: new Date(day0), to: new Date(day0 + DAY), windowMs: 60 * MIN, os: 'linux' });
+  assert.deepEqual(res, {
+    steps: [
+      { step: 'install.created', students: 4, rate: 1, stepRate: 1, dropOff: 0, medianMsFromPrevious: null },
+      { step: 'java.run.started', students: 3, rate: 0.75, stepRate: 0.75, dropOff: 1, medianMsFromPrevious: 10 * MIN },
+      { step: 'java.run.completed:exit=0', students: 1, rate: 0.25, stepRate: 0.3333, dropOff: 2, medianMsFromPrevious: 10 * MIN }
+    ],
+    converted: 1,
+    conversionRate: 0.25
+  });
+});
@@ -0,0 +1,47 @@
+// Routes the pg Pool used by dist/db.js to an in-process PGlite database, so the SQL paths run
+// against a real PostgreSQL without a server. Import it before anything from dist: db.js has to
+// load pg after the Pool is replaced. PGlite is one connection, so every pool client shares it.
+import { createRequire } from 'module';
+import { PGlite } from '@electric-sql/pglite';
+import './env.mjs';
+
+const pg = createRequire(import.meta.url)('pg');
+
+export const db = new PGlite();
+
+const client = {
+  async query(sql, params) {
+    if (typeof sql === 'object') ({ text: sql, values: params } = sql);
+    // Parameterless calls may hold several statements (migrations); the last result is returned
+    if (!params?.length) {
+      const res = await db.exec(sql);
+      const last = res[res.length - 1] || { rows: [] };
+      return { rows: last.rows, rowCount: last.affectedRows ?? last.rows.length };
+    }
+    const res = await db.query(sql, params);
+    return { rows: res.rows, rowCount: res.affectedRows ?? res.rows.length };
+  },
+  release() {}
+};
+
+class Pool {
+  totalCount = 1;
+  idleCount = 1;
+  waitingCount = 0;
+  async connect() { return client; }
+  query(sql, params) { return client.query(sql, params); }
+  on() { return this; }
+  async end() {}
+}
+
+pg.Pool = Pool;
+process.env.PG_URL = 'postgres://pglite/test';
+process.env.STORAGE_BACKEND = 'pg';
+
+await db.exec(`set timezone = 'UTC'`);
+
+// Empty every table but the migration log between tests
+export async function reset() {
+  const { rows } = await db.query(`select tablename from pg_tables where schemaname = 'public' and tablename <> 'schema_migrations'`);
+  if (rows.length) await db.exec(`truncate ${rows.map(r => r.tablename).join(', ')}`);
+}
@@ -0,0 +1,70 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import './env.mjs';
+import { CONFIG } from '../dist/config.js';
+import { pseudonymize, pseudonymizeEvent, storedIdsFor, consentId, initPseudonyms } from '../dist/pseudonym.js';
+
+const anon = 'a'.repeat(32);
+const t2025 = Date.UTC(2025, 5, 1), t2026 = Date.UTC(2026, 5, 1);
+
+function withSalt(salt, cfg = {}) {
+  Object.assign(CONFIG, { YEARLY_SALT: salt, PSEUDONYMIZE: true, PSEUDONYM_CROSS_YEAR: false }, cfg);
+  initPseudonyms();
+}
+
+afterEach(() => withSalt('test-salt'));
+
+test('pseudonyms keep the anon format and change with the year', () => {
+  withSalt('test-salt');
+  const p = pseudonymize(anon, t2026);
+  assert.match(p, /^[a-f0-9]{32}$/);
+  assert.notEqual(p, anon);
+  assert.equal(pseudonymize(anon, t2026 + 86400000), p);
+  assert.notEqual(pseudonymize(anon, t2025), p);
+  // Seconds and ISO strings pick the same year as milliseconds
+  assert.equal(pseudonymize(anon, t2026 / 1000), p);
+  assert.equal(pseudonymize(anon, new Date(t2026).toISOString()), p);
+  assert.equal(pseudonymizeEvent({ anon, t: t2026, evt: 'x' }).anon, p);
+});
+
+test('the same install gets one ID across years with PSEUDONYM_CROSS_YEAR', () => {
+  withSalt('test-salt', { PSEUDONYM_CROSS_YEAR: true });
+  assert.equal(pseudonymize(anon, t2025), pseudonymize(anon, t2026));
+});
+
+test('explicit year salts override the derived one', () => {
+  withSalt('test-salt');
+  const derived = pseudonymize(anon, t2025);
+  withSalt('test-salt,2025:rotated');
+  assert.notEqual(pseudonymize(anon, t2025), derived);
+  // A year with no salt of its own falls back to the nearest earlier explicit one
+  withSalt('2025:only');
+  assert.equal(pseudonymize(anon, t2026), pseudonymize(anon, t2025));
+});
+
+test('storedIdsFor lists the raw ID and every yearly pseudonym; consent IDs do not change by year', () => {
+  withSalt('test-salt');
+  const ids = storedIdsFor(anon);
+  assert.equal(ids[0], anon);
+  assert.ok(ids.includes(pseudonymize(anon, t2025)));
+  assert.ok(ids.includes(pseudonymize(anon, t2026)));
+  const consent = consentId(anon);
+  assert.ok(!ids.includes(consent));
+  // Rotating a year's salt keeps the consent ID
+  withSalt('test-salt,2026:rotated');
+  assert.equal(consentId(anon), consent);
+});
+
+test('pseudonyms are refused without a secret salt', () => {
+  assert.throws(() => withSalt(''), /YEARLY_SALT is not set/);
+  assert.throws(() => withSalt('jwc-2025-salt'), /public default/);
+  assert.throws(() => withSalt('test-salt,2025:jwc-2025-salt'), /public default/);
+  assert.throws(() => withSalt(' , '), /YEARLY_SALT is empty/);
+});
+
+test('with PSEUDONYMIZE off the raw ID is stored', () => {
+  withSalt('', { PSEUDONYMIZE: false });
+  assert.equal(pseudonymize(anon, t2026), anon);
+  const ev = { anon, t: t2026 };
+  assert.equal(pseudonymizeEvent(ev), ev);
+});
@@ -0,0 +1,98 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { db } from './pglite.mjs';
+import { writeEvents } from './env.mjs';
+import { CONFIG } from '../dist/config.js';
+import { dbInit, dbInsertEvents } from '../dist/db.js';
+import { parseMetricQuery, runQuery } from '../dist/query.js';
+
+const DAY = 86400000, HOUR = 3600000;
+const day0 = Date.UTC(2026, 0, 5);
+const range = { from: new Date(day0), to: new Date(day0 + 3 * DAY) };
+
+function events() {
+  const out = [];
+  for (let i = 0; i < 90; i++) {
+    const evt = ['java.run.started', 'java.run.completed', 'java.run.error', 'lifecycle.activate'][i % 4];
+    const m = evt === 'java.run.completed' ? { exit: i % 3 ? 0 : 130, durationMs: 50 * ((i * 7) % 40) }
+      : evt === 'java.run.error' ? { phase: i % 2 ? 'compile' : 'runtime' } : undefined;
+    out.push({
+      t: day0 + (i % 60) * HOUR + i * 1000, anon: String(i % 9).repeat(32), evt,
+      os: ['linux', 'win32', 'darwin'][i % 3], ext: i < 45 ? '1.0' : '1.1', vscode: '1.90', ...(m && { m })
+    });
+  }
+  return out;
+}
+
+// The same query against PostgreSQL and against the JSONL files
+async function both(q) {
+  const mq = parseMetricQuery(q, range);
+  assert.ok(!('error' in mq), JSON.stringify(mq));
+  CONFIG.STORAGE_BACKEND = 'pg';
+  const pg = await runQuery(mq);
+  CONFIG.STORAGE_BACKEND = 'file';
+  const file = await runQuery(mq);
+  return { pg, file };
+}
+
+before(async () => {
+  await dbInit();
+  const evs = events();
+  await dbInsertEvents(evs, { country: 'DE', region: '' });
+  writeEvents(evs.map(e => ({ ...e, country: 'DE', region: '' })));
+});
+
+test('bad queries are refused with a reason', () => {
+  const err = q => parseMetricQuery(q, range).error;
+  assert.equal(err({ metric: 'sum' }), 'bad_metric');
+  assert.equal(err({ group: 'os,anon' }), 'bad_group');
+  assert.equal(err({ granularity: 'month' }), 'bad_granularity');
+  assert.equal(err({ metric: 'exit_rate' }), 'bad_exit');
+  assert.equal(err({ metric: 'exit_rate', exit: '0,x' }), 'bad_exit');
+  assert.equal(err({ exit: '0' }), 'bad_exit');
+  assert.equal(err({ limit: '0' }), 'bad_limit');
+  assert.equal(parseMetricQuery({ granularity: 'hour' }, { from: range.from, to: new Date(day0 + 32 * DAY) }).error, 'bad_range');
+  assert.deepEqual(parseMetricQuery({ metric: 'exit_rate', exit: '130', group: 'os,os', evt: 'a, b', granularity: 'none' }, range), {
+    metric: 'exit_rate', ...range, filters: { evt: ['a', 'b'] }, groupBy: ['os'], granularity: null, exit: ['130'], limit: 1000
+  });
+});
+
+test('counts by day and event agree between backends', async () => {
+  const { pg, file } = await both({ group: 'evt', granularity: 'day' });
+  assert.equal(pg.rows.length, 12);
+  assert.deepEqual(pg, file);
+});
+
+test('uniques, exit rates and duration percentiles agree between backends', async () => {
+  for (const q of [
+    { metric: 'uniques', group: 'os' },
+    { metric: 'exit_rate', exit: '130', group: 'os,ext' },
+    { metric: 'duration_p50', group: 'ext' },
+    { metric: 'duration_p95', granularity: 'day' },
+    { metric: 'count', group: 'error_phase', evt: 'java.run.error' }
+  ]) {
+    const { pg, file } = await both(q);
+    assert.ok(pg.rows.length, JSON.stringify(q));
+    assert.deepEqual(pg, file, JSON.stringify(q));
+  }
+});
+
+test('filters are matched as values, never as SQL', async () => {
+  const { pg, file } = await both({ os: `linux' or '1'='1`, group: 'os' });
+  assert.deepEqual(pg, { rows: [], truncated: false });
+  assert.deepEqual(file, pg);
+  assert.equal(Number((await db.query('select count(*) as n from telemetry_events')).rows[0].n), 90);
+});
+
+test('a whole-range aggregate is one row even when nothing matches', async () => {
+  const { pg, file } = await both({ evt: 'install.created' });
+  assert.deepEqual(pg, { rows: [{ value: 0 }], truncated: false });
+  assert.deepEqual(file, pg);
+});
+
+test('limit cuts the rows and says so', async () => {
+  const { pg, file } = await both({ group: 'os', limit: '2' });
+  assert.equal(pg.rows.length, 2);
+  assert.equal(pg.truncated, true);
+  assert.deepEqual(file, pg);
+});
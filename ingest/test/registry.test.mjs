@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { tmp } from './env.mjs';
+import { loadRegistry, checkMetrics, isKnownEvent } from '../dist/registry.js';
+import { normalizeEvent } from '../dist/validate.js';
+
+function registry(raw) {
+  const file = path.join(tmp, 'registry.json');
+  fs.writeFileSync(file, JSON.stringify(raw));
+  return loadRegistry(file);
+}
+
+test('the shipped registry loads', () => {
+  loadRegistry();
+  assert.ok(isKnownEvent('java.run.completed'));
+  assert.ok(!isKnownEvent('toString'));
+});
+
+test('bad registries are refused', () => {
+  assert.throws(() => registry({}), /missing "events"/);
+  assert.throws(() => registry({ unknownFields: 'ignore', events: {} }), /bad unknownFields/);
+  assert.throws(() => registry({ events: { a: { m: { x: { type: 'float' } } } } }), /a\.m\.x: bad type/);
+  assert.throws(() => registry({ events: { a: { m: { x: { type: 'string', enum: 'y' } } } } }), /enum must be an array/);
+});
+
+test('fields are coerced and checked against their spec', () => {
+  registry({
+    events: {
+      run: {
+        m: {
+          exit: { type: 'integer', min: -1, max: 255, required: true },
+          ratio: { type: 'number' },
+          ok: { type: 'boolean' },
+          phase: { type: 'string', enum: ['compile', 'runtime'] },
+          hash: { type: 'string', maxLength: 4 }
+        }
+      }
+    }
+  });
+  assert.deepEqual(checkMetrics('run', { exit: '3', ratio: '0.5', ok: 'true', phase: 'compile' }), { ok: true, m: { exit: 3, ratio: 0.5, ok: true, phase: 'compile' } });
+  assert.deepEqual(checkMetrics('run', { exit: 1.5 }), { ok: false, field: 'exit', reason: 'type' });
+  assert.deepEqual(checkMetrics('run', { exit: 256 }), { ok: false, field: 'exit', reason: 'range' });
+  assert.deepEqual(checkMetrics('run', { exit: 0, ok: 1 }), { ok: false, field: 'ok', reason: 'type' });
+  assert.deepEqual(checkMetrics('run', { exit: 0, phase: 'link' }), { ok: false, field: 'phase', reason: 'enum' });
+  assert.deepEqual(checkMetrics('run', { exit: 0, hash: 'abcde' }), { ok: false, field: 'hash', reason: 'too_long' });
+  assert.deepEqual(checkMetrics('run', { exit: null }), { ok: false, field: 'exit', reason: 'required' });
+  assert.deepEqual(checkMetrics('run', [1]), { ok: false, field: 'm', reason: 'type' });
+  assert.deepEqual(checkMetrics('walk', {}), { ok: false, field: 'evt', reason: 'unknown_event' });
+});
+
+test('unknown fields are kept, dropped or rejected, per event or registry wide', () => {
+  registry({ unknownFields: 'drop', events: { a: {}, b: { unknownFields: 'keep' }, c: { unknownFields: 'reject' } } });
+  assert.deepEqual(checkMetrics('a', { x: 1 }), { ok: true, m: {} });
+  assert.deepEqual(checkMetrics('b', { x: 1 }), { ok: true, m: { x: 1 } });
+  assert.deepEqual(checkMetrics('c', { x: 1 }), { ok: false, field: 'x', reason: 'unknown_field' });
+});
+
+test('normalizeEvent maps registry failures to ingest reasons', () => {
+  loadRegistry();
+  const ev = { t: 1767225600, anon: 'a'.repeat(32), evt: 'java.run.completed', m: { exit: '0' } };
+  const ok = normalizeEvent(ev);
+  assert.ok(ok.ok);
+  assert.deepEqual(ok.ev, { ...ev, t: 1767225600000, os: 'unknown', ext: '0.0.0', vscode: '0.0.0', m: { exit: 0 } });
+  assert.deepEqual(normalizeEvent({ ...ev, m: { exit: 2 ** 31 } }), { ok: false, reason: 'bad_metric', field: 'm.exit', detail: 'range' });
+  assert.deepEqual(normalizeEvent({ ...ev, m: { cumulativeBytesBucket: 'x'.repeat(33) } }), { ok: false, reason: 'field_too_long', field: 'm.cumulativeBytesBucket' });
+  assert.deepEqual(normalizeEvent({ ...ev, evt: 'java.run.paused' }), { ok: false, reason: 'unknown_event', field: 'evt' });
+  assert.deepEqual(normalizeEvent({ ...ev, anon: 'x' }), { ok: false, reason: 'bad_anon', field: 'anon' });
+  assert.deepEqual(normalizeEvent({ ...ev, t: 'soon' }), { ok: false, reason: 'bad_timestamp', field: 't' });
+});
@@ -0,0 +1,36 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { writeEvents, clearEvents } from './env.mjs';
+import { retention } from '../dist/retention.js';
+
+const DAY = 86400000, MIN = 60000;
+const day0 = Date.UTC(2026, 0, 5);
+const ev = (anon, t, evt, m, extra) => ({ t, anon: anon.repeat(32), evt, os: 'linux', ext: '1.0', vscode: '1.90', ...(m && { m }), ...extra });
+
+beforeEach(() => clearEvents());
+
+test('retention groups students by install day and counts their later active days', async () => {
+  writeEvents([
+    ev('z', day0 - DAY, 'install.created'), ev('z', day0, 'java.run.started'),
+    ev('a', day0, 'install.created'), ev('a', day0 + DAY, 'java.run.started'),
+    ev('b', day0 + 60 * MIN, 'install.created'), ev('b', day0 + 2 * DAY, 'lifecycle.activate'),
+    ev('c', day0 + DAY, 'install.created'), ev('c', day0 + 2 * DAY, 'java.run.started')
+  ]);
+  const q = { period: 'day', from: new Date(day0), to: new Date(day0 + 2 * DAY), periods: 3 };
+  assert.deepEqual(await retention({ ...q, activity: 'any' }), {
+    cohorts: [
+      { cohort: '2026-01-05', size: 2, active: [2, 1, 1], rates: [1, 0.5, 0.5] },
+      { cohort: '2026-01-06', size: 1, active: [1, 1, 0], rates: [1, 1, 0] }
+    ],
+    average: [1, 0.6667, 0.3333]
+  });
+  const runs = await retention({ ...q, activity: 'run' });
+  assert.deepEqual(runs.cohorts.map(c => c.active), [[0, 1, 0], [0, 1, 0]]);
+});
+
+test('retention leaves periods that have not started yet empty', async () => {
+  const today = Math.floor(Date.now() / DAY) * DAY;
+  const res = await retention({ period: 'day', activity: 'any', from: new Date(today), to: new Date(today + DAY), periods: 3 });
+  assert.deepEqual(res.cohorts[0].active, [0, null, null]);
+  assert.deepEqual(res.average, [null, null, null]);
+});
@@ -0,0 +1,114 @@
+import { test, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { db, reset } from './pglite.mjs';
+import { dbInit, dbInsertEvents, dbRollup, dbReadStats, dbQuery } from '../dist/db.js';
+import { HOURLY_COLS, hourlyFromRaw, durationPercentile } from '../dist/rollup.js';
+
+const HOUR = 3600000;
+const start = Date.UTC(2026, 0, 5);
+
+function events(n, seed) {
+  return Array.from({ length: n }, (_, i) => {
+    const k = i + seed;
+    const evt = ['java.run.started', 'java.run.completed', 'java.run.error'][k % 3];
+    const m = evt === 'java.run.completed' ? { exit: k % 4 ? 0 : 130, durationMs: 37 * k, waitMsTotal: k % 5, scannerUsage: k % 2 === 0 }
+      : evt === 'java.run.error' ? { phase: k % 2 ? 'compile' : 'runtime', exceptionHash: `h${k % 3}` } : {};
+    return { t: start + (k % 30) * HOUR + k * 1000, anon: String(k % 7).repeat(32), evt, os: k % 5 ? 'linux' : 'win32', ext: '1.0.0', vscode: '1.90.0', m };
+  });
+}
+
+async function watermark() {
+  return Number((await db.query(`select last_id from telemetry_rollup_state where name = 'events'`)).rows[0]?.last_id || 0);
+}
+
+// A step only folds ids once the transactions that could still insert below them have ended,
+// so it takes more than one run to catch up
+async function foldAll() {
+  const max = Number((await db.query('select coalesce(max(id), 0) as m from telemetry_events')).rows[0].m);
+  for (let i = 0; i < 5 && (await watermark()) < max; i++) await dbRollup();
+  assert.equal(await watermark(), max);
+}
+
+// The hourly rollup as folded so far, and as aggregated from scratch over every raw row (sums come
+// back as numeric there, so values are compared as text)
+async function hourly() {
+  const text = rows => rows.map(r => Object.fromEntries(Object.entries(r).map(([k, v]) => [k, v instanceof Date ? v.toISOString() : String(v)])));
+  const folded = (await db.query(`select ${HOURLY_COLS} from telemetry_rollup_hourly order by 1,2,3,4,5,6,7,8,9,10`)).rows;
+  const raw = (await db.query(`${hourlyFromRaw('true')} order by 1,2,3,4,5,6,7,8,9,10`)).rows;
+  return { folded: text(folded), raw: text(raw) };
+}
+
+const stats = () => dbReadStats(7, '2026-01-05', '2026-01-06');
+const range = { from: new Date(start), to: new Date(start + 2 * 86400000), filters: {}, limit: 1000 };
+const query = () => dbQuery({ ...range, metric: 'count', groupBy: ['evt', 'os'], granularity: 'day', exit: [] });
+
+before(() => dbInit());
+beforeEach(() => reset());
+
+test('folding matches aggregating the raw rows, across several folds', async () => {
+  await dbInsertEvents(events(120, 0), { country: 'DE', region: '' });
+  await foldAll();
+  let { folded, raw } = await hourly();
+  assert.ok(folded.length > 10);
+  assert.deepEqual(folded, raw);
+  // Later rows add onto existing buckets instead of replacing them
+  await dbInsertEvents(events(80, 7), { country: 'FR', region: '' });
+  await foldAll();
+  ({ folded, raw } = await hourly());
+  assert.deepEqual(folded, raw);
+  const runs = await db.query(`select sum(runs)::int as n from telemetry_rollup_durations`);
+  const done = await db.query(`select count(*)::int as n from telemetry_events where evt = 'java.run.completed'`);
+  assert.equal(runs.rows[0].n, done.rows[0].n);
+});
+
+test('/stats counts rolled-up rows and the raw tail above the watermark once each', async () => {
+  await dbInsertEvents(events(90, 0), { country: 'DE', region: '' });
+  const unrolled = await stats();
+  await foldAll();
+  assert.deepEqual(await stats(), unrolled);
+  await dbInsertEvents(events(30, 90), { country: 'DE', region: '' });
+  const tail = await stats();
+  assert.notEqual(tail.total, unrolled.total);
+  await foldAll();
+  assert.deepEqual(await stats(), tail);
+});
+
+test('exit codes and durations come out the same before and after folding', async () => {
+  await dbInsertEvents(events(60, 3), { country: 'DE', region: '' });
+  const pick = s => ({ runs: s.runs, exitCodes: s.exitCodes, durations: s.durations });
+  const unrolled = pick(await stats());
+  await foldAll();
+  assert.deepEqual(pick(await stats()), unrolled);
+  assert.deepEqual(unrolled.exitCodes, { 0: 15, 130: 5 });
+});
+
+test('/query counts rolled-up rows and the raw tail above the watermark once each', async () => {
+  await dbInsertEvents(events(90, 0), { country: 'DE', region: '' });
+  const unrolled = await query();
+  await foldAll();
+  assert.deepEqual(await query(), unrolled);
+  await dbInsertEvents(events(30, 90), { country: 'DE', region: '' });
+  const tail = await query();
+  assert.notDeepEqual(tail, unrolled);
+  await foldAll();
+  assert.deepEqual(await query(), tail);
+});
+
+test('/query exit rates come out the same before and after folding', async () => {
+  await dbInsertEvents(events(60, 3), { country: 'DE', region: '' });
+  const q = () => dbQuery({ ...range, metric: 'exit_rate', groupBy: ['os'], granularity: null, exit: ['130'] });
+  const unrolled = await q();
+  await foldAll();
+  assert.deepEqual(await q(), unrolled);
+  assert.deepEqual(unrolled.map(r => [r.os, Number(r.value), Number(r.n)]), [['linux', 0.25, 16], ['win32', 0.25, 4]]);
+});
+
+test('durationPercentile reads the log-scaled histogram like percentile_disc, to about 1%', () => {
+  const key = ms => Math.round(Math.log(1 + ms) * 100);
+  const near = (v, ms) => assert.ok(Math.abs(v - ms) <= ms * 0.01, `${v} is not within 1% of ${ms}`);
+  const rows = [{ dur_key: key(100), runs: 5 }, { dur_key: key(1000), runs: '4' }, { dur_key: key(10000), runs: 1 }];
+  near(durationPercentile(rows, 0.5), 100);
+  near(durationPercentile(rows, 0.9), 1000);
+  near(durationPercentile(rows, 0.99), 10000);
+  assert.equal(durationPercentile([], 0.5), 0);
+});
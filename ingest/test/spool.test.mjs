@@ -0,0 +1,76 @@
+import { test, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { setTimeout as sleep } from 'timers/promises';
+import { db, reset } from './pglite.mjs';
+import { tmp } from './env.mjs';
+import { CONFIG } from '../dist/config.js';
+import { dbInit, dbConsentSet } from '../dist/db.js';
+import { spoolEvents, spoolReplay, spoolStatus } from '../dist/spool.js';
+
+const dir = path.join(tmp, 'spool');
+const ev = (exit, anon = 'a'.repeat(32)) => ({ t: Date.now(), anon, evt: 'java.run.completed', os: 'linux', ext: '1.0.0', vscode: '1.90.0', m: { exit } });
+const segments = () => (fs.existsSync(dir) ? fs.readdirSync(dir) : []);
+
+async function stored() {
+  return (await db.query('select exit_code, country from telemetry_events order by id')).rows.map(r => [r.exit_code, r.country]);
+}
+
+// Replay skips the segment being written to, which is named after the current millisecond
+async function replay() {
+  await sleep(5);
+  await spoolReplay();
+}
+
+before(async () => {
+  CONFIG.SPOOL_ENABLED = true;
+  await dbInit();
+});
+beforeEach(() => reset());
+
+test('replay writes spooled events in order, each with its own geo, and removes the segment', async () => {
+  assert.ok(spoolEvents([ev(0), ev(1)], { country: 'DE', region: 'BE' }));
+  assert.ok(spoolEvents([ev(2)], { country: 'FR', region: '' }));
+  await replay();
+  assert.deepEqual(await stored(), [[0, 'DE'], [1, 'DE'], [2, 'FR']]);
+  assert.deepEqual(segments(), []);
+  assert.equal(spoolStatus().bytes, 0);
+  assert.equal(spoolStatus().lastReplayError, null);
+});
+
+test('replay resumes after the position recorded for a segment', async () => {
+  spoolEvents([ev(0), ev(1), ev(2)]);
+  const [name] = segments();
+  fs.writeFileSync(path.join(dir, name + '.pos'), '2');
+  await replay();
+  assert.deepEqual(await stored(), [[2, null]]);
+  assert.deepEqual(segments(), []);
+});
+
+test('a row that fails is dropped and the rest of the segment still lands', async () => {
+  const prev = spoolStatus();
+  spoolEvents([ev(0), ev(1e20), ev(1)]);
+  await replay();
+  assert.deepEqual(await stored(), [[0, null], [1, null]]);
+  assert.equal(spoolStatus().replayedTotal - prev.replayedTotal, 2);
+  assert.equal(spoolStatus().droppedTotal - prev.droppedTotal, 1);
+});
+
+test('events of installs that opted out after they were spooled are dropped', async () => {
+  spoolEvents([ev(0, 'b'.repeat(32)), ev(1, 'c'.repeat(32))], undefined, ['subject-b', 'subject-c']);
+  await dbConsentSet([{ subject: 'subject-b', state: 'optout', at: Date.now() }]);
+  await replay();
+  assert.deepEqual(await stored(), [[1, null]]);
+});
+
+test('nothing is spooled past SPOOL_MAX_MB', () => {
+  const max = CONFIG.SPOOL_MAX_MB;
+  CONFIG.SPOOL_MAX_MB = 1;
+  try {
+    assert.equal(spoolEvents([{ ...ev(0), m: { pad: 'x'.repeat(2 * 1024 * 1024) } }]), false);
+    assert.deepEqual(segments(), []);
+  } finally {
+    CONFIG.SPOOL_MAX_MB = max;
+  }
+});
@@ -0,0 +1,68 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import './env.mjs';
+import { CONFIG } from '../dist/config.js';
+import { cachedStats, invalidateStats, etagMatches } from '../dist/statscache.js';
+
+let calls = 0;
+const compute = data => async () => { calls++; await new Promise(r => setTimeout(r, 10)); return data; };
+let n = 0;
+const key = () => `k${n}`;
+
+beforeEach(() => {
+  n++;
+  calls = 0;
+  Object.assign(CONFIG, { STATS_CACHE_TTL_MS: 60000, STATS_CACHE_MIN_AGE_MS: 0 });
+});
+
+test('concurrent requests for one key share a computation', async () => {
+  const [a, b] = await Promise.all([cachedStats(key(), compute({ total: 1 })), cachedStats(key(), compute({ total: 2 }))]);
+  assert.equal(calls, 1);
+  assert.equal(a, b);
+  assert.equal(a.body, '{"total":1}');
+  assert.equal((await cachedStats(key(), compute({ total: 3 }))).body, '{"total":1}');
+  assert.equal(calls, 1);
+  // Other queries have their own entry
+  assert.equal((await cachedStats(key() + 'x', compute({ total: 4 }))).body, '{"total":4}');
+});
+
+test('new events invalidate entries once they are STATS_CACHE_MIN_AGE_MS old', async () => {
+  const first = await cachedStats(key(), compute({ total: 1 }));
+  invalidateStats();
+  const second = await cachedStats(key(), compute({ total: 2 }));
+  assert.equal(calls, 2);
+  assert.notEqual(second.etag, first.etag);
+  CONFIG.STATS_CACHE_MIN_AGE_MS = 60000;
+  invalidateStats();
+  assert.equal(await cachedStats(key(), compute({ total: 3 })), second);
+});
+
+test('events written while computing leave the result stale', async () => {
+  const p = cachedStats(key(), compute({ total: 1 }));
+  invalidateStats();
+  await p;
+  assert.equal((await cachedStats(key(), compute({ total: 2 }))).body, '{"total":2}');
+});
+
+test('errors and uncached requests are not kept', async () => {
+  await assert.rejects(cachedStats(key(), async () => { throw new Error('db down'); }), /db down/);
+  assert.equal((await cachedStats(key(), compute({ total: 1 }))).body, '{"total":1}');
+  await cachedStats(null, compute({ total: 2 }));
+  await cachedStats(null, compute({ total: 2 }));
+  CONFIG.STATS_CACHE_TTL_MS = 0;
+  await cachedStats(key(), compute({ total: 2 }));
+  assert.equal(calls, 4);
+  assert.equal((await cachedStats(null, compute(null))).body, null);
+});
+
+test('the ETag depends only on the body, and If-None-Match lists match it', async () => {
+  const a = await cachedStats(key(), compute({ total: 1 }));
+  const b = await cachedStats(null, compute({ total: 1 }));
+  assert.equal(a.etag, b.etag);
+  assert.match(a.etag, /^"[A-Za-z0-9_-]+"$/);
+  assert.equal(etagMatches(a.etag, a.etag), true);
+  assert.equal(etagMatches(`"x", W/${a.etag}`, a.etag), true);
+  assert.equal(etagMatches('*', a.etag), true);
+  assert.equal(etagMatches('"x"', a.etag), false);
+  assert.equal(etagMatches(undefined, a.etag), false);
+});
@@ -0,0 +1,70 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { tmp, writeEvents, clearEvents } from './env.mjs';
+import { initPseudonyms, pseudonymize } from '../dist/pseudonym.js';
+import { exportSubject, eraseSubject, subjectCsv } from '../dist/subjects.js';
+
+const day0 = Date.UTC(2026, 0, 5);
+const anon = 'a'.repeat(32), other = 'b'.repeat(32);
+const spoolFile = path.join(tmp, 'spool', 'spool-1.jsonl');
+const legacyFile = path.join(tmp, 'events.log');
+
+const ev = (id, t, evt) => ({ t, anon: pseudonymize(id, t), evt, os: 'linux', ext: '1.0', vscode: '1.90' });
+const lines = file => fs.readFileSync(file, 'utf8').trim().split('\n');
+
+initPseudonyms();
+
+beforeEach(() => {
+  clearEvents();
+  // Stored under this year's and last year's pseudonyms
+  writeEvents([ev(anon, day0, 'install.created'), ev(other, day0, 'install.created'), ev(anon, day0 - 30 * 86400000, 'java.run.started')]);
+  fs.mkdirSync(path.dirname(spoolFile), { recursive: true });
+  fs.writeFileSync(spoolFile, [ev(anon, day0 + 1000, 'java.run.started'), ev(other, day0 + 1000, 'java.run.started')]
+    .map(e => JSON.stringify({ ev: e, geo: { country: 'DE', region: '' } }) + '\n').join(''));
+  // Text logs from before pseudonymization hold the raw ID
+  fs.writeFileSync(legacyFile, `2025-06-01T10:00:00.000 ${anon} lifecycle.activate linux 0.9 1.80\n2025-06-01T10:00:01.000 ${other} lifecycle.activate linux 0.9 1.80\n`);
+});
+
+test('export finds the events under every ID the install is stored under', async () => {
+  const out = await exportSubject(anon, { actor: 'test', reason: 'ticket 1' });
+  assert.equal(out.subject, pseudonymize(anon, Date.now()));
+  assert.deepEqual(out.events.map(e => [e.source, e.evt]), [
+    ['events.log', 'lifecycle.activate'],
+    [path.join('json', '2025-12-06.jsonl'), 'java.run.started'],
+    [path.join('json', '2026-01-05.jsonl'), 'install.created'],
+    [path.join('spool', 'spool-1.jsonl'), 'java.run.started']
+  ]);
+  assert.equal(out.events[3].country, 'DE');
+  assert.equal(subjectCsv(out.events).split('\n')[0], 'source,t,anon,evt,os,ext,vscode,country,region,session_id,m');
+});
+
+test('erase removes the subject everywhere and keeps everyone else', async () => {
+  const res = await eraseSubject(anon, { actor: 'test' });
+  assert.deepEqual(res.files, {
+    'events.log': 1,
+    [path.join('json', '2025-12-06.jsonl')]: 1,
+    [path.join('json', '2026-01-05.jsonl')]: 1,
+    [path.join('spool', 'spool-1.jsonl')]: 1
+  });
+  assert.equal((await exportSubject(anon)).count, 0);
+  assert.equal((await exportSubject(other)).count, 3);
+  // Spool replay counts lines, so the erased record is blanked in place
+  assert.deepEqual(lines(spoolFile).map(l => JSON.parse(l).ev?.evt ?? null), [null, 'java.run.started']);
+  assert.equal(lines(legacyFile).length, 1);
+  assert.ok(!fs.existsSync(path.join(tmp, 'json', '2025-12-06.jsonl.erase-tmp')));
+});
+
+test('requests are audited under the pseudonym, never the raw ID', async () => {
+  await exportSubject(anon, { actor: 'test', reason: 'ticket 2' });
+  await eraseSubject(anon, { actor: 'test', reason: 'ticket 2' });
+  const audit = fs.readFileSync(path.join(tmp, 'audit', 'subject-requests.jsonl'), 'utf8');
+  assert.ok(!audit.includes(anon));
+  const recs = audit.trim().split('\n').map(l => JSON.parse(l)).filter(r => r.reason === 'ticket 2');
+  assert.deepEqual(recs.map(r => [r.action, r.subject, r.actor]), [
+    ['export', pseudonymize(anon, Date.now()), 'test'],
+    ['erase', pseudonymize(anon, Date.now()), 'test']
+  ]);
+  assert.equal(recs[1].result.files['events.log'], 1);
+});